@@ -592,6 +592,35 @@ const browser = window.browser || chrome;
         onDOMContentLoaded: browser.webNavigation.onDOMContentLoaded,
     };
 
+    /**
+     * Idle state of the user: "active", "idle" or "locked".
+     * User is always active if the idle API is not available.
+     */
+    const onIdleStateChanged = {
+        addListener(callback) {
+            // https://developer.chrome.com/extensions/idle#event-onStateChanged
+            if (typeof browser.idle === "undefined") {
+                return;
+            }
+            browser.idle.onStateChanged.addListener(callback);
+        },
+    };
+
+    const queryIdleState = function(detectionIntervalInSeconds, callback) {
+        // https://developer.chrome.com/extensions/idle#method-queryState
+        if (typeof browser.idle === "undefined") {
+            callback("active");
+            return;
+        }
+        browser.idle.queryState(detectionIntervalInSeconds, callback);
+    };
+
+    // https://developer.chrome.com/extensions/idle
+    purify.idle = {
+        onStateChanged: onIdleStateChanged,
+        queryState: queryIdleState,
+    };
+
     const browserActionSupported =
         typeof browser.browserAction.setIcon !== "undefined";
     if (!browserActionSupported && browser.browserAction.onClicked) {
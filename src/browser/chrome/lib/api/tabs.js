@@ -69,6 +69,7 @@ purify.windowsImpl = (function (purify) {
   var onCreatedChannel = purify.utils.channels.newChannel();
   var onRemovedChannel = purify.utils.channels.newChannel();
   var onUpdatedChannel = purify.utils.channels.newChannel();
+  var onFocusChangedChannel = purify.utils.channels.newChannel();
 
   // https://developer.chrome.com/extensions/windows#event-onCreated
   // https://developer.mozilla.org/en-US/Add-ons/WebExtensions/API/windows/onCreated
@@ -82,6 +83,13 @@ purify.windowsImpl = (function (purify) {
     onRemovedChannel.notify(windowId);
   });
 
+  // https://developer.chrome.com/extensions/windows#event-onFocusChanged
+  browser.windows.onFocusChanged.addListener(function (windowId) {
+    onFocusChangedChannel.notify(
+      windowId === browser.windows.WINDOW_ID_NONE ? null : windowId
+    );
+  });
+
   var create = function (createData, callback) {
     // https://developer.chrome.com/extensions/windows#method-create
     // https://developer.mozilla.org/en-US/Add-ons/WebExtensions/API/windows/create
@@ -113,6 +121,7 @@ purify.windowsImpl = (function (purify) {
     onCreated: onCreatedChannel, // callback (purifyWin, nativeWin)
     onRemoved: onRemovedChannel, // callback (windowId)
     onUpdated: onUpdatedChannel, // empty
+    onFocusChanged: onFocusChangedChannel, // callback (windowId), null if no window is focused
 
     create: create,
     getLastFocused: getLastFocused,
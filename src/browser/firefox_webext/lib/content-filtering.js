@@ -5,7 +5,7 @@
  * ----------------------------------------------------------------------------------
  */
 
-/* global TextDecoder, TextEncoder, DOMParser */
+/* global TextDecoder, TextEncoder, DOMParser, ImageRuler */
 
 purify.contentFiltering = (function (purify) {
   var DEFAULT_CHARSET = "utf-8";
@@ -17,6 +17,31 @@ purify.contentFiltering = (function (purify) {
     LATIN_1,
   ];
 
+  /**
+   * Bigger images are passed to the page while they stream and classified by the content script
+   */
+  var MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+  /**
+   * The image is passed to the page unclassified if the classifier is busy longer
+   */
+  var IMAGE_CLASSIFICATION_TIMEOUT_MS = 10000;
+
+  /**
+   * Blur radius of the placeholder relative to the bigger side of the image
+   */
+  var PLACEHOLDER_BLUR_RATIO = 0.1;
+
+  /**
+   * 1x1 transparent gif, the placeholder of the image which can't be blurred
+   */
+  var TRANSPARENT_GIF = new Uint8Array([
+    0x47, 0x49, 0x46, 0x38, 0x39, 0x61, 0x01, 0x00, 0x01, 0x00, 0x80, 0x00,
+    0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x21, 0xf9, 0x04, 0x01, 0x00,
+    0x00, 0x00, 0x00, 0x2c, 0x00, 0x00, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00,
+    0x00, 0x02, 0x02, 0x44, 0x01, 0x00, 0x3b,
+  ]);
+
   /**
    * Encapsulates response data filter logic
    * https://mail.mozilla.org/pipermail/dev-addons/2017-April/002729.html
@@ -192,6 +217,156 @@ purify.contentFiltering = (function (purify) {
     };
   };
 
+  /**
+   * Holds the image response until it is classified.
+   * Chunks are not passed to the page while they stream, so the flagged image is never shown,
+   * the whole body is written to the page after the classification.
+   *
+   * @param requestId Request identifier
+   * @constructor
+   */
+  var ImageFilter = function (requestId) {
+    this.filter = purify.webRequest.filterResponseData(requestId);
+
+    this.chunks = [];
+    this.length = 0;
+    this.contentDfd = new purify.utils.Promise();
+
+    this.filter.ondata = (event) => {
+      this.chunks.push(new Uint8Array(event.data));
+      this.length += event.data.byteLength;
+
+      // Too big images are not classified here, the content script loads them by url
+      if (this.length > MAX_IMAGE_BYTES) {
+        this.disconnect();
+      }
+    };
+
+    this.filter.onstop = () => {
+      this.contentDfd.resolve(this.getBytes());
+    };
+
+    this.filter.onerror = () => {
+      this.contentDfd.reject(this.filter.error);
+    };
+
+    this.getBytes = function () {
+      var bytes = new Uint8Array(this.length);
+      var offset = 0;
+      for (var i = 0; i < this.chunks.length; i++) {
+        bytes.set(this.chunks[i], offset);
+        offset += this.chunks[i].length;
+      }
+      return bytes;
+    };
+
+    this.disconnect = function () {
+      for (var i = 0; i < this.chunks.length; i++) {
+        this.filter.write(this.chunks[i]);
+      }
+      this.chunks = [];
+      this.filter.disconnect();
+
+      this.contentDfd.resolve(null);
+    };
+
+    this.write = function (bytes) {
+      this.filter.write(bytes);
+      this.filter.close();
+    };
+
+    this.getContent = function () {
+      return this.contentDfd;
+    };
+  };
+
+  /**
+   * Creates placeholder which is written to the page instead of the flagged image.
+   * The placeholder is the blurred image of the same size, so the page layout is kept.
+   *
+   * @param {Uint8Array} bytes Image response body
+   * @returns {Promise<Uint8Array>}
+   */
+  var createImagePlaceholder = async function (bytes) {
+    try {
+      var bitmap = await createImageBitmap(new Blob([bytes]));
+      var canvas = document.createElement("canvas");
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+
+      var radius = Math.ceil(
+        Math.max(bitmap.width, bitmap.height) * PLACEHOLDER_BLUR_RATIO
+      );
+      var context = canvas.getContext("2d");
+      context.filter = `blur(${radius}px)`;
+      context.drawImage(bitmap, 0, 0);
+      bitmap.close();
+
+      var blob = await new Promise((resolve) => {
+        canvas.toBlob(resolve, "image/jpeg");
+      });
+      return new Uint8Array(await blob.arrayBuffer());
+    } catch (e) {
+      purify.console.debug("Unable to blur the image, cause: {0}", e);
+      return TRANSPARENT_GIF;
+    }
+  };
+
+  /**
+   * Classifies the image from the response body.
+   * The response is held until the verdict is known, the flagged image is replaced with the placeholder.
+   * Image is passed to the page as is if it is not classified in time.
+   *
+   * @param {string} requestUrl Request URL
+   * @param {string} requestId Request identifier
+   */
+  var classifyImageResponse = function (requestUrl, requestId) {
+    var imageFilter = new ImageFilter(requestId);
+
+    imageFilter.getContent().then(
+      async (bytes) => {
+        if (!bytes) {
+          return;
+        }
+
+        var content = bytes;
+        var timeoutId;
+        try {
+          var result = await Promise.race([
+            purify.imageClassifier.classifyResponse(requestUrl, bytes),
+            new Promise((resolve) => {
+              timeoutId = setTimeout(resolve, IMAGE_CLASSIFICATION_TIMEOUT_MS, null);
+            }),
+          ]).finally(() => clearTimeout(timeoutId));
+          if (
+            result &&
+            ImageRuler.decide(
+              result.predictions,
+              purify.purifyFiltering.getClassificationPolicy()
+            ).block
+          ) {
+            content = await createImagePlaceholder(bytes);
+          }
+        } catch (ex) {
+          purify.console.error(
+            "Error while classifying image {0}. Error: {1}",
+            requestUrl,
+            ex
+          );
+        }
+        imageFilter.write(content);
+      },
+      function (error) {
+        purify.console.error(
+          "An error has occurred in image filter for request {0} to {1}. Error: {2}",
+          requestId,
+          requestUrl,
+          error
+        );
+      }
+    );
+  };
+
   var DocumentParser = function () {
     if (typeof DOMParser === "undefined") {
       purify.console.info("DOMParser object is not defined");
@@ -344,6 +519,54 @@ purify.contentFiltering = (function (purify) {
     );
   };
 
+  /**
+   * Checks if the image should be classified from the response body.
+   * Svg images are documents, they are classified by the content script.
+   *
+   * @param {object} tab Tab
+   * @param {string} requestType Request type
+   * @param {string} contentType Content-Type header value
+   * @returns {boolean}
+   */
+  var shouldClassifyImage = function (tab, requestType, contentType) {
+    // In case of .features or .features.responseContentFilteringSupported are not defined
+    var responseContentFilteringSupported =
+      purify.prefs.features &&
+      purify.prefs.features.responseContentFilteringSupported;
+    if (!responseContentFilteringSupported) {
+      return false;
+    }
+
+    if (requestType !== purify.RequestTypes.IMAGE) {
+      return false;
+    }
+
+    var type = contentType ? contentType.toLowerCase() : null;
+    if (
+      type &&
+      (type.indexOf("image/") !== 0 || type.indexOf("image/svg") === 0)
+    ) {
+      return false;
+    }
+
+    // Requests of the extension itself and of the unprotected tabs are not held
+    if (
+      tab.tabId === purify.BACKGROUND_TAB_ID ||
+      purify.frames.shouldStopRequestProcess(tab)
+    ) {
+      return false;
+    }
+
+    if (!purify.imageClassifier || !purify.imageClassifier.isReady()) {
+      return false;
+    }
+
+    return (
+      purify.purifyFiltering.getClassificationPolicy().blockedClasses.length >
+      0
+    );
+  };
+
   /**
    * Applies content rules to the document.
    * If document wasn't modified then method will return null
@@ -507,7 +730,8 @@ purify.contentFiltering = (function (purify) {
   };
 
   /**
-   * Applies content and replace rules to the request
+   * Applies content and replace rules to the request,
+   * image responses are classified by the image classifier
    * @param tab Tab
    * @param requestUrl Request URL
    * @param referrerUrl Referrer
@@ -547,6 +771,11 @@ purify.contentFiltering = (function (purify) {
       return;
     }
 
+    if (shouldClassifyImage(tab, requestType, contentType)) {
+      classifyImageResponse(requestUrl, requestId);
+      return;
+    }
+
     var charset = parseCharsetFromHeader(contentType);
     if (charset && SUPPORTED_CHARSETS.indexOf(charset) < 0) {
       // Charset is detected and it is not supported
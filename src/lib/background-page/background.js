@@ -16,12 +16,21 @@
  */
 
 import 'babel-polyfill';
-import * as tf from '@tensorflow/tfjs';
-import { IMAGENET_CLASSES } from './imagenet_classes';
 import md5 from 'md5';
+import {
+    LOAD_MODEL,
+    MODEL_LOADED,
+    MODEL_FAILED,
+    PREDICT,
+    PREDICTED,
+    PREDICT_FAILED,
+    LOAD_TEXT_MODEL,
+    TEXT_MODEL_LOADED,
+    TEXT_MODEL_FAILED,
+    PREDICT_TEXT,
+} from './classifier-messages';
 
-// Where to load the model from.
-const MOBILENET_MODEL_TFHUB_URL = chrome.extension.getURL("models/purify_mobilenet_tfjs/model.json");
+/* global ImageRuler */
 
 // Size of the image expected by mobilenet.
 const IMAGE_SIZE = 224;
@@ -29,9 +38,17 @@ const IMAGE_SIZE = 224;
 // extension will refuse to classify the image.
 const MIN_IMG_SIZE = 128;
 
-// How many predictions to take.
-const TOPK_PREDICTIONS = 7;
+// Images requested during the window are predicted in one batch.
+const MAX_BATCH_SIZE = 16;
+const BATCH_WINDOW_MS = 30;
 const FIVE_SECONDS_IN_MS = 5000;
+// Max number of remembered results of the images classified from the network responses.
+const MAX_RESPONSE_RESULTS = 500;
+// Max number of texts scored in one request and max length of every text.
+const MAX_TEXTS = 32;
+const MAX_TEXT_LENGTH = 2000;
+// Predictions of the images allowed by the user.
+const ALLOWED_PREDICTIONS = [{ className: 'Neutral', probability: 1 }];
 var BLACKLIST = [];
 var CP_BLACKLIST = [];
 var CP_TOPLIST = [];
@@ -45,28 +62,104 @@ var CP_TOPLIST = [];
  */
 class ImageClassifier {
     constructor() {
-        this.loadModel();
+        // The model runs in the worker, so webRequest handlers don't wait for predictions
+        this.worker = new Worker('./classifier-worker.js');
+        this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+        this.worker.onerror = (event) => this.onWorkerError(event);
+        this.modelLoaded = false;
+        // The text model is loaded on the first texts to score, see classifyTexts
+        this.textModelLoaded = false;
+        this.textModelReady = null;
+        this.onTextModelReady = null;
+        this.lastRequestId = 0;
+        this.pendingRequests = new Map();
+        // Results of the images classified from the response bodies by url, see classifyResponse
+        this.responseResults = new Map();
+        // The model is selected by the registry, which is loaded after this script
+        document.addEventListener('DOMContentLoaded', () => {
+            purify.modelRegistry.onUpdated.addListener((model) => this.loadModel(model));
+            if (purify.modelRegistry.isInitialized()) {
+                this.loadModel(purify.modelRegistry.getActiveModel());
+            }
+        });
     }
 
     /**
-     * Loads mobilenet from URL and keeps a reference to it in the object.
+     * Asks the worker to load the model, the loaded one is swapped without restart.
+     * @param {Object} model model from the registry.
      */
-    async loadModel() {
-        console.log('Loading model...');
-        const startTime = performance.now();
-        try {
-            this.model =
-                await tf.loadGraphModel(MOBILENET_MODEL_TFHUB_URL, { fromTFHub: false });
-            // Warms up the model by causing intermediate tensor values
-            // to be built and pushed to GPU.
-            tf.tidy(() => {
-                this.model.predict(tf.zeros([1, IMAGE_SIZE, IMAGE_SIZE, 3]));
-            });
-            const totalTime = Math.floor(performance.now() - startTime);
-            console.log(`Model loaded and initialized in ${ totalTime } ms...`);
-        } catch (error) {
-            console.error(`Unable to load model from URL: ${ MOBILENET_MODEL_TFHUB_URL }`);
+    loadModel(model) {
+        console.log(`Loading model ${ model.id }@${ model.version }...`);
+        this.worker.postMessage({ type: LOAD_MODEL, model });
+    }
+
+    /**
+     * Asks the worker to load the text model.
+     */
+    loadTextModel() {
+        const model = purify.modelRegistry.getTextModel();
+        if (!model) {
+            this.textModelReady = Promise.resolve();
+            return;
         }
+        console.log(`Loading text model ${ model.id }@${ model.version }...`);
+        this.textModelReady = new Promise((resolve) => {
+            this.onTextModelReady = resolve;
+        });
+        this.worker.postMessage({ type: LOAD_TEXT_MODEL, model });
+    }
+
+    /**
+     * Handles messages of the classifier worker.
+     * @param {Object} message see classifier-messages.js
+     */
+    onWorkerMessage(message) {
+        switch (message.type) {
+            case MODEL_LOADED:
+                this.modelLoaded = true;
+                console.log(`Model ${ message.modelId }@${ message.version } loaded and initialized in ${ message.totalTime } ms...`);
+                break;
+
+            case MODEL_FAILED:
+                console.error(message.error);
+                break;
+
+            case TEXT_MODEL_LOADED:
+                this.textModelLoaded = true;
+                this.onTextModelReady();
+                console.log(`Text model ${ message.modelId }@${ message.version } loaded and initialized in ${ message.totalTime } ms...`);
+                break;
+
+            case TEXT_MODEL_FAILED:
+                this.onTextModelReady();
+                console.error(message.error);
+                break;
+
+            case PREDICTED:
+            case PREDICT_FAILED: {
+                const request = this.pendingRequests.get(message.id);
+                if (!request) {
+                    return;
+                }
+                this.pendingRequests.delete(message.id);
+                if (message.type === PREDICTED) {
+                    request.resolve(message.predictions);
+                } else {
+                    request.reject(message.error);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Fails all predictions waiting for the worker.
+     * @param {ErrorEvent} event
+     */
+    onWorkerError(event) {
+        console.error(`Classifier worker error: ${ event.message }`);
+        this.pendingRequests.forEach(({ reject }) => reject(event.message));
+        this.pendingRequests.clear();
     }
 
     /**
@@ -77,27 +170,66 @@ class ImageClassifier {
      *
      * @param {string} url url of image to analyze.
      * @param {number} tabId which tab the request comes from.
+     * @param {Object} media element id and video time, sent back with the prediction.
      */
-    async analyzeImage(srcUrl, srcType, tabId, repeat) {
+    async analyzeImage(srcUrl, srcType, tabId, repeat, media = {}) {
         if (!tabId) {
             console.error('No tab.  No prediction.');
             return;
         }
-        if (!this.model) {
+        if (!this.modelLoaded) {
             console.log('Waiting for model to load...');
-            setTimeout(() => { this.analyzeImage(srcUrl, srcType, tabId, repeat) }, FIVE_SECONDS_IN_MS);
+            setTimeout(() => { this.analyzeImage(srcUrl, srcType, tabId, repeat, media) }, FIVE_SECONDS_IN_MS);
             return;
         }
 
+        if (srcType !== 'video') {
+            // The image is already classified by the network filter, there is no need to load it again
+            const classified = await this.responseResults.get(srcUrl);
+            if (classified) {
+                const { predictions, contentHash } = classified;
+                chrome.tabs.sendMessage(tabId, { action: 'predict', srcUrl, srcType, predictions, contentHash, elementId: media.elementId });
+                return;
+            }
+
+            // Every sampled frame of the animation is classified, not only the first one
+            const frames = await this.downloadImage(srcUrl);
+            if (frames === null) {
+                // Too small to classify, the image is shown as the clean one
+                const predictions = [{ className: 'Neutral', probability: 1 }];
+                chrome.tabs.sendMessage(tabId, { action: 'predict', srcUrl, srcType, predictions, elementId: media.elementId });
+                return;
+            }
+            if (frames) {
+                try {
+                    const { predictions, contentHash } = await this.classify(srcUrl, frames);
+                    chrome.tabs.sendMessage(tabId, { action: 'predict', srcUrl, srcType, predictions, contentHash, elementId: media.elementId });
+                } finally {
+                    frames.forEach((frame) => frame.close && frame.close());
+                }
+                return;
+            }
+        }
+
         let message;
-        this.loadImage(srcUrl, srcType, tabId, repeat).then(
+        const loading = srcType === 'video' ?
+            this.loadVideoFrame(srcUrl, media.currentTime) :
+            this.loadImage(srcUrl, srcType, tabId, repeat, media);
+        loading.then(
             async(img) => {
                 if (!img) {
                     console.error('Could not load image.  Either too small or unavailable.');
                     return;
                 }
-                const predictions = await this.predict(img);
-                message = { action: 'predict', srcUrl, srcType, predictions };
+                const { predictions, contentHash } = srcType === 'video' ?
+                    { predictions: await this.predict(img), contentHash: null } :
+                    await this.classify(srcUrl, [img]);
+                if (srcType === 'video') {
+                    // Stop downloading of the video
+                    img.removeAttribute('src');
+                    img.load();
+                }
+                message = { action: 'predict', srcUrl, srcType, predictions, contentHash, elementId: media.elementId };
                 chrome.tabs.sendMessage(tabId, message);
             },
             (reason) => {
@@ -105,11 +237,115 @@ class ImageClassifier {
             });
     }
 
+    /**
+     * Returns predictions of the image, the frames of the animated image are classified together.
+     * Images allowed by the user are never blurred again, known explicit images are blocked
+     * without the prediction.
+     * @param {string} srcUrl URL of the image.
+     * @param {Array<HTMLElement|ImageBitmap>} frames the image or its sampled frames.
+     * @returns {Promise<{predictions: Array, contentHash: string|null}>}
+     */
+    async classify(srcUrl, frames) {
+        const contentHash = purify.imageHash.dHash(frames[0]);
+        if (contentHash !== null && await purify.imageOverrides.isAllowed({ srcUrl, contentHash })) {
+            return { predictions: ALLOWED_PREDICTIONS, contentHash };
+        }
+        if (frames.length > 1) {
+            return { predictions: await this.predictFrames(frames), contentHash };
+        }
+        const knownClass = contentHash === null ? null : purify.imageHashList.match(contentHash);
+        if (knownClass) {
+            return { predictions: [{ className: knownClass, probability: 1 }], contentHash };
+        }
+        return { predictions: await this.predict(frames[0]), contentHash };
+    }
+
+    /**
+     * Classifies the image from the bytes of the response, so it is not downloaded again.
+     * The result is remembered by url and sent to the content script when it asks
+     * to analyze the image.
+     * @param {string} srcUrl URL of the image.
+     * @param {Uint8Array} bytes response body.
+     * @returns {Promise<{predictions: Array, contentHash: string|null}|null>}
+     *  null if the image is too small or can't be decoded.
+     */
+    async classifyResponse(srcUrl, bytes) {
+        const classifying = this.decodeResponse(bytes).then(async(frames) => {
+            if (!frames) {
+                return null;
+            }
+            try {
+                return await this.classify(srcUrl, frames);
+            } finally {
+                frames.forEach((frame) => frame.close && frame.close());
+            }
+        }).catch((reason) => {
+            console.error(`Failed to classify response of ${ srcUrl }: ${ reason }`);
+            return null;
+        });
+
+        this.responseResults.set(srcUrl, classifying);
+        if (this.responseResults.size > MAX_RESPONSE_RESULTS) {
+            // Map keeps the order of insertion, so the first key is the oldest one
+            this.responseResults.delete(this.responseResults.keys().next().value);
+        }
+
+        const result = await classifying;
+        if (!result) {
+            // The content script loads the image by url then
+            this.responseResults.delete(srcUrl);
+        }
+        return result;
+    }
+
+    /**
+     * Downloads the image once, the animation is detected by the bytes and
+     * the image or its sampled frames are decoded from the same bytes.
+     * @param {string} srcUrl URL of the image.
+     * @returns {Promise<Array<HTMLCanvasElement|ImageBitmap>|null|undefined>}
+     *  null if the image is too small, undefined if it can't be downloaded or decoded here.
+     */
+    async downloadImage(srcUrl) {
+        try {
+            const downloaded = await purify.animatedImage.download(srcUrl);
+            return downloaded ? await this.decodeResponse(downloaded.bytes) : undefined;
+        } catch (e) {
+            // SVG and the images not available to fetch are loaded by the image element
+            return undefined;
+        }
+    }
+
+    /**
+     * Decodes the response body to the image or its sampled frames.
+     * @param {Uint8Array} bytes response body.
+     * @returns {Promise<Array<HTMLCanvasElement|ImageBitmap>|null>}
+     */
+    async decodeResponse(bytes) {
+        const frames = await purify.animatedImage.decodeFrames(bytes, MIN_IMG_SIZE);
+        if (frames) {
+            return frames;
+        }
+
+        const bitmap = await createImageBitmap(new Blob([bytes]));
+        if (bitmap.height <= MIN_IMG_SIZE && bitmap.width <= MIN_IMG_SIZE) {
+            bitmap.close();
+            return null;
+        }
+        return [bitmap];
+    }
+
+    /**
+     * @returns {boolean} true if the model is ready for predictions.
+     */
+    isReady() {
+        return this.modelLoaded;
+    }
+
     /**
      * Creates a dom element and loads the image pointed to by the provided src.
      * @param {string} src URL of the image to load.
      */
-    async loadImage(srcUrl, srcType, tabId, repeat) {
+    async loadImage(srcUrl, srcType, tabId, repeat, media) {
         return new Promise((resolve, reject) => {
             const img = document.createElement('img');
             img.crossOrigin = 'anonymous';
@@ -122,10 +358,10 @@ class ImageClassifier {
                     // console.log("Try again " + repeat);
                     // var autoreload
                     setTimeout(() => {
-                        imageClassifier.analyzeImage(srcUrl, srcType, tabId, repeat);
+                        imageClassifier.analyzeImage(srcUrl, srcType, tabId, repeat, media);
                     }, repeat * 750);
                 } else {
-                    chrome.tabs.sendMessage(tabId, { action: 'imgfail' });
+                    chrome.tabs.sendMessage(tabId, { action: 'imgfail', srcUrl, srcType, elementId: media.elementId });
                 }
             };
             img.onload = function(e) {
@@ -133,13 +369,13 @@ class ImageClassifier {
                     img.width = IMAGE_SIZE;
                     img.height = IMAGE_SIZE;
                     resolve(img);
-                }
-                /*
-                 * Fail out if either dimension is less than MIN_IMG_SIZE.
-                 */
-                if (img.height && img.height <= MIN_IMG_SIZE || img.width && img.width <= MIN_IMG_SIZE) {
+                } else {
+                    /*
+                     * Fail out if both dimensions are less than MIN_IMG_SIZE,
+                     * the image is shown as the clean one.
+                     */
                     const predictions = [{ className: "Neutral", probability: 1 }];
-                    chrome.tabs.sendMessage(tabId, { action: 'predict', srcUrl, srcType, predictions });
+                    chrome.tabs.sendMessage(tabId, { action: 'predict', srcUrl, srcType, predictions, elementId: media.elementId });
                 }
                 reject(`Image size too small. [${ img.height } x ${ img.width }] vs. minimum [${ MIN_IMG_SIZE } x ${ MIN_IMG_SIZE }]`);
             };
@@ -148,78 +384,126 @@ class ImageClassifier {
     }
 
     /**
-     * Sorts predictions by score and keeps only topK
-     * @param {Tensor} logits A tensor with one element per predicatable class
-     * type of mobilenet.  Return of executing model.predict on an Image.
-     * @param {number} topK how many to keep.
+     * Creates a video element and seeks it to the frame played in the tab.
+     * Used for cross-origin videos which frames can't be read by the content script.
+     * @param {string} srcUrl URL of the video to load.
+     * @param {number} currentTime time of the frame in seconds.
      */
-    async getTopKClasses(logits, topK) {
-        const { values, indices } = tf.topk(logits, topK, true);
-        const valuesArr = await values.data();
-        const indicesArr = await indices.data();
-        console.log(`indicesArr ${indicesArr}`);
-        const topClassesAndProbs = [];
-        for (let i = 0; i < topK; i++) {
-            topClassesAndProbs.push({
-                className: IMAGENET_CLASSES[indicesArr[i]],
-                probability: valuesArr[i]
-            })
-        }
-        return topClassesAndProbs;
+    async loadVideoFrame(srcUrl, currentTime) {
+        return new Promise((resolve, reject) => {
+            const video = document.createElement('video');
+            video.crossOrigin = 'anonymous';
+            video.muted = true;
+            video.preload = 'auto';
+            video.onerror = function(e) {
+                reject(`Could not load video from external source ${ srcUrl }.`);
+            };
+            video.onloadedmetadata = function(e) {
+                video.currentTime = Math.min(currentTime || 0, video.duration || 0);
+            };
+            video.onseeked = function(e) {
+                if (video.videoHeight <= MIN_IMG_SIZE && video.videoWidth <= MIN_IMG_SIZE) {
+                    reject(`Video size too small. [${ video.videoHeight } x ${ video.videoWidth }] vs. minimum [${ MIN_IMG_SIZE } x ${ MIN_IMG_SIZE }]`);
+                    return;
+                }
+                resolve(video);
+            };
+            video.src = srcUrl;
+        });
+    }
+
+    /**
+     * Classifies frames of the animated image and returns predictions of the frame
+     * which decides the verdict, so the animation is blocked if any frame is explicit.
+     * @param {Array<HTMLCanvasElement>} frames sampled frames of the image.
+     */
+    async predictFrames(frames) {
+        // Frames are predicted in one batch
+        const framesPredictions = await Promise.all(frames.map((frame) => this.predict(frame)));
+        const { frame } = ImageRuler.decideFrames(framesPredictions, purify.purifyFiltering.getClassificationPolicy());
+        return framesPredictions[frame];
     }
 
     /**
      * Executes the model on the input image, and returns the top predicted classes.
+     * Images requested at the same time are predicted in one batch.
      * @param {HTMLElement} imgElement HTML element holding the image to predict from.
      * Should have the correct size ofr mobilenet.
      */
     async predict(imgElement) {
-        console.log('Predicting...');
-        // The first start time includes the time it takes to extract the image
-        // from the HTML and preprocess it, in additon to the predict() call.
-        const startTime1 = performance.now();
-        // The second start time excludes the extraction and preprocessing and
-        // includes only the predict() call.
-        let startTime2;
-        const logits = tf.tidy(() => {
-            // Mobilenet expects images to be normalized between -1 and 1.
-            const img = tf.browser.fromPixels(imgElement).toFloat();
-            // const offset = tf.scalar(127.5);
-            // const normalized = img.sub(offset).div(offset);
-            // const normalized = img.div(tf.scalar(256.0));
-            const normalized = tf.image.resizeBilinear(img.div(tf.scalar(256.0)), [224, 224], false);
-            const batched = normalized.reshape([1, IMAGE_SIZE, IMAGE_SIZE, 3]);
-            startTime2 = performance.now();
-            const output = this.model.predict(batched);
-            batched.dispose();
-            normalized.dispose();
-            img.dispose();
-            imgElement = null;
-            // console.log("Result "+JSON.stringify(output));
-            return output;
-            if (output.shape[output.shape.length - 1] === 1001) {
-                // Remove the very first logit (background noise).
-                return output.slice([0, 1], [-1, 1000]);
-            } else if (output.shape[output.shape.length - 1] === 1000) {
-                return output;
-            } else {
-                throw new Error('Unexpected shape...');
-            }
-        });
+        if (!this.batcher) {
+            this.batcher = new purify.utils.PredictionBatcher({
+                runBatch: (images) => this.predictBatch(images),
+                maxBatchSize: MAX_BATCH_SIZE,
+                windowMs: BATCH_WINDOW_MS,
+            });
+        }
+        return this.batcher.add(imgElement);
+    }
+
+    /**
+     * Sends the batch of images to the classifier worker, and returns the top predicted
+     * classes of every image.
+     * @param {Array<HTMLElement>} imgElements HTML elements holding the images to predict from.
+     */
+    async predictBatch(imgElements) {
+        console.log(`Predicting ${imgElements.length} images...`);
+        const startTime = performance.now();
+        const bitmaps = await Promise.all(imgElements.map((imgElement) => createImageBitmap(imgElement)));
 
-        // Convert logits to probabilities and class names.
-        const classes = await this.getTopKClasses(logits, TOPK_PREDICTIONS);
-        const totalTime1 = performance.now() - startTime1;
-        const totalTime2 = performance.now() - startTime2;
+        // Bitmaps are transferred, not copied
+        const classes = await this.request({ type: PREDICT, bitmaps }, bitmaps);
+
+        const totalTime = performance.now() - startTime;
         console.log(
-            `Done in ${totalTime1.toFixed(1)} ms ` +
-            `(not including preprocessing: ${Math.floor(totalTime2)} ms)`);
-        // console.log(classes);
+            `Done in ${totalTime.toFixed(1)} ms ` +
+            `(${(totalTime / imgElements.length).toFixed(1)} ms per image)`);
         return classes;
     }
+
+    /**
+     * Scores the texts by the text model.
+     * @param {Array<string>} texts
+     * @returns {Promise<Array<Object<string, number>>|null>} scores of every text,
+     *     null if the text model is not available.
+     */
+    async classifyTexts(texts) {
+        if (!this.textModelReady) {
+            this.loadTextModel();
+        }
+        await this.textModelReady;
+        if (!this.textModelLoaded || !Array.isArray(texts) || texts.length === 0) {
+            return null;
+        }
+
+        const trimmed = texts.slice(0, MAX_TEXTS).map((text) => String(text).substring(0, MAX_TEXT_LENGTH));
+        try {
+            return await this.request({ type: PREDICT_TEXT, texts: trimmed });
+        } catch (error) {
+            console.error(`Unable to classify texts: ${ error }`);
+            return null;
+        }
+    }
+
+    /**
+     * Sends the request to the worker and waits for its PREDICTED or PREDICT_FAILED reply.
+     * @param {Object} message see classifier-messages.js, id is added.
+     * @param {Array<Transferable>} transfer
+     * @returns {Promise<Array>}
+     */
+    request(message, transfer = []) {
+        this.lastRequestId += 1;
+        const id = this.lastRequestId;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(id, { resolve, reject });
+            this.worker.postMessage(Object.assign({ id }, message), transfer);
+        });
+    }
 }
 
 const imageClassifier = new ImageClassifier();
+// Used by the network filter to classify images from the response bodies
+purify.imageClassifier = imageClassifier;
 
 /**
  *
@@ -286,12 +570,53 @@ function is_toplist(domain) {
     return CP_TOPLIST.indexOf(d) === -1 ? false : true;
 }
 
+/**
+ * Returns hate speech words of the frame languages
+ * @param {MessageSender} sender content script of the frame.
+ * @param {Array<string>} languages languages found by the content script.
+ * @returns {Array<string>}
+ */
+function getHateSpeechWords(sender, languages) {
+    const tab = sender.tab ? { tabId: sender.tab.id } : null;
+    return purify.hateSpeech.getWords(purify.localeDetect.getFrameLanguages(tab, sender.url, languages));
+}
+
 chrome.runtime.onMessage.addListener(
     function(request, sender, sendResponse) {
         switch (request.action) {
             case 'analyze':
             case 'predict':
-                imageClassifier.analyzeImage(request.srcUrl, request.srcType, sender.tab.id, 0);
+                imageClassifier.analyzeImage(request.srcUrl, request.srcType, sender.tab.id, 0, {
+                    elementId: request.elementId,
+                    currentTime: request.currentTime,
+                });
+                break;
+
+            // Languages sampled from the page text after the load
+            case 'getHateSpeechWords':
+                sendResponse({ hateSpeechWords: getHateSpeechWords(sender, request.languages) });
+                break;
+
+            case 'classifyText':
+                imageClassifier.classifyTexts(request.texts).then((scores) => sendResponse({ scores }));
+                break;
+
+            // Blurred images actions
+            case 'checkRevealPin':
+                sendResponse({ valid: purify.imageOverrides.checkPin(request.pin) });
+                break;
+
+            case 'allowImage':
+                purify.imageOverrides.allow(request).then((success) => sendResponse({ success }));
+                break;
+
+            case 'reportImage':
+                purify.imageOverrides.report({
+                    srcUrl: request.srcUrl,
+                    contentHash: request.contentHash,
+                    pageUrl: sender.tab.url,
+                    predictions: request.predictions,
+                });
                 break;
 
             case 'hidetab':
@@ -314,7 +639,11 @@ chrome.runtime.onMessage.addListener(
                 };
                 purify.parentalControl.syncBlacklist(messages);
 
-                chrome.tabs.update(sender.tab.id, { url: chrome.extension.getURL("pages/blocking-pages/adBlockedPage.html") });
+                purify.activityReport.recordBlocked(sender.tab.url, "nsfw");
+
+                // Block page explains why the page is blocked
+                let blockedPage = purify.rules.documentFilterService.getDocumentBlockPageUrl(request.url, "Explicit Content", request.reason);
+                chrome.tabs.update(sender.tab.id, { url: blockedPage });
                 break;
 
             case 'checkdomain':
@@ -335,14 +664,22 @@ chrome.runtime.onMessage.addListener(
                     // console.log("domain " + domain + " is_toplist " + is_toplist(domain));
                     // console.log(md5(domain), is_blacklist(md5(domain)), is_toplist(domain));
                     if ((is_blacklist(md5(domain)) == true) && is_toplist(domain) == false) {
+                        purify.activityReport.recordBlocked(tabs[0].url, "blacklist");
                         chrome.tabs.update(sender.tab.id, { url: chrome.extension.getURL("pages/blocking-pages/adBlockedPage.html") });
                     }
 
-                    // console.log(['background', request, sender, `${purify.hateSpeech.regexModelHateSpeech()}`]);
-                    // chrome.tabs.sendMessage(sender.tab.id, { action: 'replace_hatespeech', regexModelHateSpeech: purify.hateSpeech.regexModelHateSpeech() });
-                    sendResponse({ action: 'replace_hatespeech', regexModelHateSpeech: purify.hateSpeech.regexModelHateSpeech() });
+                    sendResponse({
+                        action: 'replace_hatespeech',
+                        hateSpeechWords: getHateSpeechWords(sender, request.languages),
+                        policy: purify.purifyFiltering.getClassificationPolicy(),
+                    });
                 });
                 break;
+
+            case 'reportBlurs':
+                // Images and texts blurred in the page since the previous report
+                purify.activityReport.recordBlurs({ images: request.images, texts: request.texts });
+                break;
         }
         return true;
     }
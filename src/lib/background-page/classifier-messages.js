@@ -0,0 +1,35 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension classifier-messages.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Messages between the background page and the classifier worker.
+ *
+ * Background page -> worker:
+ *   { type: LOAD_MODEL, model }          model from the registry, see model-registry.js
+ *   { type: PREDICT, id, bitmaps }       bitmaps are transferred to the worker
+ *   { type: LOAD_TEXT_MODEL, model }     text model, see getTextModel in model-registry.js
+ *   { type: PREDICT_TEXT, id, texts }
+ *
+ * Worker -> background page:
+ *   { type: MODEL_LOADED, modelId, version, totalTime }
+ *   { type: MODEL_FAILED, modelId, version, error }
+ *   { type: TEXT_MODEL_LOADED, modelId, version, totalTime }
+ *   { type: TEXT_MODEL_FAILED, modelId, version, error }
+ *   { type: PREDICTED, id, predictions } predictions of every bitmap or scores of every text
+ *                                        in the same order
+ *   { type: PREDICT_FAILED, id, error }
+ */
+export const LOAD_MODEL = 'loadModel';
+export const MODEL_LOADED = 'modelLoaded';
+export const MODEL_FAILED = 'modelFailed';
+export const PREDICT = 'predict';
+export const PREDICTED = 'predicted';
+export const PREDICT_FAILED = 'predictFailed';
+export const LOAD_TEXT_MODEL = 'loadTextModel';
+export const TEXT_MODEL_LOADED = 'textModelLoaded';
+export const TEXT_MODEL_FAILED = 'textModelFailed';
+export const PREDICT_TEXT = 'predictText';
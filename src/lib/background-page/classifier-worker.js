@@ -0,0 +1,335 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension classifier-worker.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Runs the image classifier outside of the background page thread,
+ * so request filtering doesn't wait for predictions.
+ */
+
+import 'babel-polyfill';
+import * as tf from '@tensorflow/tfjs';
+import {
+    LOAD_MODEL,
+    MODEL_LOADED,
+    MODEL_FAILED,
+    PREDICT,
+    PREDICTED,
+    PREDICT_FAILED,
+    LOAD_TEXT_MODEL,
+    TEXT_MODEL_LOADED,
+    TEXT_MODEL_FAILED,
+    PREDICT_TEXT,
+} from './classifier-messages';
+
+// How many predictions to take.
+const TOPK_PREDICTIONS = 7;
+
+// Token ids of the padding and of the words missing in the vocabulary.
+const PADDING_TOKEN_ID = 0;
+const UNKNOWN_TOKEN_ID = 1;
+// Characters splitting the text to the word tokens.
+const TOKEN_SEPARATORS = /[\s.,!?;:"'()[\]{}<>«»…—–\-_/\\|*#@&^~`+=]+/;
+// Characters of the scripts written without spaces between the words: Thai, Lao, Khmer, Myanmar, CJK.
+const UNSPACED_CHARACTERS = /([\u0E00-\u0EFF\u1000-\u109F\u1780-\u17FF\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF])/;
+// Words of these scripts are found by the dictionary of the browser where it is supported.
+const WORD_SEGMENTER = typeof Intl !== 'undefined' && Intl.Segmenter ?
+    new Intl.Segmenter(undefined, { granularity: 'word' }) :
+    null;
+
+// Loaded model and its description from the registry.
+let model = null;
+let modelInfo = null;
+
+// Loaded text model, its description and vocabulary as map of the word to the token id.
+let textModel = null;
+let textModelInfo = null;
+let textVocabulary = null;
+
+/**
+ * Calculates SHA-256 of the buffers as hex string
+ * @param {Array<ArrayBuffer>} buffers
+ */
+async function sha256(buffers) {
+    const bytes = concatBuffers(buffers);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {Array<ArrayBuffer>} buffers
+ * @returns {ArrayBuffer}
+ */
+function concatBuffers(buffers) {
+    const length = buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    buffers.forEach((buffer) => {
+        bytes.set(new Uint8Array(buffer), offset);
+        offset += buffer.byteLength;
+    });
+    return bytes.buffer;
+}
+
+async function fetchBuffer(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Unable to load ${ url }: ${ response.status }`);
+    }
+    return response.arrayBuffer();
+}
+
+/**
+ * Downloads model.json and weights, checks their hash and loads the model from memory,
+ * so the verified files are exactly the loaded ones.
+ * @param {Object} info model from the registry.
+ * @returns {Promise<{graphModel: GraphModel, metadata: Object}>} model and its userDefinedMetadata.
+ */
+async function fetchVerifiedModel(info) {
+    const modelJsonBuffer = await fetchBuffer(info.url);
+    const modelJson = JSON.parse(new TextDecoder().decode(modelJsonBuffer));
+
+    const weightSpecs = [];
+    const weightBuffers = [];
+    for (const group of modelJson.weightsManifest) {
+        for (const path of group.paths) {
+            weightBuffers.push(await fetchBuffer(new URL(path, info.url).href));
+        }
+        weightSpecs.push(...group.weights);
+    }
+
+    if (info.sha256) {
+        const hash = await sha256([modelJsonBuffer].concat(weightBuffers));
+        if (hash !== info.sha256.toLowerCase()) {
+            throw new Error(`Integrity check failed for ${ info.id }@${ info.version }`);
+        }
+    }
+
+    const graphModel = await tf.loadGraphModel(tf.io.fromMemory({
+        modelTopology: modelJson.modelTopology,
+        format: modelJson.format,
+        generatedBy: modelJson.generatedBy,
+        convertedBy: modelJson.convertedBy,
+        signature: modelJson.signature,
+        userDefinedMetadata: modelJson.userDefinedMetadata,
+        weightSpecs,
+        weightData: concatBuffers(weightBuffers),
+    }));
+    return { graphModel, metadata: modelJson.userDefinedMetadata || {} };
+}
+
+/**
+ * Loads the model and warms it up.
+ * The previous model is used until the new one is ready and then it is disposed.
+ * @param {Object} info model from the registry.
+ */
+async function loadModel(info) {
+    const startTime = performance.now();
+    const { id: modelId, version } = info;
+    try {
+        const { graphModel: loaded } = await fetchVerifiedModel(info);
+        // Warms up the model by causing intermediate tensor values
+        // to be built and pushed to GPU.
+        tf.tidy(() => {
+            loaded.predict(tf.zeros([1, info.inputSize, info.inputSize, 3]));
+        });
+
+        const previous = model;
+        model = loaded;
+        modelInfo = info;
+        if (previous) {
+            previous.dispose();
+        }
+
+        const totalTime = Math.floor(performance.now() - startTime);
+        self.postMessage({ type: MODEL_LOADED, modelId, version, totalTime });
+    } catch (error) {
+        self.postMessage({ type: MODEL_FAILED, modelId, version, error: `Unable to load model from URL: ${ info.url }, ${ error }` });
+    }
+}
+
+/**
+ * Reads pixels of the bitmap, DOM is not available in the worker.
+ * @param {ImageBitmap} bitmap
+ */
+function readPixels(bitmap) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Sorts predictions of every image of the batch by score and keeps only topK
+ * @param {Tensor} logits A tensor with one row per image and one element per predicatable class
+ * type of mobilenet.  Return of executing model.predict on a batch of images.
+ * @param {number} topK how many to keep.
+ */
+async function getTopKClasses(logits, topK, labels) {
+    const { values, indices } = tf.topk(logits, topK, true);
+    const valuesArr = await values.data();
+    const indicesArr = await indices.data();
+    values.dispose();
+    indices.dispose();
+    const batchClasses = [];
+    for (let b = 0; b < logits.shape[0]; b++) {
+        const topClassesAndProbs = [];
+        for (let i = b * topK; i < (b + 1) * topK; i++) {
+            topClassesAndProbs.push({
+                className: labels[indicesArr[i]],
+                probability: valuesArr[i]
+            })
+        }
+        batchClasses.push(topClassesAndProbs);
+    }
+    return batchClasses;
+}
+
+/**
+ * Executes the model on the batch of images, and returns the top predicted classes
+ * of every image.
+ * @param {Array<ImageBitmap>} bitmaps
+ */
+async function predict(bitmaps) {
+    const { inputSize, labels, normalization } = modelInfo;
+    const pixels = bitmaps.map(readPixels);
+    const logits = tf.tidy(() => {
+        const normalized = pixels.map((imageData) => {
+            const img = tf.browser.fromPixels(imageData).toFloat();
+            const scaled = img.mul(tf.scalar(normalization.scale)).add(tf.scalar(normalization.offset));
+            return tf.image.resizeBilinear(scaled, [inputSize, inputSize], false);
+        });
+        return model.predict(tf.stack(normalized));
+    });
+
+    // Convert logits to probabilities and class names.
+    const classes = await getTopKClasses(logits, Math.min(TOPK_PREDICTIONS, labels.length), labels);
+    logits.dispose();
+    return classes;
+}
+
+/**
+ * Loads the text model and its vocabulary.
+ * @param {Object} info text model from the registry.
+ */
+async function loadTextModel(info) {
+    const startTime = performance.now();
+    const { id: modelId, version } = info;
+    try {
+        const { graphModel, metadata } = await fetchVerifiedModel(info);
+        if (!Array.isArray(metadata.vocab)) {
+            throw new Error('Text model has no vocabulary');
+        }
+        tf.tidy(() => {
+            graphModel.predict(tf.zeros([1, info.maxLength], 'int32'));
+        });
+
+        textVocabulary = new Map(metadata.vocab.map((word, id) => [word, id]));
+        textModel = graphModel;
+        textModelInfo = info;
+
+        const totalTime = Math.floor(performance.now() - startTime);
+        self.postMessage({ type: TEXT_MODEL_LOADED, modelId, version, totalTime });
+    } catch (error) {
+        self.postMessage({ type: TEXT_MODEL_FAILED, modelId, version, error: `Unable to load text model from URL: ${ info.url }, ${ error }` });
+    }
+}
+
+/**
+ * Splits the text to the words. Without the word segmenter every character
+ * of the scripts without spaces is a separate word.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function splitWords(text) {
+    if (WORD_SEGMENTER) {
+        return Array.from(WORD_SEGMENTER.segment(text))
+            .filter((segment) => segment.isWordLike)
+            .map((segment) => segment.segment);
+    }
+    return text.split(TOKEN_SEPARATORS)
+        .reduce((words, word) => words.concat(word.split(UNSPACED_CHARACTERS)), [])
+        .filter((word) => word.length > 0);
+}
+
+/**
+ * Converts the text to the token ids of its first words, the rest of the input is padded.
+ * @param {string} text
+ * @param {number} maxLength number of the tokens of the model input.
+ * @returns {Array<number>}
+ */
+function tokenize(text, maxLength) {
+    const ids = new Array(maxLength).fill(PADDING_TOKEN_ID);
+    splitWords(text.normalize('NFKC').toLowerCase())
+        .slice(0, maxLength)
+        .forEach((word, i) => {
+            ids[i] = textVocabulary.has(word) ? textVocabulary.get(word) : UNKNOWN_TOKEN_ID;
+        });
+    return ids;
+}
+
+/**
+ * Scores the texts by the text model.
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Object<string, number>>>} probability of every label for every text.
+ */
+async function predictText(texts) {
+    const { maxLength, labels } = textModelInfo;
+    const ids = texts.map((text) => tokenize(text, maxLength));
+    const scores = tf.tidy(() => textModel.predict(tf.tensor2d(ids, [texts.length, maxLength], 'int32')));
+    const values = await scores.data();
+    scores.dispose();
+
+    return texts.map((text, b) => {
+        const result = {};
+        labels.forEach((label, i) => {
+            result[label] = values[b * labels.length + i];
+        });
+        return result;
+    });
+}
+
+self.onmessage = function(event) {
+    const { type, id } = event.data;
+    switch (type) {
+        case LOAD_MODEL:
+            loadModel(event.data.model);
+            break;
+
+        case PREDICT:
+            if (!model) {
+                self.postMessage({ type: PREDICT_FAILED, id, error: 'Model is not loaded' });
+                return;
+            }
+            predict(event.data.bitmaps).then(
+                (predictions) => {
+                    self.postMessage({ type: PREDICTED, id, predictions });
+                },
+                (error) => {
+                    self.postMessage({ type: PREDICT_FAILED, id, error: `${error}` });
+                });
+            break;
+
+        case LOAD_TEXT_MODEL:
+            loadTextModel(event.data.model);
+            break;
+
+        case PREDICT_TEXT:
+            if (!textModel) {
+                self.postMessage({ type: PREDICT_FAILED, id, error: 'Text model is not loaded' });
+                return;
+            }
+            predictText(event.data.texts).then(
+                (predictions) => {
+                    self.postMessage({ type: PREDICTED, id, predictions });
+                },
+                (error) => {
+                    self.postMessage({ type: PREDICT_FAILED, id, error: `${error}` });
+                });
+            break;
+    }
+};
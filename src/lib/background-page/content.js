@@ -15,6 +15,8 @@
  * =============================================================================
  */
 
+/* global ImageRuler, ImageSource, MediaSampler, PageRiskScorer, PurifyState, RevealOverlay, ShadowScanner, TextFilter, injectPageScriptAPI */
+
 // class name for all text nodes added by this script.
 const TEXT_DIV_CLASSNAME = 'tfjs_mobilenet_extension_text';
 // Thresholds for LOW_CONFIDENCE_THRESHOLD and HIGH_CONFIDENCE_THRESHOLD,
@@ -22,6 +24,10 @@ const TEXT_DIV_CLASSNAME = 'tfjs_mobilenet_extension_text';
 const HIGH_CONFIDENCE_THRESHOLD = 0.5;
 const LOW_CONFIDENCE_THRESHOLD = 0.1;
 const THIS_DOMAIN = window.location.hostname;
+// Length of the page text sampled to detect its languages.
+const LANGUAGE_SAMPLE_LENGTH = 3000;
+// Share of the sampled text in the language to mask the words of the language.
+const MIN_LANGUAGE_PERCENTAGE = 20;
 var images = [],
     bg_images = [],
     process_images = [],
@@ -33,16 +39,58 @@ var images = [],
 
 var ban_image = "data:image/jpeg;base64,/9j/4AAQSkZJRgABAQAAAQABAAD/2wCEAAkGBwgIBwcHCAcHBwcHBwoHBwcHBw8ICQcKFREiFhURExMYHCggGCYlGxMTITEhMSkrLi4uFx8zODMsNygtLisBCgoKDQ0NDg0NDy0ZFRk3NysrKysrKysrKysrKysrKysrKys3KysrKysrKysrKysrKysrKysrKysrKysrKysrK//AABEIAKgBLAMBIgACEQEDEQH/xAAYAAEBAQEBAAAAAAAAAAAAAAAAAQIHA//EABYQAQEBAAAAAAAAAAAAAAAAAAABEf/EABcBAQEBAQAAAAAAAAAAAAAAAAABAgP/xAAYEQEBAQEBAAAAAAAAAAAAAAAAARESAv/aAAwDAQACEQMRAD8A7eAAAAACAAAAAAIoCAAgqAAAgqAgoCCgIKACgIKAKAKCgAAAAAAAAgoCCgIKAgqAIqAIoCAAAAAAAoIKAgoCKACigAACAKAAAAAAAAAAAAigIACCgIKAgoCCgIKAAAAAigAoAIAAIDQoCCgIKAgoCCgIKAgoCCgIKAgoCCgIKAgAAAAICiAKgUAQAABsAAAAAAAAAAAAAAAAAAAAEAAAEAUQAAAAAABBQEFAaAAAAAAAAAAAAAAAABAVAABAVAEEAAAFEAURRQAAAAFBQAAAAAAAAAAAAAEAAEBUAQEAAAAQRQBQABUAUAUUAAAUAAAAAAAAAAACotQAABFQBAQBA1AQNFEDTFEDTFVlTRRA0URTVVWVBVRVAAAAAAAAAAAACotQAEQEVE0QETVE0TU0xdNZ01OjF01nTU6Ma1dY006XG9NZ01ejGtNZ1ToxpWVXTGosZWLKjSpFaiACgAAAAAAAAABUWoAi1mpVKhWaxaoJqWsauGpalrNrF9LjWprOprPS43prGmp2uN6axpp0Y3q689XV6Mb1dY1ZV6TG5VYlalalTG41GI1G5UrUaZjTrGaAKgAAAAAAAAABUAEqUGasZrNByrUZtZtBytbjNrNqjna1Izamg521rE00Gdq4auoLpi6ugsqYutSg3KjUqwHSM1qNxR18sVqNA7eWK//Z";
 
-var TOTAL_POSITIVE = 0;
-var IMAGE_IN_NUMBER = 30;
 var POSITIVE_IMAGES = [];
-var POSITIVE_IN_NUMBER = 10;
-var POSITIVE_IN_RATE = 0.3;
+
+/**
+ * Verdicts of the classified image urls, images with the same url are not classified again
+ */
+var image_verdicts = {};
 var HIDETAB = 0;
+
+/**
+ * Keys of the blurred images and the counts already sent to the activity report
+ */
+var blurred_images = {};
+var reported_blurs = { images: 0, texts: 0 };
+var blur_report_timer = null;
+var BLUR_REPORT_DELAY_MS = 5000;
 var BROWSER = "safari";
 
-var regexModelHateSpeech = null,
-    processReplaceHateSpeech = [];
+/**
+ * Classification policy received from the background page.
+ * Every category is blocked until the background page answers.
+ */
+var classificationPolicy = {
+    blockedClasses: ["Porn", "Sexy", "Gory_aug", "Horror_aug"],
+    strictness: ImageRuler.DEFAULT_STRICTNESS,
+    pageRiskThreshold: PageRiskScorer.DEFAULT_RISK_THRESHOLD,
+    minFlaggedImages: PageRiskScorer.DEFAULT_MIN_FLAGGED_IMAGES,
+    text: { enabled: false, thresholds: {} },
+};
+
+/**
+ * Verdicts of the classified images of the page
+ */
+var pageRisk = PageRiskScorer.create();
+
+/**
+ * Injects wrappers.js page script, it reports new shadow roots and
+ * injects itself into the frames created by the page
+ */
+function injectpagescript() {
+    var scriptName = "wrapper-script-" + Math.random().toString().substr(2);
+    var script = document.createElement("script");
+    script.setAttribute("type", "text/javascript");
+    script.textContent = `(${ injectPageScriptAPI.toString() })('${ scriptName }', true);`;
+
+    var parent = document.head || document.documentElement;
+    parent.appendChild(script);
+    if (script.parentNode) {
+        script.parentNode.removeChild(script);
+    }
+}
+
+injectpagescript();
 
 navigator.saysWho = (() => {
     const { userAgent } = navigator
@@ -263,35 +311,6 @@ var add32 = function(a, b) {
 }
 
 
-function Ruler(classes) {
-    labels = []
-    Neutral_position = 7;
-    for (var i = 0; i < classes.length; i++) {
-        labels[classes[i].className] = (Math.round(classes[i].probability * 100) / 100);
-        if (classes[i].className == "Neutral") { Neutral_position = i; }
-    }
-
-    if (labels["Horror_aug"] >= 0.78) {
-        return 1;
-    } else if (labels["Gory_aug"] >= 0.75) {
-        return 2;
-    } else if (labels["Porn"] >= 0.7) {
-        return 4;
-    } else if ((labels["Gory_aug"] + labels["Horror_aug"]) >= 0.79 && Neutral_position > 1) {
-        return 3;
-    } else if ((labels["Porn"] + labels["Sexy"]) >= 0.75 && Neutral_position > 1) {
-        return 5;
-    } else if ((labels["Porn"] + labels["Horror_aug"]) >= 0.75 && Neutral_position > 1) {
-        return 6;
-    } else if ((labels["Porn"] + labels["Gory_aug"]) >= 0.77 && Neutral_position > 1) {
-        return 7;
-    } else if ((labels["Horror_aug"] + labels["Sexy"]) >= 0.75 && Neutral_position > 1) {
-        return 8;
-    } else {
-        return 0;
-    }
-}
-
 function is_valid_image(url) {
     if (
         url.indexOf("base64") != -1 ||
@@ -314,97 +333,275 @@ function is_valid_image(url) {
     // }
 }
 
-function blurallimgs(srcUrl, srcType, predict_result) {
+/**
+ * Asks background page to block the whole tab if the page risk is too high
+ */
+function hidetabifneeded() {
+    var decision = pageRisk.decide(classificationPolicy);
+    if (decision.block) {
+        if (HIDETAB == 0) {
+            HIDETAB = 1;
+            chrome.runtime.sendMessage({ action: "hidetab", url: window.location.href, POSITIVE_IMAGES, reason: decision.reason }, function(response) {
+                // console.log(response.result);
+            });
+            // console.log("HIDETAB");
+        }
+    }
+}
 
-    var elements = document.querySelectorAll(image_tags.join(","));
+/**
+ * Sends message to the background page and waits for the response
+ */
+function sendaction(message) {
+    return new Promise(function(resolve) {
+        chrome.runtime.sendMessage(message, resolve);
+    });
+}
+
+/**
+ * Sends the images and the texts blurred since the previous report, at most once in a while
+ */
+function reportblurs() {
+    if (blur_report_timer) {
+        return;
+    }
+    blur_report_timer = setTimeout(function() {
+        blur_report_timer = null;
+        var images = Object.keys(blurred_images).length;
+        // Blurred texts may be removed by the page, only new ones are counted
+        var texts = Math.max(TextFilter.countBlurred(), reported_blurs.texts);
+        if (images > reported_blurs.images || texts > reported_blurs.texts) {
+            chrome.runtime.sendMessage({
+                action: "reportBlurs",
+                images: images - reported_blurs.images,
+                texts: texts - reported_blurs.texts,
+            });
+            reported_blurs = { images, texts };
+        }
+    }, BLUR_REPORT_DELAY_MS);
+}
+
+/**
+ * Shows reveal, always allow and report actions over the blurred element.
+ * Allowed image is never blurred again, in this or in any other page.
+ */
+function attachoverlay(el, image) {
+    // frames are data urls, they are allowed by the content hash only
+    var srcUrl = image.srcType === "frame" ? null : image.srcUrl;
+
+    RevealOverlay.attach(el, {
+        checkPin: function(pin) {
+            return sendaction({ action: "checkRevealPin", pin }).then(function(response) {
+                return Boolean(response && response.valid);
+            });
+        },
+        allow: function(pin) {
+            return sendaction({ action: "allowImage", srcUrl, contentHash: image.contentHash, pin }).then(function(response) {
+                var success = Boolean(response && response.success);
+                if (success) {
+                    pageRisk.add(image.key, Object.assign(PageRiskScorer.measure(el), { flagged: false }));
+                }
+                return success;
+            });
+        },
+        report: function() {
+            chrome.runtime.sendMessage({ action: "reportImage", srcUrl, contentHash: image.contentHash, predictions: image.predictions });
+        },
+    });
+}
+
+/**
+ * Blurs images and elements with background image of the url
+ *
+ * @returns {Element|null} the first found element
+ */
+function blurallimgs(srcUrl, srcType, predict_result, image) {
+    var found = null;
+    image_verdicts[srcUrl] = { predict_result, image };
+
+    var elements = ShadowScanner.querySelectorAll(image_tags.join(","));
     // var elements = document.body.getElementsByTagName("*");
     /**
      ** When the DOM is ready find all the images and background images initially loaded */
     Array.prototype.forEach.call(elements, function(el) {
         var style = window.getComputedStyle(el, false);
-        if (el.src == srcUrl) {
-            if (el.tagName === "IMG") {
-                if (predict_result == 0) {
-                    // el.style = "filter: blur(0px) !important;opacity:1 !important;";
-                    // el.style.setProperty('filter', 'blur(0px) !important', "");
-                    // el.setAttribute('cp-srcurl', el.src + " == " + srcUrl);
-                    el.style.filter = "blur(0px)";
-                    // el.style.visibility = "visible";
-                } else {
-                    // el.style = "-webkit-filter: blur(30px) !important;filter: blur(30px) !important;opacity:0.25 !important;";
-                    // el.style.setProperty('filter', 'blur(30px) !important', "");
-                    el.style.filter = "blur(30px)";
-                    // el.style.visibility = "hidden";
-                    // console.log(TOTAL_POSITIVE + "/" + process_images.length + " " + (TOTAL_POSITIVE / process_images.length))
-                    if (
-                        (process_images.length <= IMAGE_IN_NUMBER && TOTAL_POSITIVE >= POSITIVE_IN_NUMBER) ||
-                        (process_images.length > IMAGE_IN_NUMBER && (TOTAL_POSITIVE / process_images.length) >= POSITIVE_IN_RATE)
-                    ) {
-                        if (HIDETAB == 0) {
-                            HIDETAB = 1;
-                            chrome.runtime.sendMessage({ action: "hidetab", url: window.location.href, POSITIVE_IMAGES }, function(response) {
-                                // console.log(response.result);
-                            });
-                            // console.log("HIDETAB");
-                        }
-                    }
-                }
-            }
+        if (el.tagName === "IMG" && imagesrc(el) == srcUrl) {
+            found = found || el;
+            markimage(el, predict_result, image);
 
         } else if (style.backgroundImage != "none" && predict_result > 0 && style.backgroundImage.match(urlRegex)) {
             // bg_img_url = style.backgroundImage.slice(4, -1).replace(/['"]/g, "");
             bg_img_url = style.backgroundImage.match(urlRegex)[1];
             if (bg_img_url == srcUrl) {
+                found = found || el;
                 // el.style.backgroundImage = "url('" + ban_image + "')";
                 el.style.backgroundImage = style.backgroundImage.replace(urlRegex, "url('" + ban_image + "')");
                 // console.log(style.backgroundImage.replace(urlRegex, "url('" + ban_image + "')"));
-
-                // console.log(TOTAL_POSITIVE + "/" + process_images.length + " FOUND bg_images " + bg_img_url);
-                // console.log(TOTAL_POSITIVE + "/" + process_images.length + " " + (TOTAL_POSITIVE / process_images.length))
-                if (
-                    (process_images.length <= IMAGE_IN_NUMBER && TOTAL_POSITIVE >= POSITIVE_IN_NUMBER) ||
-                    (process_images.length > IMAGE_IN_NUMBER && (TOTAL_POSITIVE / process_images.length) >= POSITIVE_IN_RATE)
-                ) {
-                    if (HIDETAB == 0) {
-                        HIDETAB = 1;
-                        chrome.runtime.sendMessage({ action: "hidetab", url: window.location.href, POSITIVE_IMAGES }, function(response) {
-                            // console.log(response.result);
-                        });
-                        // console.log("HIDETAB");
-                    }
-                }
             }
 
         }
     });
+
+    return found;
+}
+
+/**
+ * Shows or blurs the image by its verdict
+ */
+function markimage(el, predict_result, image) {
+    if (RevealOverlay.isRevealed(el)) {
+        return;
+    }
+    // Image is shown or blurred by purify-prehide.css
+    if (predict_result == 0) {
+        PurifyState.set(el, PurifyState.CLEAN);
+        RevealOverlay.detach(el);
+    } else {
+        PurifyState.set(el, PurifyState.FLAGGED);
+        attachoverlay(el, image);
+    }
+}
+
+/**
+ * Blurs video, canvas, svg image or the video with poster which was classified by element id.
+ * Frames of the videos are sampled all the time, so once flagged element stays blurred.
+ *
+ * @returns {Element|null} the element
+ */
+function blurelement(elementId, srcType, predict_result, image) {
+    var el = MediaSampler.findElement(elementId);
+    if (!el || RevealOverlay.isRevealed(el)) {
+        return el;
+    }
+
+    // Flagged element can't become clean, see purify-state.js
+    if (predict_result > 0) {
+        PurifyState.set(el, PurifyState.FLAGGED);
+        attachoverlay(el, image);
+    } else {
+        PurifyState.set(el, PurifyState.CLEAN);
+    }
+
+    return el;
+}
+
+/**
+ * Marks images which couldn't be loaded by the background page, they stay blurred.
+ * Media elements are blurred only when flagged, so their failures are ignored.
+ */
+function markfailed(srcUrl) {
+    ShadowScanner.querySelectorAll("img").forEach(function(el) {
+        if (imagesrc(el) == srcUrl) {
+            PurifyState.set(el, PurifyState.ERROR);
+        }
+    });
+}
+
+/**
+ * Adds verdict of the image to the page risk.
+ * Every sampled frame replaces the previous verdict of the element,
+ * flagged element stays flagged.
+ */
+function scoreimage(key, el, verdict, predictions) {
+    var image = el ? PageRiskScorer.measure(el) : {};
+    image.flagged = verdict.block || Boolean(el && PurifyState.get(el) === PurifyState.FLAGGED);
+    image.confidence = verdict.score;
+    image.className = PageRiskScorer.getFlaggedClass(predictions, classificationPolicy.blockedClasses);
+
+    pageRisk.add(key, image);
+    if (image.flagged) {
+        hidetabifneeded();
+    }
+}
+
+/**
+ * Sends current frames of the playing videos and canvases to the classifier.
+ * If cross-origin video can't be drawn the background page loads the frame by url.
+ */
+function sampleframes() {
+    ShadowScanner.getRoots().reduce(function(elements, root) {
+        return elements.concat(MediaSampler.collectDueFrames(root));
+    }, []).forEach(function(el) {
+        var elementId = MediaSampler.getElementId(el);
+        var frame = MediaSampler.captureFrame(el);
+        if (frame) {
+            chrome.runtime.sendMessage({ action: "predict", srcUrl: frame, srcType: "frame", elementId });
+        } else if (el.tagName === "VIDEO" && el.currentSrc && el.currentSrc.indexOf("blob:") !== 0) {
+            chrome.runtime.sendMessage({ action: "predict", srcUrl: el.currentSrc, srcType: "video", elementId, currentTime: el.currentTime });
+        }
+    });
+}
+
+/**
+ * Sends video posters and svg images to the classifier
+ */
+function getallmedia() {
+    ShadowScanner.getRoots().reduce(function(elements, root) {
+        return elements.concat(MediaSampler.collectMedia(root));
+    }, []).forEach(function({ element, srcUrl, srcType }) {
+        var md5src = md5(`${ srcType }:${ srcUrl }`);
+        if (process_images.indexOf(md5src) == -1) {
+            process_images.push(md5src);
+            var elementId = MediaSampler.getElementId(element);
+            chrome.runtime.sendMessage({ action: "predict", srcUrl, srcType, elementId });
+        }
+    });
 }
 
-function getallimgs(tag) {
+/**
+ * Returns url of the rendered or lazy-loaded image, see image-source.js
+ */
+function imagesrc(el) {
+    var source = ImageSource.resolve(el);
+    return source ? source.url : null;
+}
+
+/**
+ * Returns message for the classifier if the url of the image is not classified yet.
+ * Image with the classified url gets the known verdict.
+ */
+function findimage(el) {
+    var imgsrc = imagesrc(el);
+    if (!imgsrc) {
+        // Url is known after the load, see watchdog
+        return null;
+    }
 
-    var elements = document.querySelectorAll("img, div, i");
+    var md5src = md5(`${ imgsrc }`);
+    if (process_images.indexOf(md5src) != -1) {
+        var known = image_verdicts[imgsrc];
+        if (known) {
+            markimage(el, known.predict_result, known.image);
+        }
+        return null;
+    }
+
+    process_images.push(md5src);
+    PurifyState.set(el, PurifyState.PENDING);
+    el.setAttribute('draggable', false);
+
+    return { action: "predict", srcUrl: imgsrc, srcType: "img", visible: PageRiskScorer.measure(el).visible };
+}
+
+/**
+ * Sends images and css background images to the classifier.
+ * Images are blurred by purify-prehide.css until the prediction is received,
+ * images in the viewport are sent first.
+ */
+function getallimgs() {
+    var requests = [];
+
+    // Images inside of the open shadow roots and the frames created by the page are included
+    var elements = ShadowScanner.querySelectorAll("img, div, i");
     /**
      ** When the DOM is ready find all the images and background images initially loaded
      */
     Array.prototype.forEach.call(elements, function(el) {
         var style = window.getComputedStyle(el, false);
         if (el.tagName === "IMG") {
-            md5src = md5(`${ el.src }`);
-            if (el.src != "" && process_images.indexOf(md5src) == -1) {
-                process_images.push(md5src);
-                // wait_imgs.push(el.src);
-                // console.log(" FOUND IMG " + el.src);
-                if (tag == "alltag") {
-                    // el.style="-webkit-filter: blur(30px) !important;filter: blur(30px) !important;opacity:0.25 !important;";
-                    // el.style.setProperty('filter','blur(30px) !important',"");
-                    el.style.filter = "blur(30px)";
-                    // el.style.visibility = "hidden";
-                }
-
-                el.setAttribute('draggable', false);
-                // console.log({ action: "predict", srcUrl: el.src, srcType: "img" });
-                chrome.runtime.sendMessage({ action: "predict", srcUrl: el.src, srcType: "img" }, function(response) {
-                    // console.log(response);
-                });
+            var request = findimage(el);
+            if (request) {
+                requests.push(request);
             }
 
         } else if (style.backgroundImage != "none" && style.backgroundImage.match(urlRegex)) {
@@ -419,12 +616,18 @@ function getallimgs(tag) {
                 process_images.push(md5src);
                 // console.log({ action: "predict", srcUrl: bg_img_url, srcType: "bg", backgroundImage: style.backgroundImage.match(urlRegex)[1] });
                 // console.log(" FOUND bg_images " + bg_img_url);
-                chrome.runtime.sendMessage({ action: "predict", srcUrl: bg_img_url, srcType: "bg" }, function(response) {
-                    // console.log(response.result);
-                });
+                requests.push({ action: "predict", srcUrl: bg_img_url, srcType: "bg", visible: PageRiskScorer.measure(el).visible });
             }
         }
     });
+
+    requests.filter(function(request) {
+        return request.visible;
+    }).concat(requests.filter(function(request) {
+        return !request.visible;
+    })).forEach(function(request) {
+        chrome.runtime.sendMessage(request);
+    });
 }
 
 /*
@@ -439,106 +642,146 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             case 'predict':
                 if (message.srcUrl && message.predictions) {
                     FROM_CACHE = 0;
-                    var predict_result = Ruler(message.predictions);
-                    clearInterval(autoHideAllImgs);
-                    blurallimgs(message.srcUrl, message.srcType, predict_result);
+                    var verdict = ImageRuler.decide(message.predictions, classificationPolicy);
+                    var predict_result = verdict.code;
+                    var image = {
+                        key: message.elementId || message.srcUrl,
+                        srcUrl: message.srcUrl,
+                        srcType: message.srcType,
+                        contentHash: message.contentHash,
+                        predictions: message.predictions,
+                    };
+                    var el = message.elementId ?
+                        blurelement(message.elementId, message.srcType, predict_result, image) :
+                        blurallimgs(message.srcUrl, message.srcType, predict_result, image);
+
+                    scoreimage(image.key, el, verdict, message.predictions);
 
                     if (predict_result > 0) {
-                        TOTAL_POSITIVE += 1;
-                        if (POSITIVE_IMAGES.indexOf(message.srcUrl) == -1) {
+                        blurred_images[image.key] = true;
+                        reportblurs();
+                        // frames are data urls, so there is nothing to report
+                        if (message.srcType !== "frame" && POSITIVE_IMAGES.indexOf(message.srcUrl) == -1) {
                             POSITIVE_IMAGES.push(message.srcUrl);
                         }
                     }
                 }
                 break;
+            case 'imgfail':
+                if (message.srcUrl && !message.elementId) {
+                    markfailed(message.srcUrl);
+                }
+                break;
+            case 'updatePolicy':
+                if (message.policy) {
+                    classificationPolicy = message.policy;
+                    TextFilter.setPolicy(classificationPolicy.text);
+                }
+                break;
         }
     }
 });
 
-chrome.runtime.sendMessage({ action: "checkdomain", url: window.location.href }, function(response) {
+/**
+ * Languages of the page and of the user, hate speech words of these languages are masked
+ */
+function pagelanguages() {
+    var languages = navigator.languages ? navigator.languages.slice() : [navigator.language];
+    if (document.documentElement && document.documentElement.lang) {
+        languages.unshift(document.documentElement.lang);
+    }
+    return languages.filter(Boolean);
+}
+
+/**
+ * Detects languages of the page text, so the words of every language
+ * of the mixed-language pages are masked, not only of the declared ones
+ */
+function detectpagelanguages() {
+    if (!chrome.i18n || !chrome.i18n.detectLanguage || !document.body) {
+        return;
+    }
+    var sample = document.body.innerText.substring(0, LANGUAGE_SAMPLE_LENGTH);
+    chrome.i18n.detectLanguage(sample, function(result) {
+        if (!result || !result.languages) {
+            return;
+        }
+        var detected = result.languages.filter(function(item) {
+            return item.percentage >= MIN_LANGUAGE_PERCENTAGE;
+        }).map(function(item) {
+            return item.language;
+        });
+        sendaction({ action: "getHateSpeechWords", languages: pagelanguages().concat(detected) }).then(function(response) {
+            if (response && response.hateSpeechWords) {
+                TextFilter.setWords(response.hateSpeechWords);
+            }
+        });
+    });
+}
+
+/**
+ * Scores the blocks of text by the text model of the background page
+ */
+function classifytexts(texts) {
+    return sendaction({ action: "classifyText", texts }).then(function(response) {
+        return response ? response.scores : null;
+    });
+}
+
+chrome.runtime.sendMessage({ action: "checkdomain", url: window.location.href, languages: pagelanguages() }, function(response) {
     if (chrome.runtime.lastError) {
         console.log('lastError.message', chrome.runtime.lastError.message);
         // 'Could not establish connection. Receiving end does not exist.'
         return;
     }
     if (response) {
-        // console.log('replace_hatespeech', response);
         switch (response.action) {
             case 'replace_hatespeech':
                 /*
                  * quét văn bản và thay đổi nội dung có chứa hate
                  */
-                regexModelHateSpeech = response.regexModelHateSpeech;
-                nativeSelectorText();
+                if (response.policy) {
+                    classificationPolicy = response.policy;
+                }
+                TextFilter.init(response.hateSpeechWords, classificationPolicy.text, classifytexts);
                 break;
         }
     }
 });
 
-/**
- * * Quét văn bản trong body
- * * Method                  Total ms        Average ms
- * * --------------------------------------------------
- * * querySelectorAll            1725            1.725
- *
- * @returns
- * +-----------------------------------------------------------------------------------+
- */
-const nativeSelectorText = () => {
-    // console.log('nativeSelectorText', regexModelHateSpeech);
-    const elements = document.querySelectorAll("body, body *");
-    let child;
-    for (let i = 0; i < elements.length; i++) {
-        child = elements[i].childNodes[0];
-        if (elements[i].hasChildNodes() && child.nodeType == 3) {
-            elementsNodeValue = elements[i].childNodes[0].nodeValue;
-            elementsNodeValueMd5 = md5(elementsNodeValue);
-            if (elementsNodeValue != "" && processReplaceHateSpeech.indexOf(elementsNodeValueMd5) == -1) {
-                processReplaceHateSpeech.push(elementsNodeValueMd5);
-                elements[i].childNodes[0].nodeValue = replaceHateSpeech(child);
-            }
-        }
-    }
-}
-
-/**
- * * 1. replace text UpperCase and non-uppercase
- * * 2. replace multi text
- * * 3. convert length text to number length *
- * @param {*} textnode
- * @returns {string}
- */
-const replaceHateSpeech = (textnode) => {
-    // console.log('replaceHateSpeech', regexModelHateSpeech);
-    return textnode.nodeValue.replace(new RegExp(regexModelHateSpeech, "gi"), (matched) => {
-        let text_replace = '',
-            character = '*';
-        for (let i = 0; i < matched.length; i++) {
-            text_replace += character;
-        }
-        return text_replace;
-    });
-}
-
 // if (navigator.saysWho.toLowerCase().indexOf("safari") == -1) {
 //     document.getElementsByTagName("html")[0].style.visibility = "hidden";
 // }
 
-var autoHideAllImgs = setInterval(() => {
-    let elements = document.getElementsByTagName("img");
-    Array.prototype.forEach.call(elements, (e) => {
-        e.style.filter = "blur(30px)";
-    });
-    // Che nhanh nhất có thể
-}, 100);
-
 var start_watch_time = new Date().getTime();
 
 function watchdog() {
+    // Images of the frame are classified by the parent document
+    if (ShadowScanner.isScannedByParent()) {
+        return;
+    }
 
-    getallimgs('alltag');
+    ShadowScanner.init();
+    getallimgs();
+    getallmedia();
+    // currentSrc is changed after the load, e.g. when srcset candidate or lazy image is swapped
+    ShadowScanner.listen("load", function(event) {
+        if (event.target.tagName === "IMG") {
+            var request = findimage(event.target);
+            if (request) {
+                chrome.runtime.sendMessage(request);
+            }
+        }
+    });
+    setInterval(sampleframes, MediaSampler.SAMPLE_INTERVAL_MS);
+    // Text parsed before the observer is started
+    TextFilter.filterAll();
+    detectpagelanguages();
     /* MutationObserver callback to add images when the body changes */
-    var observer = new MutationObserver((mutationsList, observer) => {
+    ShadowScanner.observe((mutationsList) => {
+        // Every changed text is filtered, the images are collected once in a while
+        TextFilter.onMutations(mutationsList);
+        reportblurs();
         var current_time = new Date().getTime();
         if (current_time - start_watch_time > 100) {
             start_watch_time = current_time;
@@ -548,24 +791,15 @@ function watchdog() {
                     case 'childList':
                         // If there are new nodes added
                         if (mutation.addedNodes !== null) {
-                            // phải dùng alltag để tránh lỗi sử dụng background mặc dù chạy nặng hơn
-                            getallimgs('alltag');
-                            nativeSelectorText();
+                            getallimgs();
+                            getallmedia();
                         }
                         break;
-                    case 'characterData':
-                        // console.log('characterData', regexModelHateSpeech);
-                        // nativeSelectorText();
-                        break;
-                    case 'attributes':
-                        break;
                 }
                 // console.log(mutation);
             }
         }
-    });
-
-    observer.observe(document.body, {
+    }, {
         subtree: true,
         characterData: true,
         attributes: true,
@@ -575,7 +809,7 @@ function watchdog() {
 
 if (navigator.saysWho.toLowerCase().indexOf("safari") != -1) {
     var safari_not_fire_event = setInterval(function() {
-        getallimgs("sometag");
+        getallimgs();
         //Safari suck không return IMG TAG DOM event when load from cache
     }, 1000);
     window.onload = function() {
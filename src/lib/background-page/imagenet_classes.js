@@ -1,26 +0,0 @@
-/**
- * @license
- * Copyright 2017 Google LLC. All Rights Reserved.
- * Licensed under the Apache License, Version 2.0 (the "License");
- * you may not use this file except in compliance with the License.
- * You may obtain a copy of the License at
- *
- * http://www.apache.org/licenses/LICENSE-2.0
- *
- * Unless required by applicable law or agreed to in writing, software
- * distributed under the License is distributed on an "AS IS" BASIS,
- * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
- * See the License for the specific language governing permissions and
- * limitations under the License.
- * =============================================================================
- */
-
-export const IMAGENET_CLASSES = {
-    0: "Drugs_aug",
-    1: "Gory_aug",
-    2: "Heroin_aug",
-    3: "Horror_aug",
-    4: "Neutral",
-    5: "Porn",
-    6: "Sexy"
-};
\ No newline at end of file
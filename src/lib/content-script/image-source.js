@@ -0,0 +1,227 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension image-source.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Resolves url of the picture which is actually rendered by the <img> element.
+ * Lazy-loaded images show a placeholder in src until the real url is swapped in
+ * from the data attributes, responsive images render one of the srcset candidates.
+ */
+var ImageSource = (function () {
+  "use strict";
+
+  /**
+   * Inline GIF and PNG of this size or smaller are the transparent pixels of the lazy loaders
+   */
+  const PLACEHOLDER_MAX_SIZE = 1;
+
+  /**
+   * Elements which draw something in SVG, the inline SVG without them is a transparent placeholder
+   */
+  const SVG_SHAPE_REGEX = /<(path|rect|circle|ellipse|line|polyline|polygon|text|image|use)\b/i;
+
+  /**
+   * Attributes of the popular lazy loading libraries with the real url of the image
+   */
+  const LAZY_SRC_ATTRIBUTES = [
+    "data-src",
+    "data-lazy-src",
+    "data-original",
+    "data-lazy",
+  ];
+  const LAZY_SRCSET_ATTRIBUTES = ["data-srcset", "data-lazy-srcset"];
+
+  /**
+   * Returns the content of the data url
+   *
+   * @param {string} url
+   * @param {number} [maxLength] Max length of the encoded content to decode
+   * @returns {string|null} null if the url is malformed
+   */
+  const readDataUrl = function (url, maxLength) {
+    const comma = url.indexOf(",");
+    if (comma === -1) {
+      return null;
+    }
+    const data = url.substr(comma + 1, maxLength);
+    try {
+      return /;base64$/i.test(url.substring(0, comma))
+        ? atob(data)
+        : decodeURIComponent(data);
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Reads size of the inline GIF or PNG from its header
+   *
+   * @param {string} url
+   * @returns {{width: number, height: number}|null} null for other formats
+   */
+  const readDataImageSize = function (url) {
+    // Enough for the PNG header and the first chunk
+    const bytes = readDataUrl(url, 32);
+    if (!bytes) {
+      return null;
+    }
+    const readByte = (offset) => bytes.charCodeAt(offset);
+
+    if (/^GIF8[79]a/.test(bytes) && bytes.length >= 10) {
+      return {
+        width: readByte(6) | (readByte(7) << 8),
+        height: readByte(8) | (readByte(9) << 8),
+      };
+    }
+
+    if (bytes.indexOf("\x89PNG") === 0 && bytes.length >= 24) {
+      const readUint32 = (offset) =>
+        ((readByte(offset) << 24) |
+          (readByte(offset + 1) << 16) |
+          (readByte(offset + 2) << 8) |
+          readByte(offset + 3)) >>>
+        0;
+      return { width: readUint32(16), height: readUint32(20) };
+    }
+
+    return null;
+  };
+
+  /**
+   * Checks if the url is a placeholder rather than the picture.
+   * Only the transparent pixels and the empty SVG are placeholders,
+   * other inline images such as the icons are classified as usual.
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  const isPlaceholder = function (url) {
+    if (!url || url === "about:blank") {
+      return true;
+    }
+    if (url.indexOf("data:") !== 0) {
+      return false;
+    }
+
+    if (/^data:image\/svg\+xml/i.test(url)) {
+      const svg = readDataUrl(url);
+      return svg !== null && !SVG_SHAPE_REGEX.test(svg);
+    }
+
+    const size = readDataImageSize(url);
+    return (
+      size !== null &&
+      size.width <= PLACEHOLDER_MAX_SIZE &&
+      size.height <= PLACEHOLDER_MAX_SIZE
+    );
+  };
+
+  /**
+   * Picks the biggest candidate of the srcset, it is the one rendered on the most screens
+   *
+   * @param {string} srcset e.g. "small.jpg 480w, large.jpg 1080w"
+   * @returns {string|null}
+   */
+  const pickFromSrcset = function (srcset) {
+    let best = null;
+    let bestSize = -1;
+
+    (srcset || "").split(/,\s+/).forEach((candidate) => {
+      const [url, descriptor] = candidate.trim().split(/\s+/);
+      if (!url) {
+        return;
+      }
+      // Candidate without descriptor is 1x
+      const size = descriptor ? parseFloat(descriptor) || 0 : 1;
+      if (size > bestSize) {
+        best = url;
+        bestSize = size;
+      }
+    });
+
+    return best;
+  };
+
+  /**
+   * @param {string} url
+   * @param {Element} element
+   * @returns {string|null} absolute url
+   */
+  const toAbsolute = function (url, element) {
+    try {
+      return new URL(url, element.baseURI || document.baseURI).href;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  /**
+   * Returns the real url of the lazy-loaded image which is not swapped in yet
+   *
+   * @param {HTMLImageElement} image
+   * @returns {string|null}
+   */
+  const getLazySrc = function (image) {
+    for (let i = 0; i < LAZY_SRCSET_ATTRIBUTES.length; i += 1) {
+      const url = pickFromSrcset(
+        image.getAttribute(LAZY_SRCSET_ATTRIBUTES[i])
+      );
+      if (url) {
+        return toAbsolute(url, image);
+      }
+    }
+    for (let i = 0; i < LAZY_SRC_ATTRIBUTES.length; i += 1) {
+      const url = image.getAttribute(LAZY_SRC_ATTRIBUTES[i]);
+      if (url && !isPlaceholder(url)) {
+        return toAbsolute(url, image);
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Checks if the browser picks the source of the image, so src may be not rendered
+   *
+   * @param {HTMLImageElement} image
+   * @returns {boolean}
+   */
+  const isResponsive = function (image) {
+    return (
+      image.hasAttribute("srcset") ||
+      Boolean(image.parentNode && image.parentNode.tagName === "PICTURE")
+    );
+  };
+
+  /**
+   * Resolves url of the image to be classified.
+   * Returns null if the url is not known yet, the image should be checked again
+   * after the load event or after the attributes change.
+   *
+   * @param {HTMLImageElement} image
+   * @returns {{url: string, lazy: boolean}|null}
+   *  lazy is true if the url is taken from the data attributes of the lazy loader
+   */
+  const resolve = function (image) {
+    const rendered = image.currentSrc || image.src;
+
+    if (!isPlaceholder(rendered)) {
+      // currentSrc of the responsive image is set when the browser picks the candidate
+      if (image.currentSrc || !isResponsive(image)) {
+        return { url: rendered, lazy: false };
+      }
+      return null;
+    }
+
+    const lazySrc = getLazySrc(image);
+    return lazySrc ? { url: lazySrc, lazy: true } : null;
+  };
+
+  return {
+    isPlaceholder,
+    pickFromSrcset,
+    resolve,
+  };
+})();
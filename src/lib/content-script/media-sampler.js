@@ -0,0 +1,202 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension media-sampler.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global ShadowScanner */
+
+/**
+ * Finds media which is not an <img> or css background (video posters, svg images)
+ * and captures frames of videos and canvases for the image classifier.
+ */
+var MediaSampler = (function () {
+  "use strict";
+
+  /**
+   * Size of the captured frame, the same as the model input
+   */
+  const FRAME_SIZE = 224;
+
+  /**
+   * Smaller videos and canvases are not sampled
+   */
+  const MIN_FRAME_SIZE = 128;
+
+  /**
+   * Interval between two samples of the same video or canvas
+   */
+  const SAMPLE_INTERVAL_MS = 3000;
+
+  const ID_ATTRIBUTE = "data-purify-id";
+
+  let lastElementId = 0;
+
+  /**
+   * Returns id of the element, assigns a new one if necessary
+   *
+   * @param {Element} element
+   * @returns {string}
+   */
+  const getElementId = function (element) {
+    let id = element.getAttribute(ID_ATTRIBUTE);
+    if (!id) {
+      lastElementId += 1;
+      id = `${lastElementId}`;
+      element.setAttribute(ID_ATTRIBUTE, id);
+    }
+    return id;
+  };
+
+  /**
+   * Finds element by the id assigned in getElementId
+   *
+   * @param {string} id
+   * @returns {Element|null}
+   */
+  const findElement = function (id) {
+    // Element may be inside of the shadow root or the frame, see shadow-scanner.js
+    return ShadowScanner.querySelector(`[${ID_ATTRIBUTE}="${id}"]`);
+  };
+
+  /**
+   * Returns absolute url of the svg <image> element
+   *
+   * @param {SVGImageElement} element
+   * @returns {string}
+   */
+  const getSvgImageUrl = function (element) {
+    const href =
+      (element.href && element.href.baseVal) ||
+      element.getAttribute("href") ||
+      element.getAttribute("xlink:href");
+
+    if (!href) {
+      return "";
+    }
+
+    try {
+      return new URL(href, document.baseURI).href;
+    } catch (e) {
+      return "";
+    }
+  };
+
+  /**
+   * Collects media with urls which can be classified as usual images
+   *
+   * @param {Document|ShadowRoot|Element} root
+   * @returns {Array<{element: Element, srcUrl: string, srcType: string}>}
+   */
+  const collectMedia = function (root) {
+    const media = [];
+
+    root.querySelectorAll("video[poster]").forEach((element) => {
+      if (element.poster) {
+        media.push({ element, srcUrl: element.poster, srcType: "poster" });
+      }
+    });
+
+    root.querySelectorAll("svg image").forEach((element) => {
+      const srcUrl = getSvgImageUrl(element);
+      if (srcUrl) {
+        media.push({ element, srcUrl, srcType: "svg" });
+      }
+    });
+
+    return media;
+  };
+
+  /**
+   * Checks if element is rendered and big enough to be sampled
+   *
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  const isSampleable = function (element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width >= MIN_FRAME_SIZE && rect.height >= MIN_FRAME_SIZE;
+  };
+
+  /**
+   * Checks if it's time to take a new sample of the element
+   *
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  const isSampleDue = function (element) {
+    const now = Date.now();
+    const last = Number(element.dataset.purifySampledAt || 0);
+    if (now - last < SAMPLE_INTERVAL_MS) {
+      return false;
+    }
+    element.dataset.purifySampledAt = `${now}`;
+    return true;
+  };
+
+  /**
+   * Collects playing videos and canvases which should be sampled now
+   *
+   * @param {Document|ShadowRoot|Element} root
+   * @returns {Array<HTMLVideoElement|HTMLCanvasElement>}
+   */
+  const collectDueFrames = function (root) {
+    const elements = [];
+
+    root.querySelectorAll("video").forEach((video) => {
+      // HAVE_CURRENT_DATA
+      if (video.paused || video.ended || video.readyState < 2) {
+        return;
+      }
+      if (isSampleable(video) && isSampleDue(video)) {
+        elements.push(video);
+      }
+    });
+
+    root.querySelectorAll("canvas").forEach((canvas) => {
+      if (
+        canvas.width >= MIN_FRAME_SIZE &&
+        canvas.height >= MIN_FRAME_SIZE &&
+        isSampleable(canvas) &&
+        isSampleDue(canvas)
+      ) {
+        elements.push(canvas);
+      }
+    });
+
+    return elements;
+  };
+
+  /**
+   * Draws current frame of the video or canvas and returns it as data url.
+   * Returns null if the source is cross-origin and the frame cannot be read.
+   *
+   * @param {HTMLVideoElement|HTMLCanvasElement} source
+   * @returns {string|null}
+   */
+  const captureFrame = function (source) {
+    // Tainted canvas can't be reused, so the new one is created every time
+    const frameCanvas = document.createElement("canvas");
+    frameCanvas.width = FRAME_SIZE;
+    frameCanvas.height = FRAME_SIZE;
+
+    try {
+      const context = frameCanvas.getContext("2d");
+      context.drawImage(source, 0, 0, FRAME_SIZE, FRAME_SIZE);
+      return frameCanvas.toDataURL("image/jpeg", 0.8);
+    } catch (e) {
+      // SecurityError is thrown for the tainted canvas
+      return null;
+    }
+  };
+
+  return {
+    SAMPLE_INTERVAL_MS,
+    getElementId,
+    findElement,
+    collectMedia,
+    collectDueFrames,
+    captureFrame,
+  };
+})();
@@ -5,6 +5,8 @@
  * ----------------------------------------------------------------------------------
  */
 
+/* global ImageSource, MediaSampler, PageRiskScorer, PurifyState, RevealOverlay, ShadowScanner */
+
 /**
  * Global object for content scripts.
  * !!! DO not change to const, because this variable will be redeclared in purify-api
@@ -14,6 +16,28 @@ var purifyContent = {}; // eslint-disable-line no-unused-vars, no-var
 var MIN_IMAGE_SIZE = 41;
 var purifyRequestQueue = new Map();
 
+/**
+ * Images out of the viewport are classified when they come closer than this margin
+ */
+var DEFERRED_ROOT_MARGIN = "100% 0px";
+
+/**
+ * Deferred images are classified anyway after this delay, they count in the page risk
+ */
+var DEFERRED_FLUSH_DELAY_MS = 5000;
+
+/**
+ * Last classified url by the image, the same url is not classified twice
+ */
+var classifiedSources = new WeakMap();
+
+/**
+ * Urls of the images waiting for the viewport
+ */
+var deferredImages = new Map();
+var deferredTimerId = null;
+var viewportObserver = null;
+
 /**
  * Unexpectedly global variable contentPage could become undefined in FF,
  * in this case we redefine it.
@@ -35,7 +59,8 @@ var getContentPage = function () {
 };
 
 /**
- * Watch Purify Content
+ * Watch Purify Content.
+ * Open shadow roots and frames created by the page are watched too, see shadow-scanner.js
  */
 const imageDOMWatcher = function () {
   var MutationObserver =
@@ -45,29 +70,39 @@ const imageDOMWatcher = function () {
     return;
   }
 
-  var observer = new MutationObserver(function (mutations) {
+  ShadowScanner.init();
+
+  const onMutations = function (mutations) {
     for (let i = 0; i < mutations.length; i++) {
       var mutation = mutations[i];
 
       if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
-        var images = document.getElementsByTagName("img");
+        var images = ShadowScanner.querySelectorAll("img");
         for (let x = 0; x < images.length; x++) {
-          analyzeImage(images[x], false);
+          analyzeImage(images[x]);
         }
+        analyzeMedia();
       } else if (mutation.type === "attributes") {
         if (mutation.target.nodeName === "IMG") {
-          analyzeImage(mutation.target, mutation.attributeName === "src");
+          analyzeImage(mutation.target);
         }
       }
     }
-  });
+  };
 
-  observer.observe(document, {
+  ShadowScanner.observe(onMutations, {
     characterData: false,
     subtree: true,
     childList: true,
     attributes: true,
-    attributeFilter: ["src"],
+    attributeFilter: ["src", "srcset", "sizes", "data-src", "data-srcset"],
+  });
+
+  // currentSrc is changed after the load, e.g. when srcset candidate or lazy image is swapped
+  ShadowScanner.listen("load", (event) => {
+    if (event.target.nodeName === "IMG") {
+      analyzeImage(event.target);
+    }
   });
 };
 
@@ -101,21 +136,131 @@ const getBackgoundImages = function () {
   }
 };
 
-const analyzeImage = function (image, srcAttribute) {
+/**
+ * Classifies the image
+ *
+ * @param {HTMLImageElement} image
+ * @param {string} imageSrc
+ */
+const classifyImage = function (image, imageSrc) {
+  deferredImages.delete(image);
+  if (viewportObserver) {
+    viewportObserver.unobserve(image);
+  }
+
+  classifiedSources.set(image, imageSrc);
+  getPredictImageResult(image, imageSrc);
+};
+
+/**
+ * Classifies the deferred images which are still on the page
+ */
+const flushDeferredImages = function () {
+  deferredTimerId = null;
+  deferredImages.forEach((imageSrc, image) => {
+    if (image.isConnected) {
+      classifyImage(image, imageSrc);
+    } else {
+      deferredImages.delete(image);
+    }
+  });
+};
+
+/**
+ * Defers classification of the image until it comes close to the viewport
+ *
+ * @param {HTMLImageElement} image
+ * @param {string} imageSrc
+ */
+const deferImage = function (image, imageSrc) {
+  if (!viewportObserver) {
+    viewportObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach(({ target, isIntersecting }) => {
+          if (isIntersecting && deferredImages.has(target)) {
+            classifyImage(target, deferredImages.get(target));
+          }
+        });
+      },
+      { rootMargin: DEFERRED_ROOT_MARGIN }
+    );
+  }
+
+  deferredImages.set(image, imageSrc);
+  viewportObserver.observe(image);
+
+  if (deferredTimerId === null) {
+    deferredTimerId = setTimeout(flushDeferredImages, DEFERRED_FLUSH_DELAY_MS);
+  }
+};
+
+/**
+ * Classifies the rendered source of the image, images in the viewport go first.
+ * The same source is classified once, a new one is classified when srcset candidate
+ * or lazy-loaded image is swapped in.
+ *
+ * @param {HTMLImageElement} image
+ */
+const analyzeImage = function (image) {
+  const source = ImageSource.resolve(image);
+  if (!source || classifiedSources.get(image) === source.url) {
+    return;
+  }
+
   if (
-    image.src.length > 0 &&
-    ((image.width > MIN_IMAGE_SIZE && image.height > MIN_IMAGE_SIZE) ||
-      image.height === 0 ||
-      image.width === 0)
+    (image.width > MIN_IMAGE_SIZE && image.height > MIN_IMAGE_SIZE) ||
+    image.height === 0 ||
+    image.width === 0
   ) {
-    if (srcAttribute || image.dataset.purify === undefined) {
-      getPredictImageResult(image);
+    if (!window.IntersectionObserver || PageRiskScorer.measure(image).visible) {
+      classifyImage(image, source.url);
+    } else {
+      deferImage(image, source.url);
+    }
+  } else {
+    // Icons and thin banners are not classified, they are blurred by purify-prehide.css until shown
+    PurifyState.set(image, PurifyState.CLEAN);
+  }
+};
+
+/**
+ * Analyzes video posters and svg images
+ */
+const analyzeMedia = function () {
+  const media = ShadowScanner.getRoots().reduce(
+    (collection, root) => collection.concat(MediaSampler.collectMedia(root)),
+    []
+  );
+  for (let i = 0; i < media.length; i++) {
+    const { element, srcUrl } = media[i];
+    if (element.dataset.purify === undefined) {
+      getPredictImageResult(element, srcUrl);
+    }
+  }
+};
+
+/**
+ * Analyzes current frames of the playing videos and canvases.
+ * Elements are not hidden while the frame is classified.
+ */
+const analyzeFrames = function () {
+  const elements = ShadowScanner.getRoots().reduce(
+    (collection, root) =>
+      collection.concat(MediaSampler.collectDueFrames(root)),
+    []
+  );
+  for (let i = 0; i < elements.length; i++) {
+    const frame = MediaSampler.captureFrame(elements[i]);
+    if (frame) {
+      getPredictImageResult(elements[i], frame, false);
     }
   }
 };
 
-const getPredictImageResult = function (image, imageSrc = null) {
-  hideImage(image);
+const getPredictImageResult = function (image, imageSrc = null, hide = true) {
+  if (hide) {
+    hideImage(image);
+  }
 
   new Promise((resolve, reject) => {
     const requestUrl = imageSrc ? imageSrc : image.src;
@@ -124,7 +269,8 @@ const getPredictImageResult = function (image, imageSrc = null) {
     const request = {
       type: "requestAnalyzeImage",
       requestUrl: requestUrl,
-      imagesNum: document.images.length,
+      // Size and visibility weight the image in the page risk
+      image: PageRiskScorer.measure(image),
     };
 
     try {
@@ -147,20 +293,21 @@ const getPredictImageResult = function (image, imageSrc = null) {
             return;
           }
 
+          // Image is shown or blurred by purify-prehide.css
           if (response) {
             const { result, err } = response;
-            image.dataset.purify = "purify";
 
             if (!result && !err) {
-              showImage(image);
+              PurifyState.set(image, PurifyState.CLEAN);
             } else {
-              showImage(image);
-              image.style.filter = "blur(100px)";
+              PurifyState.set(image, PurifyState.FLAGGED);
+              if (!RevealOverlay.isRevealed(image)) {
+                attachOverlay(image, requestUrl);
+              }
             }
           } else {
             // resolve(getContentPage().lastError);
-            // showImage(image);
-            image.dataset.purify = "error";
+            PurifyState.set(image, PurifyState.ERROR);
           }
 
           for (const [{ resolve }] of purifyRequestQueue.get(requestUrl)) {
@@ -184,23 +331,42 @@ const getPredictImageResult = function (image, imageSrc = null) {
   });
 };
 
-const hideImage = function (image) {
-  if (image.parentNode?.nodeName === "BODY") {
-    image.hidden = true;
-  }
-
-  image.dataset.purify = "processing";
-  image.style.visibility = "hidden";
+/**
+ * Sends message to the background page and waits for the response
+ */
+const sendAction = function (message) {
+  return new Promise((resolve) => {
+    getContentPage().sendMessage(message, resolve);
+  });
 };
 
-const showImage = function (image) {
-  if (image.parentNode?.nodeName === "BODY") {
-    image.hidden = false;
-  }
+/**
+ * Shows reveal, always allow and report actions over the blurred image
+ */
+const attachOverlay = function (image, srcUrl) {
+  RevealOverlay.attach(image, {
+    checkPin: (pin) =>
+      sendAction({ type: "checkRevealPin", pin }).then((response) =>
+        Boolean(response && response.valid)
+      ),
+    allow: (pin) =>
+      sendAction({ type: "allowImage", srcUrl, pin }).then((response) =>
+        Boolean(response && response.success)
+      ),
+    report: () => {
+      getContentPage().sendMessage({ type: "reportImage", srcUrl });
+    },
+  });
+};
 
-  image.style.visibility = "visible";
+/**
+ * Image is blurred by purify-prehide.css until it is classified
+ */
+const hideImage = function (image) {
+  PurifyState.set(image, PurifyState.PENDING);
 };
 
 if (window.self === window.top) {
   imageDOMWatcher();
+  setInterval(analyzeFrames, MediaSampler.SAMPLE_INTERVAL_MS);
 }
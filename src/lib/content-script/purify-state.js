@@ -0,0 +1,73 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension purify-state.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * State of the classified element kept in the data-purify attribute.
+ * Elements are hidden and blurred by purify-prehide.css according to the state,
+ * so showing or blurring the element is a single attribute change.
+ *
+ *  (none)  -> pending, clean, flagged, error
+ *  pending -> clean, flagged, error
+ *  clean   -> pending (source changed), flagged
+ *  flagged -> pending (source changed)
+ *  error   -> pending, clean, flagged
+ */
+var PurifyState = (function () {
+  "use strict";
+
+  const ATTRIBUTE = "data-purify";
+
+  const PENDING = "pending";
+  const CLEAN = "clean";
+  const FLAGGED = "flagged";
+  const ERROR = "error";
+
+  const TRANSITIONS = {
+    [PENDING]: [CLEAN, FLAGGED, ERROR],
+    [CLEAN]: [PENDING, FLAGGED],
+    [FLAGGED]: [PENDING],
+    [ERROR]: [PENDING, CLEAN, FLAGGED],
+  };
+
+  /**
+   * @param {Element} element
+   * @returns {string|null} state of the element, null if it has not been seen yet
+   */
+  const get = function (element) {
+    const state = element.getAttribute(ATTRIBUTE);
+    return state in TRANSITIONS ? state : null;
+  };
+
+  /**
+   * Changes state of the element if the transition is allowed
+   *
+   * @param {Element} element
+   * @param {string} state
+   * @returns {boolean} false if the transition is not allowed
+   */
+  const set = function (element, state) {
+    const current = get(element);
+    if (current === state) {
+      return true;
+    }
+    if (current !== null && TRANSITIONS[current].indexOf(state) === -1) {
+      return false;
+    }
+    element.setAttribute(ATTRIBUTE, state);
+    return true;
+  };
+
+  return {
+    ATTRIBUTE,
+    PENDING,
+    CLEAN,
+    FLAGGED,
+    ERROR,
+    get,
+    set,
+  };
+})();
@@ -0,0 +1,302 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension reveal-overlay.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Overlay shown over the blurred images with reveal, always allow and report actions.
+ * Overlay lives in the closed shadow root, so the page styles and scripts can't change it.
+ */
+var RevealOverlay = (function () {
+  "use strict";
+
+  const HOST_ATTRIBUTE = "data-purify-overlay";
+  const REVEALED_ATTRIBUTE = "data-purify-revealed";
+
+  /**
+   * Overlay is not shown over smaller elements, they can't fit the buttons
+   */
+  const MIN_OVERLAY_SIZE = 64;
+
+  /**
+   * Layout of the page may change without scrolling, overlays follow their elements
+   */
+  const POSITION_INTERVAL_MS = 500;
+
+  const STYLE = `
+    :host { all: initial; }
+    .overlay {
+      box-sizing: border-box;
+      width: 100%;
+      height: 100%;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 6px;
+      padding: 6px;
+      overflow: hidden;
+      background: rgba(0, 0, 0, 0.35);
+      font: 12px/1.3 Arial, sans-serif;
+      color: #fff;
+    }
+    button {
+      border: 0;
+      border-radius: 3px;
+      padding: 4px 10px;
+      background: #46bb61;
+      color: #fff;
+      font: inherit;
+      cursor: pointer;
+    }
+    button.secondary { background: rgba(255, 255, 255, 0.85); color: #333; }
+    input {
+      width: 80px;
+      padding: 3px;
+      border: 0;
+      border-radius: 3px;
+      font: inherit;
+      text-align: center;
+    }
+    .hidden { display: none; }
+  `;
+
+  /**
+   * Overlays by the element
+   */
+  const overlays = new Map();
+
+  let positionRequested = false;
+  let positionTimerId = null;
+
+  /**
+   * Returns offset of the frame document in the viewport of this document,
+   * elements of the frames created by the page get overlays too, see shadow-scanner.js
+   *
+   * @param {Element} element
+   * @returns {{top: number, left: number}}
+   */
+  const getFrameOffset = function (element) {
+    const offset = { top: 0, left: 0 };
+    let view = element.ownerDocument.defaultView;
+
+    while (view && view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const rect = frame.getBoundingClientRect();
+      offset.top += rect.top + frame.clientTop;
+      offset.left += rect.left + frame.clientLeft;
+      view = frame.ownerDocument.defaultView;
+    }
+
+    return offset;
+  };
+
+  /**
+   * Moves overlays to the current positions of the elements,
+   * overlays of the removed elements are removed too
+   */
+  const updatePositions = function () {
+    positionRequested = false;
+
+    overlays.forEach((overlay, element) => {
+      if (!element.isConnected) {
+        detach(element);
+        return;
+      }
+
+      const rect = element.getBoundingClientRect();
+      const offset = getFrameOffset(element);
+      const top = rect.top + offset.top + window.scrollY;
+      const left = rect.left + offset.left + window.scrollX;
+      const { style } = overlay.host;
+      const fits =
+        rect.width >= MIN_OVERLAY_SIZE && rect.height >= MIN_OVERLAY_SIZE;
+      style.setProperty("display", fits ? "block" : "none", "important");
+      style.setProperty("top", `${top}px`, "important");
+      style.setProperty("left", `${left}px`, "important");
+      style.setProperty("width", `${rect.width}px`, "important");
+      style.setProperty("height", `${rect.height}px`, "important");
+    });
+  };
+
+  const requestPositions = function () {
+    if (!positionRequested) {
+      positionRequested = true;
+      window.requestAnimationFrame(updatePositions);
+    }
+  };
+
+  window.addEventListener("scroll", requestPositions, {
+    passive: true,
+    capture: true,
+  });
+  window.addEventListener("resize", requestPositions, { passive: true });
+
+  /**
+   * Creates button in the overlay
+   *
+   * @param {HTMLElement} parent
+   * @param {string} text
+   * @param {string} className
+   * @returns {HTMLButtonElement}
+   */
+  const createButton = function (parent, text, className) {
+    const button = document.createElement("button");
+    button.textContent = text;
+    if (className) {
+      button.className = className;
+    }
+    parent.appendChild(button);
+    return button;
+  };
+
+  /**
+   * Shows the element and removes its overlay.
+   * Revealed element is never blurred again on this page, see purify-prehide.css.
+   *
+   * @param {Element} element
+   */
+  const reveal = function (element) {
+    element.setAttribute(REVEALED_ATTRIBUTE, "true");
+    detach(element);
+  };
+
+  /**
+   * @param {Element} element
+   * @returns {boolean} true if the element has been revealed by the user
+   */
+  const isRevealed = function (element) {
+    return element.hasAttribute(REVEALED_ATTRIBUTE);
+  };
+
+  /**
+   * Shows the overlay over the blurred element
+   *
+   * @param {Element} element
+   * @param {Object} actions
+   * @param {function(string): Promise<boolean>} actions.checkPin  Resolves false if the PIN is wrong
+   * @param {function(string): Promise<boolean>} actions.allow     Allows the image forever, resolves false if the PIN is wrong
+   * @param {function(): void} actions.report                      Reports false positive
+   */
+  const attach = function (element, actions) {
+    const existing = overlays.get(element);
+    if (existing) {
+      existing.actions = actions;
+      return;
+    }
+
+    const host = document.createElement("div");
+    host.setAttribute(HOST_ATTRIBUTE, "");
+    host.style.setProperty("position", "absolute", "important");
+    host.style.setProperty("z-index", "2147483646", "important");
+    host.style.setProperty("margin", "0", "important");
+
+    const root = host.attachShadow({ mode: "closed" });
+    const style = document.createElement("style");
+    style.textContent = STYLE;
+    root.appendChild(style);
+
+    const container = document.createElement("div");
+    container.className = "overlay";
+    root.appendChild(container);
+
+    const buttons = document.createElement("div");
+    container.appendChild(buttons);
+    const showButton = createButton(buttons, "Show");
+    const allowButton = createButton(buttons, "Always allow", "secondary");
+    const reportButton = createButton(
+      container,
+      "Not explicit? Report",
+      "secondary"
+    );
+
+    const pinForm = document.createElement("form");
+    pinForm.className = "hidden";
+    const pinInput = document.createElement("input");
+    pinInput.type = "password";
+    pinInput.placeholder = "PIN";
+    pinInput.autocomplete = "off";
+    pinForm.appendChild(pinInput);
+    createButton(pinForm, "OK");
+    container.appendChild(pinForm);
+
+    const overlay = { host, actions };
+    let pendingAction = null;
+
+    /**
+     * Runs the PIN protected action, asks the PIN if it is required
+     */
+    const runAction = async function (action, pin) {
+      const success = await action(pin);
+      if (success) {
+        reveal(element);
+        return;
+      }
+
+      pendingAction = action;
+      buttons.classList.add("hidden");
+      pinForm.classList.remove("hidden");
+      pinInput.value = "";
+      pinInput.placeholder = pin === undefined ? "PIN" : "Wrong PIN";
+      pinInput.focus();
+    };
+
+    // Clicks must not reach the handlers of the page
+    container.addEventListener("click", (e) => {
+      e.stopPropagation();
+    });
+
+    showButton.addEventListener("click", () => {
+      runAction((pin) => overlay.actions.checkPin(pin));
+    });
+    allowButton.addEventListener("click", () => {
+      runAction((pin) => overlay.actions.allow(pin));
+    });
+    reportButton.addEventListener("click", () => {
+      overlay.actions.report();
+      reportButton.textContent = "Reported, thank you";
+      reportButton.disabled = true;
+    });
+    pinForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (pendingAction) {
+        runAction(pendingAction, pinInput.value);
+      }
+    });
+
+    overlays.set(element, overlay);
+    document.documentElement.appendChild(host);
+    requestPositions();
+
+    if (positionTimerId === null) {
+      positionTimerId = setInterval(requestPositions, POSITION_INTERVAL_MS);
+    }
+  };
+
+  /**
+   * Removes the overlay of the element
+   *
+   * @param {Element} element
+   */
+  const detach = function (element) {
+    const overlay = overlays.get(element);
+    if (overlay) {
+      overlay.host.remove();
+      overlays.delete(element);
+    }
+
+    if (overlays.size === 0 && positionTimerId !== null) {
+      clearInterval(positionTimerId);
+      positionTimerId = null;
+    }
+  };
+
+  return {
+    attach,
+    detach,
+    reveal,
+    isRevealed,
+  };
+})();
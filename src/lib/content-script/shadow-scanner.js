@@ -0,0 +1,313 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension shadow-scanner.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Keeps track of the DOM trees which are not reachable by document.querySelectorAll:
+ * open shadow roots and documents of the same-origin frames created by the page
+ * (about:blank and srcdoc frames, content scripts may not run inside them).
+ *
+ * Shadow roots attached after the scan are reported by the attachShadow wrapper
+ * injected into the page context, see wrappers.js.
+ */
+var ShadowScanner = (function () {
+  "use strict";
+
+  /**
+   * Event dispatched on the host by the attachShadow wrapper in the page context
+   */
+  const SHADOW_ROOT_EVENT = "purify-shadow-root";
+
+  const PREHIDE_ATTRIBUTE = "data-purify-prehide";
+
+  /**
+   * Rules of purify-prehide.css, manifest styles are not applied inside
+   * the shadow roots and the frames without content scripts
+   */
+  const PREHIDE_STYLE = `
+    img:not([data-purify]),
+    [data-purify="pending"],
+    [data-purify="error"],
+    [data-purify="flagged"]:not([data-purify-revealed]) {
+      filter: blur(30px) !important;
+    }
+    [data-purify-text]:not([data-purify-text="clean"]) {
+      filter: blur(6px) !important;
+    }
+  `;
+
+  /**
+   * Scanned shadow roots and frame documents, the document itself is not included
+   */
+  const roots = new Set();
+
+  /**
+   * Frames whose load is listened, new document is scanned after the load
+   */
+  const frames = new WeakSet();
+
+  /**
+   * Mutation observers with their options, new roots are observed by all of them
+   */
+  const observers = [];
+
+  /**
+   * Capturing event listeners, they are added to the new roots too
+   */
+  const listeners = [];
+
+  /**
+   * Checks if the document of the frame is scanned by the parent document.
+   * Such frames share origin with the parent and have no own url.
+   *
+   * @param {Window} win
+   * @returns {boolean}
+   */
+  const isScannedByParent = function (win = window) {
+    try {
+      return (
+        win !== win.top &&
+        win.frameElement !== null &&
+        win.location.protocol === "about:"
+      );
+    } catch (e) {
+      return false;
+    }
+  };
+
+  /**
+   * @param {HTMLIFrameElement|HTMLFrameElement} frame
+   * @returns {Document|null} document of the frame if it should be scanned
+   */
+  const getFrameDocument = function (frame) {
+    try {
+      const doc = frame.contentDocument;
+      if (doc && doc.documentElement && isScannedByParent(doc.defaultView)) {
+        return doc;
+      }
+    } catch (e) {
+      // Cross-origin frame
+    }
+    return null;
+  };
+
+  /**
+   * @param {ShadowRoot|Document} root
+   * @returns {boolean} false if the root is removed from the page
+   */
+  const isAlive = function (root) {
+    if (root.host) {
+      return root.host.isConnected;
+    }
+    return Boolean(root.defaultView && root.defaultView.frameElement);
+  };
+
+  /**
+   * Adds blur styles to the root
+   *
+   * @param {ShadowRoot|Document} root
+   */
+  const addPrehideStyle = function (root) {
+    const parent = root.host ? root : root.head || root.documentElement;
+    if (!parent || parent.querySelector(`style[${PREHIDE_ATTRIBUTE}]`)) {
+      return;
+    }
+
+    const style = (root.ownerDocument || root).createElement("style");
+    style.setAttribute(PREHIDE_ATTRIBUTE, "");
+    style.textContent = PREHIDE_STYLE;
+    parent.appendChild(style);
+  };
+
+  /**
+   * Tracks shadow roots attached in the document after the scan
+   *
+   * @param {Document} doc
+   */
+  const listenShadowRoots = function (doc) {
+    doc.addEventListener(
+      SHADOW_ROOT_EVENT,
+      (event) => {
+        // Host may be inside of the other shadow root, the event is retargeted then
+        const host = event.composedPath()[0];
+        if (host && host.shadowRoot) {
+          // eslint-disable-next-line no-use-before-define
+          addRoot(host.shadowRoot);
+        }
+      },
+      true
+    );
+  };
+
+  /**
+   * Starts tracking of the root and scans it for the nested roots
+   *
+   * @param {ShadowRoot|Document} root
+   */
+  const addRoot = function (root) {
+    if (roots.has(root)) {
+      return;
+    }
+
+    roots.add(root);
+    addPrehideStyle(root);
+    if (!root.host) {
+      listenShadowRoots(root);
+    }
+    observers.forEach(({ observer, options }) => {
+      observer.observe(root, options);
+    });
+    listeners.forEach(({ type, listener }) => {
+      root.addEventListener(type, listener, true);
+    });
+    // eslint-disable-next-line no-use-before-define
+    scan(root);
+  };
+
+  /**
+   * Finds shadow roots and frame documents in the subtree of the node
+   *
+   * @param {Node} node
+   */
+  const scan = function (node) {
+    if (
+      !node ||
+      (node.nodeType !== Node.ELEMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_NODE &&
+        node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE)
+    ) {
+      return;
+    }
+
+    const doc = node.ownerDocument || node;
+    const walker = doc.createTreeWalker(node, NodeFilter.SHOW_ELEMENT);
+    let element =
+      node.nodeType === Node.ELEMENT_NODE ? node : walker.nextNode();
+
+    while (element) {
+      if (element.shadowRoot) {
+        addRoot(element.shadowRoot);
+      }
+
+      if (element.tagName === "IFRAME" || element.tagName === "FRAME") {
+        if (!frames.has(element)) {
+          frames.add(element);
+          element.addEventListener("load", () => scan(element));
+        }
+        const frameDocument = getFrameDocument(element);
+        if (frameDocument) {
+          addRoot(frameDocument);
+        }
+      }
+
+      element = walker.nextNode();
+    }
+  };
+
+  /**
+   * Returns the document and all tracked roots, removed roots are forgotten
+   *
+   * @returns {Array<Document|ShadowRoot>}
+   */
+  const getRoots = function () {
+    const result = [document];
+    roots.forEach((root) => {
+      if (isAlive(root)) {
+        result.push(root);
+      } else {
+        roots.delete(root);
+      }
+    });
+    return result;
+  };
+
+  /**
+   * Same as document.querySelectorAll, but looks inside the shadow roots and frames too
+   *
+   * @param {string} selector
+   * @returns {Array<Element>}
+   */
+  const querySelectorAll = function (selector) {
+    const result = [];
+    getRoots().forEach((root) => {
+      Array.prototype.push.apply(result, root.querySelectorAll(selector));
+    });
+    return result;
+  };
+
+  /**
+   * Same as document.querySelector, but looks inside the shadow roots and frames too
+   *
+   * @param {string} selector
+   * @returns {Element|null}
+   */
+  const querySelector = function (selector) {
+    const found = getRoots()
+      .map((root) => root.querySelector(selector))
+      .find((element) => element !== null);
+    return found || null;
+  };
+
+  /**
+   * Observes mutations of the document and all its shadow roots and frames,
+   * roots found later are observed too
+   *
+   * @param {MutationCallback} callback
+   * @param {MutationObserverInit} options
+   * @returns {MutationObserver}
+   */
+  const observe = function (callback, options) {
+    const observer = new MutationObserver(callback);
+    observers.push({ observer, options });
+    getRoots().forEach((root) => {
+      observer.observe(root, options);
+    });
+    return observer;
+  };
+
+  /**
+   * Listens to the events of the document and all its shadow roots and frames,
+   * events which don't bubble out of the shadow root (e.g. load) are received too
+   *
+   * @param {string} type
+   * @param {function(Event): void} listener
+   */
+  const listen = function (type, listener) {
+    listeners.push({ type, listener });
+    getRoots().forEach((root) => {
+      root.addEventListener(type, listener, true);
+    });
+  };
+
+  /**
+   * Scans the document and starts tracking of the new shadow roots and frames
+   */
+  const init = function () {
+    scan(document);
+    listenShadowRoots(document);
+
+    observe(
+      (mutations) => {
+        mutations.forEach((mutation) => {
+          mutation.addedNodes.forEach(scan);
+        });
+      },
+      { childList: true, subtree: true }
+    );
+  };
+
+  return {
+    SHADOW_ROOT_EVENT,
+    isScannedByParent,
+    scan,
+    getRoots,
+    querySelectorAll,
+    querySelector,
+    observe,
+    listen,
+    init,
+  };
+})();
@@ -0,0 +1,418 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension text-filter.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global TextMatcher, TextRuler, ShadowScanner */
+
+/**
+ * Masks hate speech words in the page: every text node and the visible attributes
+ * of the document, its shadow roots and frames. Text typed by the user is not changed.
+ * If the toxic text filter is enabled, the blocks of text (comments, posts, paragraphs)
+ * are scored by the text model and blurred as a whole, see text-ruler.js.
+ */
+var TextFilter = (function () {
+  "use strict";
+
+  /**
+   * Attributes shown to the user as tooltips, alternative text and hints
+   */
+  const ATTRIBUTES = ["title", "alt", "placeholder", "aria-label"];
+
+  /**
+   * Contents of these elements are not shown as text or are edited by the user
+   */
+  const SKIPPED_TAGS = ["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA"];
+
+  /**
+   * Elements holding one comment, post or paragraph, the closest one to the text is scored
+   */
+  const BLOCK_SELECTOR = [
+    "article",
+    "[role='article']",
+    "[role='comment']",
+    "blockquote",
+    "p",
+    "li",
+    "dd",
+    "td",
+    "pre",
+    "div",
+  ].join(",");
+
+  /**
+   * Attribute of the scored blocks, "clean" or the category the block is blurred by
+   */
+  const TEXT_ATTRIBUTE = "data-purify-text";
+  const CLEAN = "clean";
+
+  /**
+   * Shorter blocks are left to the word lists, longer ones are page containers, not posts
+   */
+  const MIN_BLOCK_LENGTH = 20;
+  const MAX_BLOCK_LENGTH = 1000;
+
+  /**
+   * Blocks found during the delay are scored in one request
+   */
+  const BLOCK_BATCH_SIZE = 32;
+  const BLOCK_BATCH_DELAY_MS = 200;
+
+  let matcher = null;
+  let matcherWords = [];
+
+  /**
+   * Text part of the classification policy: {enabled, thresholds}
+   */
+  let textPolicy = { enabled: false, thresholds: {} };
+
+  /**
+   * Scores the texts by the text model, resolves to null if the model is not available
+   *
+   * @type {function(Array<string>): Promise<Array<Object<string, number>>|null>}
+   */
+  let classify = () => Promise.resolve(null);
+
+  /**
+   * Model scores and hate speech words of the scored blocks, the blocks are decided
+   * again when the thresholds are changed
+   */
+  const scored = new WeakMap();
+
+  let pendingBlocks = new Set();
+  let flushTimeout = null;
+
+  /**
+   * Filtered values of the text nodes, the matcher and the number of the words found,
+   * so the nodes are not filtered again on the mutations caused by the filter itself
+   */
+  const filtered = new WeakMap();
+
+  /**
+   * @param {Element} element
+   * @returns {boolean} true if the text of the element should not be changed
+   */
+  const isSkipped = function (element) {
+    return (
+      !element ||
+      SKIPPED_TAGS.indexOf(element.tagName) !== -1 ||
+      Boolean(element.isContentEditable)
+    );
+  };
+
+  /**
+   * @returns {boolean} true if there is anything to filter
+   */
+  const isActive = function () {
+    return Boolean(matcher) && (matcher.size > 0 || textPolicy.enabled);
+  };
+
+  /**
+   * Marks the block as clean or blurred by the combined scores of the block
+   *
+   * @param {Element} block
+   */
+  const decideBlock = function (block) {
+    const { scores, words } = scored.get(block);
+    const verdict = TextRuler.decide(scores, words, textPolicy);
+    block.setAttribute(TEXT_ATTRIBUTE, verdict.block ? verdict.category : CLEAN);
+  };
+
+  /**
+   * Counts the hate speech words found in the text nodes of the block
+   *
+   * @param {Element} block
+   * @returns {number}
+   */
+  const countWords = function (block) {
+    let words = 0;
+    const walker = block.ownerDocument.createTreeWalker(
+      block,
+      NodeFilter.SHOW_TEXT
+    );
+    let node = walker.nextNode();
+    while (node) {
+      const entry = filtered.get(node);
+      words += entry ? entry.words : 0;
+      node = walker.nextNode();
+    }
+    return words;
+  };
+
+  /**
+   * Scores the blocks found since the last flush
+   */
+  const flushBlocks = function () {
+    flushTimeout = null;
+    const blocks = [];
+    const texts = [];
+    pendingBlocks.forEach((block) => {
+      if (!block.isConnected || scored.has(block)) {
+        return;
+      }
+      const text = block.textContent.replace(/\s+/g, " ").trim();
+      if (text.length >= MIN_BLOCK_LENGTH && text.length <= MAX_BLOCK_LENGTH) {
+        blocks.push(block);
+        texts.push(text);
+      }
+    });
+    pendingBlocks = new Set();
+
+    for (let i = 0; i < blocks.length; i += BLOCK_BATCH_SIZE) {
+      const batch = blocks.slice(i, i + BLOCK_BATCH_SIZE);
+      // Blocks are not scored again while their batch is waiting for the model
+      batch.forEach((block) => scored.set(block, { scores: null, words: 0 }));
+      classify(texts.slice(i, i + BLOCK_BATCH_SIZE)).then(
+        (scores) => {
+          batch.forEach((block, b) => {
+            scored.set(block, {
+              scores: scores ? scores[b] : null,
+              words: countWords(block),
+            });
+            decideBlock(block);
+          });
+        },
+        () => batch.forEach((block) => scored.delete(block))
+      );
+    }
+  };
+
+  /**
+   * Remembers the block of the text node to score it with the next batch
+   *
+   * @param {Text} node
+   */
+  const collectBlock = function (node) {
+    if (!textPolicy.enabled || !node.parentElement) {
+      return;
+    }
+    const block = node.parentElement.closest(BLOCK_SELECTOR);
+    const doc = node.ownerDocument;
+    if (
+      !block ||
+      block === doc.body ||
+      block === doc.documentElement ||
+      scored.has(block)
+    ) {
+      return;
+    }
+    pendingBlocks.add(block);
+    if (!flushTimeout) {
+      flushTimeout = setTimeout(flushBlocks, BLOCK_BATCH_DELAY_MS);
+    }
+  };
+
+  /**
+   * @param {Text} node
+   */
+  const filterText = function (node) {
+    const value = node.nodeValue;
+    const entry = filtered.get(node);
+    if (
+      !value ||
+      (entry && entry.value === value && entry.matcher === matcher) ||
+      isSkipped(node.parentElement)
+    ) {
+      return;
+    }
+
+    const ranges = matcher.find(value);
+    const masked = matcher.mask(value, "*", ranges);
+    // Words masked by the previous matcher are counted too
+    const previousWords = entry && entry.value === value ? entry.words : 0;
+    filtered.set(node, {
+      value: masked,
+      matcher,
+      words: previousWords + ranges.length,
+    });
+    if (masked !== value) {
+      node.nodeValue = masked;
+    }
+    collectBlock(node);
+  };
+
+  /**
+   * @param {Element} element
+   * @param {Array<string>} attributes
+   */
+  const filterAttributes = function (element, attributes = ATTRIBUTES) {
+    attributes.forEach((attribute) => {
+      const value = element.getAttribute(attribute);
+      if (!value) {
+        return;
+      }
+      const masked = matcher.mask(value);
+      if (masked !== value) {
+        element.setAttribute(attribute, masked);
+      }
+    });
+  };
+
+  /**
+   * Filters the node and its subtree
+   *
+   * @param {Node} root
+   */
+  const filter = function (root) {
+    if (!isActive() || !root) {
+      return;
+    }
+
+    if (root.nodeType === Node.TEXT_NODE) {
+      filterText(root);
+      return;
+    }
+    if (
+      root.nodeType !== Node.ELEMENT_NODE &&
+      root.nodeType !== Node.DOCUMENT_NODE &&
+      root.nodeType !== Node.DOCUMENT_FRAGMENT_NODE
+    ) {
+      return;
+    }
+
+    const doc = root.ownerDocument || root;
+    const walker = doc.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: (node) =>
+          node.nodeType === Node.ELEMENT_NODE &&
+          SKIPPED_TAGS.indexOf(node.tagName) !== -1
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT,
+      }
+    );
+
+    let node = root.nodeType === Node.ELEMENT_NODE ? root : walker.nextNode();
+    while (node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        filterText(node);
+      } else {
+        filterAttributes(node);
+      }
+      node = walker.nextNode();
+    }
+  };
+
+  /**
+   * Filters the document, its shadow roots and frames
+   */
+  const filterAll = function () {
+    ShadowScanner.getRoots().forEach(filter);
+  };
+
+  /**
+   * Filters the nodes added or changed by the page
+   *
+   * @param {Array<MutationRecord>} mutations
+   */
+  const onMutations = function (mutations) {
+    if (!isActive()) {
+      return;
+    }
+
+    mutations.forEach((mutation) => {
+      switch (mutation.type) {
+        case "childList":
+          mutation.addedNodes.forEach(filter);
+          break;
+        case "characterData":
+          filterText(mutation.target);
+          break;
+        case "attributes":
+          if (ATTRIBUTES.indexOf(mutation.attributeName) !== -1) {
+            filterAttributes(mutation.target, [mutation.attributeName]);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  };
+
+  /**
+   * Sets the text policy, the scored blocks are decided again by the new thresholds.
+   * Blocks found while the filter is disabled are scored after the page is reloaded.
+   *
+   * @param {{enabled: boolean, thresholds: Object<string, number>}} policy
+   */
+  const setPolicy = function (policy) {
+    textPolicy = policy || { enabled: false, thresholds: {} };
+    ShadowScanner.getRoots().forEach((root) => {
+      root.querySelectorAll(`[${TEXT_ATTRIBUTE}]`).forEach((block) => {
+        if (!textPolicy.enabled) {
+          block.setAttribute(TEXT_ATTRIBUTE, CLEAN);
+        } else if (scored.has(block)) {
+          decideBlock(block);
+        }
+      });
+    });
+  };
+
+  /**
+   * Sets the words to mask and the text policy and filters the page
+   *
+   * @param {Array<string>} words
+   * @param {{enabled: boolean, thresholds: Object<string, number>}} policy
+   * @param {function(Array<string>): Promise<Array<Object<string, number>>|null>} classifyTexts
+   *  scores the texts by the text model
+   */
+  const init = function (words, policy, classifyTexts) {
+    // Words of the languages found in the page text may be set before
+    if (!matcher) {
+      matcher = TextMatcher.create(words);
+      matcherWords = words || [];
+    }
+    textPolicy = policy || textPolicy;
+    classify = classifyTexts || classify;
+    filterAll();
+  };
+
+  /**
+   * Replaces the words to mask, e.g. when more languages are found in the page,
+   * and filters the page again
+   *
+   * @param {Array<string>} words
+   */
+  const setWords = function (words) {
+    const same =
+      words.length === matcherWords.length &&
+      words.every((word, i) => word === matcherWords[i]);
+    if (same) {
+      return;
+    }
+    matcher = TextMatcher.create(words);
+    matcherWords = words;
+    filterAll();
+  };
+
+  /**
+   * Counts the blocks of text blurred in the page, for the activity report
+   *
+   * @returns {number}
+   */
+  const countBlurred = function () {
+    return ShadowScanner.getRoots().reduce(
+      (count, root) =>
+        count +
+        root.querySelectorAll(
+          `[${TEXT_ATTRIBUTE}]:not([${TEXT_ATTRIBUTE}="${CLEAN}"])`
+        ).length,
+      0
+    );
+  };
+
+  return {
+    ATTRIBUTES,
+    TEXT_ATTRIBUTE,
+    init,
+    setPolicy,
+    setWords,
+    filter,
+    filterAll,
+    onMutations,
+    countBlurred,
+  };
+})();
@@ -191,6 +191,44 @@ function injectPageScriptAPI(scriptName, isInjected) {
   for (let i = 0; i < interfaces.length; i += 1) {
     overrideContentAccess(interfaces[i]);
   }
+
+  /**
+   * Overrides Element.prototype.attachShadow, so that the content script could scan
+   * images inside of the new open shadow roots. The content script is notified by
+   * the event dispatched on the host, see ShadowScanner in shadow-scanner.js.
+   */
+  function overrideAttachShadow() {
+    const attachShadow = Element.prototype.attachShadow;
+    if (!(attachShadow instanceof Function)) {
+      return;
+    }
+
+    const dispatchEvent = EventTarget.prototype.dispatchEvent;
+    const attachShadowWrapper = function (init) {
+      const root = attachShadow.call(this, init);
+      if (init && init.mode === "open") {
+        dispatchEvent.call(
+          this,
+          new CustomEvent("purify-shadow-root", {
+            bubbles: true,
+            composed: true,
+          })
+        );
+      }
+      return root;
+    };
+    attachShadowWrapper.toString = Function.prototype.toString.bind(
+      attachShadow
+    );
+
+    Object.defineProperty(Element.prototype, "attachShadow", {
+      value: attachShadowWrapper,
+      configurable: true,
+      writable: true,
+    });
+  }
+
+  overrideAttachShadow();
 }
 
 /**
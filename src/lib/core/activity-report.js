@@ -0,0 +1,311 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension activity-report.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Browsing activity of the device aggregated by the hour: time spent on the domains,
+ * blocked pages by the reason, search queries and the number of the blurred images and texts.
+ * Hours are kept in the local storage for a week, so the report is shown offline
+ * on the options page. Every finished hour is sent once to the parent account.
+ *
+ * Hour is {hour, domains: {domain: ms}, blocked: {reason: {domain: count}},
+ *  searches: [{engine, query, time}], blurs: {images, texts}, sent}
+ */
+purify.activityReport = (function(purify) {
+    "use strict";
+
+    const REPORT_LS_PROP = "activity-report";
+
+    const HOUR_MS = 60 * 60 * 1000;
+
+    /**
+     * Older hours are removed
+     */
+    const MAX_HOURS = 7 * 24;
+
+    const MAX_SEARCHES_PER_HOUR = 100;
+
+    /**
+     * Finished hours are sent a bit after the hour ends
+     */
+    const SYNC_DELAY_MS = 60 * 1000;
+
+    const BLOCK_REASONS = ["blacklist", "nsfw", "safebrowsing", "schedule"];
+
+    /**
+     * Search engines and the query parameters of their result pages
+     */
+    const SEARCH_ENGINES = [
+        { name: "google", host: /(^|\.)google\.[a-z.]+$/, path: /^\/search/, param: "q" },
+        { name: "bing", host: /(^|\.)bing\.com$/, path: /^\/search/, param: "q" },
+        { name: "duckduckgo", host: /(^|\.)duckduckgo\.com$/, path: /^\/$/, param: "q" },
+        { name: "yahoo", host: /(^|\.)search\.yahoo\.com$/, path: /^\/search/, param: "p" },
+        { name: "yandex", host: /(^|\.)yandex\.[a-z.]+$/, path: /^\/search/, param: "text" },
+        { name: "baidu", host: /(^|\.)baidu\.com$/, path: /^\/s$/, param: "wd" },
+        { name: "coccoc", host: /(^|\.)coccoc\.com$/, path: /^\/search/, param: "query" },
+        { name: "youtube", host: /(^|\.)youtube\.com$/, path: /^\/results/, param: "search_query" },
+    ];
+
+    // Hours are read on the first use, the storage may be not initialized before
+    let hours = null;
+
+    let syncTimeout = null;
+    let syncInterval = null;
+
+    const getHours = function() {
+        if (!hours) {
+            try {
+                const json = purify.localStorage.getItem(REPORT_LS_PROP);
+                hours = json ? JSON.parse(json) : [];
+            } catch (ex) {
+                purify.console.error("Error loading activity report, cause: {0}", ex);
+                hours = [];
+            }
+        }
+        return hours;
+    };
+
+    const save = function() {
+        purify.localStorage.setItem(REPORT_LS_PROP, JSON.stringify(getHours()));
+    };
+
+    /**
+     * Returns the hour of the time, the hours older than a week are removed
+     *
+     * @param {number} now Time in ms
+     * @returns {Object}
+     */
+    const getHour = function(now) {
+        const hour = Math.floor(now / HOUR_MS) * HOUR_MS;
+        const all = getHours();
+        // Usually the last one, unless the clock is turned back
+        let item = all.find((hourItem) => hourItem.hour === hour);
+        if (!item) {
+            item = {
+                hour,
+                domains: {},
+                blocked: {},
+                searches: [],
+                blurs: { images: 0, texts: 0 },
+                sent: false,
+            };
+            all.push(item);
+            all.sort((a, b) => a.hour - b.hour);
+            const oldest = all[all.length - 1].hour - MAX_HOURS * HOUR_MS;
+            while (all[0].hour <= oldest) {
+                all.shift();
+            }
+        }
+        return item;
+    };
+
+    const getDomain = function(url) {
+        const host = purify.utils.url.getHost(url);
+        return host ? host.replace(/^www\./, "") : null;
+    };
+
+    /**
+     * Adds the time spent on the site in the active tab
+     *
+     * @param {string} url
+     * @param {number} ms
+     * @param {number} now
+     */
+    const recordTime = function(url, ms, now = Date.now()) {
+        const domain = getDomain(url);
+        if (!domain || !purify.utils.url.isHttpRequest(url) || ms <= 0) {
+            return;
+        }
+        const { domains } = getHour(now);
+        domains[domain] = (domains[domain] || 0) + ms;
+        save();
+    };
+
+    /**
+     * Counts the page blocked by the reason
+     *
+     * @param {string} url
+     * @param {string} reason One of blacklist, nsfw, safebrowsing, schedule
+     * @param {number} now
+     */
+    const recordBlocked = function(url, reason, now = Date.now()) {
+        const domain = getDomain(url);
+        if (!domain || BLOCK_REASONS.indexOf(reason) === -1) {
+            return;
+        }
+        const { blocked } = getHour(now);
+        blocked[reason] = blocked[reason] || {};
+        blocked[reason][domain] = (blocked[reason][domain] || 0) + 1;
+        save();
+    };
+
+    /**
+     * Parses the query of the search result page
+     *
+     * @param {string} url
+     * @returns {{engine: string, query: string}|null}
+     */
+    const parseSearch = function(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (ex) {
+            return null;
+        }
+        const engine = SEARCH_ENGINES.find((item) => item.host.test(parsed.hostname)
+            && item.path.test(parsed.pathname));
+        const query = engine && parsed.searchParams.get(engine.param);
+        if (!query || !query.trim()) {
+            return null;
+        }
+        return { engine: engine.name, query: query.trim() };
+    };
+
+    /**
+     * Records the query if the url is a search result page
+     *
+     * @param {string} url Url of the main frame
+     * @param {number} now
+     */
+    const recordSearch = function(url, now = Date.now()) {
+        const search = parseSearch(url);
+        if (!search) {
+            return;
+        }
+        const { searches } = getHour(now);
+        const last = searches[searches.length - 1];
+        // Next pages of the results are the same search
+        if (last && last.engine === search.engine && last.query === search.query) {
+            return;
+        }
+        if (searches.length < MAX_SEARCHES_PER_HOUR) {
+            searches.push(Object.assign(search, { time: now }));
+            save();
+        }
+    };
+
+    /**
+     * Adds the images and the blocks of text blurred in the page
+     *
+     * @param {{images: number, texts: number}} blurs
+     * @param {number} now
+     */
+    const recordBlurs = function({ images = 0, texts = 0 }, now = Date.now()) {
+        if (!(images > 0) && !(texts > 0)) {
+            return;
+        }
+        const { blurs } = getHour(now);
+        blurs.images += Math.max(0, Number(images) || 0);
+        blurs.texts += Math.max(0, Number(texts) || 0);
+        save();
+    };
+
+    /**
+     * Sums the hours
+     *
+     * @param {Array<Object>} items hours
+     * @returns {{domains: Array<{domain: string, ms: number}>,
+     *  blocked: Array<{reason: string, domain: string, count: number}>,
+     *  searches: Array<{engine: string, query: string, time: number}>,
+     *  blurs: {images: number, texts: number}}}
+     */
+    const summarize = function(items) {
+        const domains = {};
+        const blocked = {};
+        const summary = { domains: [], blocked: [], searches: [], blurs: { images: 0, texts: 0 } };
+
+        items.forEach((item) => {
+            Object.keys(item.domains).forEach((domain) => {
+                domains[domain] = (domains[domain] || 0) + item.domains[domain];
+            });
+            Object.keys(item.blocked).forEach((reason) => {
+                Object.keys(item.blocked[reason]).forEach((domain) => {
+                    const key = `${reason} ${domain}`;
+                    blocked[key] = blocked[key] || { reason, domain, count: 0 };
+                    blocked[key].count += item.blocked[reason][domain];
+                });
+            });
+            summary.searches = summary.searches.concat(item.searches);
+            summary.blurs.images += item.blurs.images;
+            summary.blurs.texts += item.blurs.texts;
+        });
+
+        summary.domains = Object.keys(domains)
+            .map((domain) => ({ domain, ms: domains[domain] }))
+            .sort((a, b) => b.ms - a.ms);
+        summary.blocked = Object.keys(blocked)
+            .map((key) => blocked[key])
+            .sort((a, b) => b.count - a.count);
+        summary.searches.sort((a, b) => b.time - a.time);
+        return summary;
+    };
+
+    /**
+     * Report of the last hours, shown on the options page
+     *
+     * @param {number} count Number of the hours
+     * @param {number} now
+     * @returns {Object} summary with the start and the end of the period
+     */
+    const getReport = function(count, now = Date.now()) {
+        const to = now;
+        const from = Math.floor(now / HOUR_MS) * HOUR_MS - (Math.min(count, MAX_HOURS) - 1) * HOUR_MS;
+        const items = getHours().filter((item) => item.hour >= from);
+        return Object.assign(summarize(items), { from, to });
+    };
+
+    /**
+     * Sends the finished hours which were not sent yet
+     *
+     * @param {number} now
+     * @returns {Promise}
+     */
+    const sync = async function(now = Date.now()) {
+        const current = Math.floor(now / HOUR_MS) * HOUR_MS;
+        const unsent = getHours().filter((item) => !item.sent && item.hour < current);
+        if (unsent.length === 0) {
+            return;
+        }
+        const reports = unsent.map((item) => Object.assign(summarize([item]), {
+            from: item.hour,
+            to: item.hour + HOUR_MS,
+        }));
+        // Hours are kept unsent until the device is paired with the parent account
+        if (await purify.parentalControl.syncActivity(reports)) {
+            unsent.forEach((item) => {
+                item.sent = true;
+            });
+            save();
+        }
+    };
+
+    /**
+     * Sends the hours finished while the browser was closed and then every hour
+     */
+    const init = function() {
+        sync();
+        clearTimeout(syncTimeout);
+        clearInterval(syncInterval);
+        const now = Date.now();
+        const nextHour = Math.floor(now / HOUR_MS) * HOUR_MS + HOUR_MS;
+        syncTimeout = setTimeout(() => {
+            sync();
+            syncInterval = setInterval(sync, HOUR_MS);
+        }, nextHour - now + SYNC_DELAY_MS);
+    };
+
+    return {
+        BLOCK_REASONS,
+        init,
+        recordTime,
+        recordBlocked,
+        recordSearch,
+        recordBlurs,
+        parseSearch,
+        getReport,
+        sync,
+    };
+})(purify);
@@ -106,6 +106,11 @@
    * @returns {*}
    */
   function handleMessage(message, sender, callback) {
+    // Changes of the protection wait for the parent PIN
+    if (purify.parentLock.isLocked(message)) {
+      return { locked: true };
+    }
+
     switch (message.type) {
       case "updateUserInfo":
         purify.parentalControl.updateUser(message.info);
@@ -126,7 +131,13 @@
       case "initializeFrameScript":
         return processInitializeFrameScriptRequest();
       case "changeUserSetting":
-        purify.settings.setProperty(message.key, message.value);
+        // PINs are changed with the current PIN only
+        if (
+          message.key !== purify.settings.PARENT_PIN &&
+          message.key !== purify.settings.REVEAL_PIN
+        ) {
+          purify.settings.setProperty(message.key, message.value);
+        }
         break;
       case "checkRequestFilterReady":
         return { ready: purify.requestFilter.isReady() };
@@ -325,6 +336,40 @@
       //     message.comment
       //   );
       //   break;
+      // Blurred images actions
+      case "setRevealPin":
+        return {
+          success: purify.imageOverrides.setPin(message.pin, message.currentPin),
+        };
+      case "checkRevealPin":
+        return { valid: purify.imageOverrides.checkPin(message.pin) };
+      case "allowImage":
+        purify.imageOverrides
+          .allow(message)
+          .then((success) => callback({ success }));
+        return true;
+      case "reportImage":
+        purify.imageOverrides.report({
+          srcUrl: message.srcUrl,
+          contentHash: message.contentHash,
+          pageUrl: sender.tab.url,
+          predictions: message.predictions,
+        });
+        break;
+      // Parent PIN
+      case "getParentLockState":
+        return purify.parentLock.getState();
+      case "unlockParentLock":
+        return purify.parentLock.unlock(message.pin);
+      case "lockParentLock":
+        purify.parentLock.lock();
+        break;
+      case "setParentPin":
+        return {
+          success: purify.parentLock.setPin(message.pin, message.currentPin),
+        };
+      case "getActivityReport":
+        return purify.activityReport.getReport(message.hours);
       case "saveCssHitStats":
         processSaveCssHitStats(sender.tab, message.stats);
         break;
@@ -344,22 +389,36 @@
 
         const tabIdUrl = purify.loadingQueue._buildTabIdUrl(sender.tab);
 
+        // Images in the viewport of the active tab are classified first
         purify.loadingQueue
-          .predict(requestUrl, tabIdUrl)
-          .then((result) => {
-            const imagesNum = message.imagesNum;
-            const arrPurifyUrl = purify.purifyFiltering.purifyUrlCache.cache.getValue(
-              tabIdUrl.tabUrl
+          .predict(requestUrl, tabIdUrl, Boolean(message.image?.visible))
+          .then((verdict) => {
+            const result = verdict.block;
+            const pageRiskScorer = purify.purifyFiltering.getPageRiskScorer(
+              tabIdUrl
+            );
+            pageRiskScorer.add(
+              requestUrl,
+              Object.assign(
+                {
+                  flagged: result,
+                  confidence: verdict.score,
+                  className: verdict.className,
+                },
+                message.image
+              )
+            );
+
+            const decision = pageRiskScorer.decide(
+              purify.purifyFiltering.getClassificationPolicy()
             );
 
-            if (
-              arrPurifyUrl &&
-              ((imagesNum <= 20 && arrPurifyUrl.length > 5) ||
-                (imagesNum > 20 && arrPurifyUrl.length / imagesNum > 0.2))
-            ) {
+            if (decision.block) {
+              purify.activityReport.recordBlocked(sender.tab.url, "nsfw");
               const documentBlockedPage = purify.rules.documentFilterService.getDocumentBlockPageUrl(
                 requestUrl,
-                "Explicit Content"
+                "Explicit Content",
+                decision.reason
               );
 
               purify.rules.documentFilterService.showDocumentBlockPage(
@@ -0,0 +1,156 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension parent-lock.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Protects the filtering settings with the parent PIN.
+ * If the PIN is set, messages of the popup and the options page which weaken the protection
+ * are rejected until the PIN is entered. Unlock lasts for the session timeout,
+ * failed attempts are reported to the parental control hub.
+ */
+purify.parentLock = (function(purify) {
+    "use strict";
+
+    const UNLOCK_SESSION_MS = 10 * 60 * 1000;
+
+    /**
+     * Unlock is refused for the lockout time after this number of failed attempts in a row
+     */
+    const MAX_FAILED_ATTEMPTS = 5;
+    const LOCKOUT_MS = 5 * 60 * 1000;
+
+    /**
+     * Messages which require unlock
+     */
+    const PROTECTED_MESSAGES = [
+        "changeApplicationFilteringDisabled",
+        "addWhiteListDomainPopup",
+        "changeUserSetting",
+        "changeDefaultWhiteListMode",
+        "saveWhiteListDomains",
+        "saveUserRules",
+        "addUserRule",
+        "removeUserRule",
+        "disableAntiBannerFilter",
+        "removeAntiBannerFilter",
+        "disableFiltersGroup",
+        "setRevealPin",
+    ];
+
+    // Session is kept in memory only, restart of the browser locks the settings
+    let unlockedUntil = 0;
+    let lockedOutUntil = 0;
+    let failedAttempts = 0;
+
+    const isPinSet = function() {
+        return Boolean(purify.settings.getProperty(purify.settings.PARENT_PIN));
+    };
+
+    /**
+     * @returns {boolean} true if the protected messages are allowed
+     */
+    const isUnlocked = function() {
+        return !isPinSet() || Date.now() < unlockedUntil;
+    };
+
+    /**
+     * @param message Message of the extension page
+     * @returns {boolean} true if the message is rejected until unlock
+     */
+    const isLocked = function(message) {
+        return PROTECTED_MESSAGES.indexOf(message.type) !== -1 && !isUnlocked();
+    };
+
+    const onFailedAttempt = function() {
+        failedAttempts += 1;
+        const attempts = failedAttempts;
+        if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+            lockedOutUntil = Date.now() + LOCKOUT_MS;
+            failedAttempts = 0;
+        }
+        purify.parentalControl.reportFailedUnlock({ attempts, lockedOutUntil });
+    };
+
+    /**
+     * Checks the PIN without the unlock, any PIN is valid if it is not set.
+     * Every PIN is wrong for the lockout time after too many failed attempts.
+     *
+     * @param {string} pin
+     * @returns {boolean}
+     */
+    const checkPin = function(pin) {
+        if (Date.now() < lockedOutUntil) {
+            return false;
+        }
+
+        const success = !isPinSet()
+            || purify.utils.browser.hashPin(`${pin || ""}`) === purify.settings.getProperty(purify.settings.PARENT_PIN);
+        if (success) {
+            failedAttempts = 0;
+        } else {
+            onFailedAttempt();
+        }
+        return success;
+    };
+
+    /**
+     * Unlocks the settings for the session timeout
+     *
+     * @param {string} pin
+     * @returns {{success: boolean, unlockedUntil: number, lockedOutUntil: number}}
+     */
+    const unlock = function(pin) {
+        const success = checkPin(pin);
+        if (success) {
+            unlockedUntil = Date.now() + UNLOCK_SESSION_MS;
+        }
+        return { success, unlockedUntil, lockedOutUntil };
+    };
+
+    /**
+     * Ends the session before the timeout
+     */
+    const lock = function() {
+        unlockedUntil = 0;
+    };
+
+    /**
+     * Changes the PIN, empty PIN removes the protection
+     *
+     * @param {string} pin          New PIN
+     * @param {string} currentPin   Current PIN
+     * @returns {boolean} false if the current PIN is wrong
+     */
+    const setPin = function(pin, currentPin) {
+        if (isPinSet() && !unlock(currentPin).success) {
+            return false;
+        }
+        purify.settings.setProperty(purify.settings.PARENT_PIN, pin ? purify.utils.browser.hashPin(`${pin}`) : "");
+        return true;
+    };
+
+    /**
+     * @returns {{pinSet: boolean, unlocked: boolean, unlockedUntil: number, lockedOutUntil: number}}
+     */
+    const getState = function() {
+        return {
+            pinSet: isPinSet(),
+            unlocked: isUnlocked(),
+            unlockedUntil,
+            lockedOutUntil,
+        };
+    };
+
+    return {
+        isLocked,
+        isUnlocked,
+        checkPin,
+        unlock,
+        lock,
+        setPin,
+        getState,
+    };
+})(purify);
@@ -13,111 +13,170 @@ purify.parentalControl = (function(purify) {
 
     const clientId = purify.utils.browser.getClientId();
 
-    const initDevice = function() {
-        browser.storage.sync.get("puid", function(info) {
-            if (Object.keys(info).length === 0 && info.constructor === Object) {
-                const hub = atob(purify.HUB_SUBSCRIBE);
-                const mqttc = mqtt.connect(hub);
-
-                mqttc.on("connect", function() {
-                    const payload = JSON.stringify({
-                        action: "init_device",
-                        client_id: clientId,
-                        user_agent: navigator.userAgent,
-                        client_lang: navigator.language,
-                    });
+    /**
+     * Topic of the messages to the hub
+     */
+    const PROXY_TOPIC = "mqtt_proxy";
+
+    /**
+     * One session for all messages, started on the first message
+     */
+    const hub = purify.utils.hubClient({
+        url: atob(purify.HUB_SUBSCRIBE),
+        clientId,
+        connect: (url, options) => mqtt.connect(url, options),
+        storage: purify.localStorage,
+        outboxKey: "parental-control-outbox",
+    });
+
+    /**
+     * Publishes the message to the parental control hub.
+     * The message is kept until the hub acknowledges it, so it is not lost offline.
+     *
+     * @param messages Message with the client id
+     */
+    const publish = function(messages) {
+        hub.start();
+        hub.publish(PROXY_TOPIC, JSON.stringify(messages));
+    };
 
-                    mqttc.subscribe(clientId, function(err) {
-                        if (!err) {
-                            mqttc.publish("mqtt_proxy", payload);
-                        }
-                    });
-                });
+    /**
+     * Handles messages of the hub sent to this client: reply to init_device
+     * with puid, the key of the dashboard and the pairing nonce, and signed policy commands
+     *
+     * @param {string} message JSON message
+     */
+    const onHubMessage = function(message) {
+        let payload;
+        try {
+            payload = JSON.parse(message);
+        } catch (ex) {
+            purify.console.error("Invalid parental control message: {0}", ex);
+            return;
+        }
+        if (!payload) {
+            return;
+        }
 
-                mqttc.on("message", function(topic, message) {
-                    const payload = JSON.parse(message.toString());
-                    browser.storage.sync.set({ puid: payload.puid });
-                    mqttc.end();
-                });
+        // Anybody who knows the client id may publish to its topic,
+        // so only the reply to init_device sent by this client is accepted
+        if (payload.puid && purify.remotePolicy.completePairing(payload.pairing_nonce, payload.policy_key)) {
+            browser.storage.sync.set({ puid: payload.puid });
+        }
+        if (payload.signature) {
+            purify.remotePolicy.handleMessage(payload).then((ack) => {
+                if (ack) {
+                    publish(ack);
+                }
+            });
+        }
+    };
 
-                mqttc.on("error", (error) => {
-                    purify.console.info("error init device");
-                });
+    /**
+     * Pairs the device with the parent account. Devices paired before the policy commands
+     * have puid but no key of the dashboard, they are paired again with the same puid.
+     */
+    const initDevice = function() {
+        browser.storage.sync.get("puid", function(info) {
+            const puid = info && info.puid;
+            if (puid && purify.remotePolicy.hasPublicKey()) {
+                return;
             }
+            publish({
+                action: "init_device",
+                client_id: clientId,
+                puid,
+                pairing_nonce: purify.remotePolicy.startPairing(),
+                user_agent: navigator.userAgent,
+                client_lang: navigator.language,
+            });
         });
     };
 
     const syncData = function() {
         browser.storage.sync.get("puid", function(info) {
             if (Object.keys(info).length !== 0 && info.constructor === Object) {
-                const hub = atob(purify.HUB_SUBSCRIBE);
-                const mqttc = mqtt.connect(hub);
-
-                mqttc.on("connect", function() {
-                    const cache = purify.purifyFiltering.purifyUrlCache.cache.object();
-                    const arrCache = cache.toJSON();
-
-                    mqttc.subscribe(clientId, function(err) {
-                        if (arrCache.length > 0) {
-                            for (let idx = 0; idx < arrCache.length; idx++) {
-                                let item = arrCache[idx];
-
-                                if (!err &&
-                                    typeof item.value !== "undefined" &&
-                                    item.value.length > 0
-                                ) {
-                                    mqttc.publish(
-                                        "mqtt_proxy",
-                                        JSON.stringify({
-                                            action: "stats_browser_ext",
-                                            client_id: clientId,
-                                            puid: info.puid,
-                                            stat: item,
-                                        })
-                                    );
-                                }
-
-                                if (idx === arrCache.length - 1) {
-                                    // cache.clear();
-                                    mqttc.end();
-                                }
-                            }
-                        } else {
-                            mqttc.end();
-                        }
-                    });
-                });
-
-                mqttc.on("error", (error) => {
-                    console.log(error);
-                    purify.console.info("Error Hit Stats");
+                const cache = purify.purifyFiltering.purifyUrlCache.cache.object();
+                const arrCache = cache.toJSON();
+
+                arrCache.forEach((item) => {
+                    if (typeof item.value !== "undefined" && item.value.length > 0) {
+                        publish({
+                            action: "stats_browser_ext",
+                            client_id: clientId,
+                            puid: info.puid,
+                            stat: item,
+                        });
+                    }
                 });
             }
         });
     };
 
     const syncBlacklist = function(messages) {
+        publish(messages);
+    };
 
-        const hub = atob(purify.HUB_SUBSCRIBE);
-        const mqttc = mqtt.connect(hub);
+    /**
+     * Reports the image which has been blurred by mistake
+     *
+     * @param {{srcUrl: string, contentHash: string, pageUrl: string, predictions: Array}} report
+     */
+    const reportFalsePositive = function({ srcUrl, contentHash, pageUrl, predictions }) {
+        publish({
+            action: "false_positive",
+            client_id: clientId,
+            link: pageUrl,
+            image: srcUrl,
+            content_hash: contentHash,
+            predictions,
+            timestamp: Date.now(),
+            user_agent: navigator.userAgent,
+            client_lang: navigator.language,
+        });
+    };
 
-        mqttc.on("connect", function() {
+    /**
+     * Reports the wrong parent PIN entered to unlock the settings
+     *
+     * @param {{attempts: number, lockedOutUntil: number}} attempt
+     *  attempts - failed attempts in a row, lockedOutUntil - end of the lockout time in ms
+     */
+    const reportFailedUnlock = function({ attempts, lockedOutUntil }) {
+        publish({
+            action: "unlock_failed",
+            client_id: clientId,
+            attempts,
+            locked_out_until: lockedOutUntil,
+            timestamp: Date.now(),
+            user_agent: navigator.userAgent,
+        });
+    };
 
-            mqttc.subscribe(messages.clientId, function(err) {
-                if (!err) {
-                    mqttc.publish(
-                        "mqtt_proxy",
-                        JSON.stringify(messages)
-                    );
+    /**
+     * Sends the hourly activity reports to the parent account
+     *
+     * @param {Array<Object>} reports Reports of the finished hours
+     * @returns {Promise<boolean>} false if the device is not paired with the parent account yet
+     */
+    const syncActivity = function(reports) {
+        return new Promise((resolve) => {
+            browser.storage.sync.get("puid", function(info) {
+                if (!info || !info.puid) {
+                    resolve(false);
+                    return;
                 }
-                mqttc.end();
+                reports.forEach((report) => {
+                    publish({
+                        action: "activity_report",
+                        client_id: clientId,
+                        puid: info.puid,
+                        report,
+                    });
+                });
+                resolve(true);
             });
         });
-
-        mqttc.on("error", (error) => {
-            console.log(error);
-            purify.console.info("Error Hit Stats");
-        });
     };
 
     const updateUser = function(info) {
@@ -143,6 +202,9 @@ purify.parentalControl = (function(purify) {
     };
 
     const init = function() {
+        // puid and policy commands are sent to the topic of the client
+        hub.subscribe(clientId, onHubMessage);
+        hub.start();
         initDevice();
         purify.console.info("Initializing Parental Control");
     };
@@ -153,5 +215,8 @@ purify.parentalControl = (function(purify) {
         init,
         syncData,
         syncBlacklist,
+        reportFalsePositive,
+        reportFailedUnlock,
+        syncActivity,
     };
 })(purify);
\ No newline at end of file
@@ -0,0 +1,477 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension remote-policy.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Applies the policy commands sent by the parent dashboard to the topic of the client.
+ *
+ * Message is {payload, signature}: payload is JSON string of the command
+ * {version, client_id, type, params}, signature is base64 ECDSA P-256 SHA-256 signature
+ * of the payload bytes (r and s, 64 bytes). The public key of the dashboard is pinned
+ * when the device is paired: it is accepted only in the reply to init_device which echoes
+ * the nonce of the pairing this client started. The messages of any other publisher are ignored.
+ * Version of every command is greater than the version of the previous one,
+ * so the recorded commands can't be sent again.
+ */
+purify.remotePolicy = (function(purify) {
+    "use strict";
+
+    const PUBLIC_KEY_PROP = "remote-policy-public-key";
+    const PAIRING_NONCE_PROP = "remote-policy-pairing-nonce";
+    const VERSION_PROP = "remote-policy-version";
+    const PAUSED_UNTIL_PROP = "remote-policy-paused-until";
+
+    const MINUTES_PER_DAY = 24 * 60;
+    const MAX_PAUSE_MINUTES = MINUTES_PER_DAY;
+
+    /**
+     * Settings the dashboard may change
+     */
+    const BOOLEAN_SETTINGS = [
+        purify.settings.BLOCK_PORN,
+        purify.settings.BLOCK_SEXY,
+        purify.settings.BLOCK_BLOODY,
+        purify.settings.BLOCK_BLOODSHED,
+        purify.settings.BLOCK_BLACKLIST,
+        purify.settings.BLOCK_ADS,
+        purify.settings.TOXIC_TEXT_FILTER,
+    ];
+    const PERCENT_SETTINGS = [
+        purify.settings.STRICTNESS,
+        purify.settings.PAGE_RISK_THRESHOLD,
+        purify.settings.TOXICITY_THRESHOLD,
+        purify.settings.HARASSMENT_THRESHOLD,
+        purify.settings.SEXUAL_TEXT_THRESHOLD,
+    ];
+
+    const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/;
+
+    const domainListSchema = {
+        type: "array",
+        maxItems: 1000,
+        items: { type: "string", pattern: DOMAIN_PATTERN },
+    };
+
+    const domainChangesSchema = {
+        type: "object",
+        properties: {
+            add: domainListSchema,
+            remove: domainListSchema,
+        },
+    };
+
+    const scheduleSchema = {
+        type: "object",
+        required: ["id", "name", "type"],
+        properties: {
+            id: { type: "string", pattern: /^[\w-]{1,64}$/ },
+            name: { type: "string", pattern: /^.{1,100}$/ },
+            type: { type: "string", enum: ["block", "budget"] },
+            category: { type: "string", enum: Object.keys(purify.schedules.CATEGORIES) },
+            domains: domainListSchema,
+            days: {
+                type: "array",
+                maxItems: 7,
+                items: { type: "integer", minimum: 0, maximum: 6 },
+            },
+            start: { type: "string", pattern: purify.schedules.TIME_PATTERN },
+            end: { type: "string", pattern: purify.schedules.TIME_PATTERN },
+            minutes: { type: "integer", minimum: 1, maximum: MINUTES_PER_DAY },
+        },
+    };
+
+    const settingsSchema = {
+        type: "object",
+        properties: {},
+    };
+    BOOLEAN_SETTINGS.forEach((name) => {
+        settingsSchema.properties[name] = { type: "boolean" };
+    });
+    PERCENT_SETTINGS.forEach((name) => {
+        settingsSchema.properties[name] = { type: "integer", minimum: 0, maximum: 100 };
+    });
+
+    /**
+     * Params of every command type
+     */
+    const PARAMS_SCHEMAS = {
+        update_settings: {
+            type: "object",
+            required: ["settings"],
+            properties: { settings: settingsSchema },
+        },
+        update_domains: {
+            type: "object",
+            properties: {
+                blocked: domainChangesSchema,
+                allowed: domainChangesSchema,
+            },
+        },
+        // 0 minutes resumes the protection
+        pause_protection: {
+            type: "object",
+            required: ["minutes"],
+            properties: {
+                minutes: { type: "integer", minimum: 0, maximum: MAX_PAUSE_MINUTES },
+            },
+        },
+        update_filters: {
+            type: "object",
+            properties: {},
+        },
+        // Replaces all schedules, empty list removes them
+        update_schedules: {
+            type: "object",
+            required: ["schedules"],
+            properties: {
+                schedules: { type: "array", maxItems: 100, items: scheduleSchema },
+            },
+        },
+    };
+
+    const COMMAND_SCHEMA = {
+        type: "object",
+        required: ["version", "client_id", "type", "params"],
+        properties: {
+            version: { type: "integer", minimum: 1 },
+            client_id: { type: "string" },
+            type: { type: "string", enum: Object.keys(PARAMS_SCHEMAS) },
+            // Validated by the schema of the type
+            params: { type: "object" },
+        },
+    };
+
+    let resumeTimeout = null;
+
+    /**
+     * Validates the value by the schema.
+     * Properties of the object which are not described are not allowed, unless properties are omitted.
+     *
+     * @param value
+     * @param {Object} schema Subset of JSON schema: type, properties, required, items,
+     *  maxItems, enum, pattern, minimum and maximum
+     * @param {string} path Path of the value for the error message
+     * @returns {string|null} error or null if the value is valid
+     */
+    const validate = function(value, schema, path = "command") {
+        switch (schema.type) {
+            case "object": {
+                if (!value || typeof value !== "object" || Array.isArray(value)) {
+                    return `${path} is not an object`;
+                }
+                const missing = (schema.required || []).find((name) => !(name in value));
+                if (missing) {
+                    return `${path}.${missing} is required`;
+                }
+                if (!schema.properties) {
+                    return null;
+                }
+                const names = Object.keys(value);
+                for (let i = 0; i < names.length; i += 1) {
+                    const propertySchema = schema.properties[names[i]];
+                    if (!propertySchema) {
+                        return `${path}.${names[i]} is not allowed`;
+                    }
+                    const error = validate(value[names[i]], propertySchema, `${path}.${names[i]}`);
+                    if (error) {
+                        return error;
+                    }
+                }
+                return null;
+            }
+            case "array": {
+                if (!Array.isArray(value)) {
+                    return `${path} is not an array`;
+                }
+                if (value.length > schema.maxItems) {
+                    return `${path} has more than ${schema.maxItems} items`;
+                }
+                for (let i = 0; i < value.length; i += 1) {
+                    const error = validate(value[i], schema.items, `${path}[${i}]`);
+                    if (error) {
+                        return error;
+                    }
+                }
+                return null;
+            }
+            case "string":
+                if (typeof value !== "string") {
+                    return `${path} is not a string`;
+                }
+                if (schema.enum && schema.enum.indexOf(value) === -1) {
+                    return `${path} is not one of ${schema.enum.join(", ")}`;
+                }
+                if (schema.pattern && !schema.pattern.test(value)) {
+                    return `${path} is invalid`;
+                }
+                return null;
+            case "integer":
+                if (!Number.isInteger(value)) {
+                    return `${path} is not an integer`;
+                }
+                if (value < schema.minimum || value > schema.maximum) {
+                    return `${path} is out of range`;
+                }
+                return null;
+            case "boolean":
+                return typeof value === "boolean" ? null : `${path} is not a boolean`;
+            default:
+                return `${path} has unknown type`;
+        }
+    };
+
+    /**
+     * Validates the command and its params
+     *
+     * @param command Parsed payload
+     * @returns {string|null} error or null if the command is valid
+     */
+    const validateCommand = function(command) {
+        return validate(command, COMMAND_SCHEMA)
+            || validate(command.params, PARAMS_SCHEMAS[command.type], "command.params");
+    };
+
+    const base64ToBytes = function(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i += 1) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    };
+
+    /**
+     * Checks the signature of the payload by the pinned key
+     *
+     * @param {string} payload
+     * @param {string} signature base64
+     * @returns {Promise<boolean>}
+     */
+    const verifySignature = async function(payload, signature) {
+        const json = purify.localStorage.getItem(PUBLIC_KEY_PROP);
+        if (!json || typeof payload !== "string" || typeof signature !== "string") {
+            return false;
+        }
+        try {
+            const key = await crypto.subtle.importKey(
+                "jwk",
+                JSON.parse(json),
+                { name: "ECDSA", namedCurve: "P-256" },
+                false,
+                ["verify"]
+            );
+            return await crypto.subtle.verify(
+                { name: "ECDSA", hash: "SHA-256" },
+                key,
+                base64ToBytes(signature),
+                new TextEncoder().encode(payload)
+            );
+        } catch (ex) {
+            purify.console.error("Unable to verify policy signature: {0}", ex);
+            return false;
+        }
+    };
+
+    /**
+     * Pins the public key of the dashboard.
+     * The pinned key is never replaced by the messages.
+     *
+     * @param {Object} jwk Public ECDSA P-256 key
+     * @returns {boolean} true if the key is pinned
+     */
+    const pinPublicKey = function(jwk) {
+        if (purify.localStorage.getItem(PUBLIC_KEY_PROP) || !jwk || jwk.kty !== "EC" || jwk.crv !== "P-256") {
+            return false;
+        }
+        purify.localStorage.setItem(PUBLIC_KEY_PROP, JSON.stringify({
+            kty: jwk.kty,
+            crv: jwk.crv,
+            x: jwk.x,
+            y: jwk.y,
+        }));
+        return true;
+    };
+
+    const hasPublicKey = function() {
+        return Boolean(purify.localStorage.getItem(PUBLIC_KEY_PROP));
+    };
+
+    /**
+     * Starts pairing with the dashboard, the same nonce is returned until the pairing is completed,
+     * so the reply to init_device sent before the browser restart is still accepted
+     *
+     * @returns {string} nonce to send with init_device
+     */
+    const startPairing = function() {
+        let nonce = purify.localStorage.getItem(PAIRING_NONCE_PROP);
+        if (!nonce) {
+            const bytes = crypto.getRandomValues(new Uint8Array(16));
+            nonce = Array.prototype.map.call(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+            purify.localStorage.setItem(PAIRING_NONCE_PROP, nonce);
+        }
+        return nonce;
+    };
+
+    /**
+     * Pins the key of the reply to init_device if the reply echoes the nonce of the started pairing
+     *
+     * @param {string} nonce Nonce of the reply
+     * @param {Object} jwk Public ECDSA P-256 key of the dashboard
+     * @returns {boolean} true if the device is paired
+     */
+    const completePairing = function(nonce, jwk) {
+        const expected = purify.localStorage.getItem(PAIRING_NONCE_PROP);
+        if (!expected || nonce !== expected || !pinPublicKey(jwk)) {
+            return false;
+        }
+        purify.localStorage.removeItem(PAIRING_NONCE_PROP);
+        return true;
+    };
+
+    const getVersion = function() {
+        return Number(purify.localStorage.getItem(VERSION_PROP)) || 0;
+    };
+
+    const resumeProtection = function() {
+        clearTimeout(resumeTimeout);
+        resumeTimeout = null;
+        purify.localStorage.removeItem(PAUSED_UNTIL_PROP);
+        if (purify.settings.isFilteringDisabled()) {
+            purify.ui.changeApplicationFilteringDisabled(false);
+        }
+    };
+
+    /**
+     * Resumes the protection at the time, also after the browser restart
+     *
+     * @param {number} pausedUntil Time in ms
+     */
+    const scheduleResume = function(pausedUntil) {
+        clearTimeout(resumeTimeout);
+        resumeTimeout = setTimeout(resumeProtection, Math.max(0, pausedUntil - Date.now()));
+    };
+
+    const pauseProtection = function(minutes) {
+        if (minutes === 0) {
+            resumeProtection();
+            return;
+        }
+        const pausedUntil = Date.now() + minutes * 60 * 1000;
+        purify.localStorage.setItem(PAUSED_UNTIL_PROP, pausedUntil);
+        purify.ui.changeApplicationFilteringDisabled(true);
+        scheduleResume(pausedUntil);
+    };
+
+    /**
+     * Blocked domains are blocked by the document rules of the user filter,
+     * allowed domains are excluded from the filtering
+     */
+    const updateDomains = function({ blocked = {}, allowed = {} }) {
+        const toRules = (domains, exception) => (domains || [])
+            .map((domain) => `${exception ? "@@" : ""}||${domain}^$document`);
+
+        purify.userrules.addRules(toRules(blocked.add, false).concat(toRules(allowed.add, true)));
+        toRules(blocked.remove, false)
+            .concat(toRules(allowed.remove, true))
+            .forEach((ruleText) => purify.userrules.removeRule(ruleText));
+    };
+
+    const applyCommand = function({ type, params }) {
+        switch (type) {
+            case "update_settings":
+                Object.keys(params.settings).forEach((name) => {
+                    purify.settings.setProperty(name, params.settings[name]);
+                });
+                break;
+            case "update_domains":
+                updateDomains(params);
+                break;
+            case "pause_protection":
+                pauseProtection(params.minutes);
+                break;
+            case "update_filters":
+                purify.ui.checkFiltersUpdates(null, false);
+                break;
+            case "update_schedules":
+                purify.schedules.setSchedules(params.schedules);
+                break;
+            default:
+                break;
+        }
+    };
+
+    /**
+     * Verifies and applies the message of the dashboard
+     *
+     * @param {{payload: string, signature: string}} message
+     * @returns {Promise<Object|null>} acknowledgement to send back,
+     *  null if the message is not signed by the dashboard
+     */
+    const handleMessage = async function({ payload, signature }) {
+        if (!(await verifySignature(payload, signature))) {
+            purify.console.info("Policy command with invalid signature is ignored");
+            return null;
+        }
+
+        let command;
+        try {
+            command = JSON.parse(payload);
+        } catch (ex) {
+            return null;
+        }
+
+        const ack = {
+            action: "policy_ack",
+            client_id: purify.utils.browser.getClientId(),
+            version: command.version,
+            status: "applied",
+            timestamp: Date.now(),
+        };
+
+        let error = validateCommand(command);
+        if (!error && command.client_id !== ack.client_id) {
+            error = "command is sent to another client";
+        }
+        if (!error && command.version <= getVersion()) {
+            error = `version ${command.version} is already applied`;
+        }
+        if (!error) {
+            try {
+                applyCommand(command);
+                purify.localStorage.setItem(VERSION_PROP, command.version);
+            } catch (ex) {
+                error = `${ex}`;
+            }
+        }
+
+        if (error) {
+            purify.console.info("Policy command is rejected: {0}", error);
+            ack.status = "rejected";
+            ack.error = error;
+        }
+        return ack;
+    };
+
+    /**
+     * Resumes the protection paused before the browser restart
+     */
+    const init = function() {
+        const pausedUntil = Number(purify.localStorage.getItem(PAUSED_UNTIL_PROP));
+        if (pausedUntil) {
+            scheduleResume(pausedUntil);
+        }
+    };
+
+    return {
+        init,
+        hasPublicKey,
+        startPairing,
+        completePairing,
+        validateCommand,
+        handleMessage,
+        getVersion,
+    };
+})(purify);
@@ -36,7 +36,13 @@ purify.initialize = function() {
 
         purify.ui.init();
         purify.whitelist.init();
+        purify.schedules.init();
+        purify.imageHashList.init();
+        purify.modelRegistry.init();
         purify.hateSpeech.init();
+        purify.remotePolicy.init();
+        purify.parentalControl.init();
+        purify.activityReport.init();
 
         /**
          * Start application
@@ -64,7 +70,6 @@ purify.initialize = function() {
     // purify.purifyFiltering.init();
     // purify.loadingQueue.init();
     // purify.predictionQueue.init();
-    // purify.parentalControl.init();
 
     purify.rulesStorage.init(() => {
         purify.localStorage.init(onLocalStorageLoaded);
@@ -120,6 +120,18 @@
       return;
     }
 
+    // Schedules of the parent block the sites in the time window or after the daily budget
+    if (
+      requestType === purify.RequestTypes.DOCUMENT &&
+      purify.schedules.checkTab(tabId, requestUrl)
+    ) {
+      return { cancel: true };
+    }
+
+    if (requestType === purify.RequestTypes.DOCUMENT) {
+      purify.activityReport.recordSearch(requestUrl);
+    }
+
     const referrerUrl = getReferrerUrl(requestDetails);
 
     // truncate too long urls
@@ -180,6 +192,7 @@
     if (response && response.documentBlockedPage) {
       // Here we do not use redirectUrl because it is not working in firefox without specifying it
       // as the web_accessible_resources.
+      purify.activityReport.recordBlocked(requestUrl, "blacklist");
       purify.rules.documentFilterService.showDocumentBlockPage(
         tabId,
         response.documentBlockedPage
@@ -491,6 +504,7 @@
       mainFrameUrl,
       referrerUrl,
       (safebrowsingUrl) => {
+        purify.activityReport.recordBlocked(mainFrameUrl, "safebrowsing");
         // Chrome doesn't allow open extension url in incognito mode
         // So close current tab and open new
         if (incognitoTab) {
@@ -1003,6 +1003,7 @@ purify.antiBannerService = (function(purify) {
                 purify.whitelist.updateBlackListDomains(
                     purify.whitelist.getBlockListedDomains().length
                 );
+                purify.imageHashList.updateHashes();
             } catch (ex) {
                 purify.console.error("Error update filters, cause {0}", ex);
             }
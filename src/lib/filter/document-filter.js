@@ -12,16 +12,20 @@
         const DOCUMENT_BLOCKED_URL = "pages/blocking-pages/adBlockedPage.html";
 
         /**
-         * Return url of the document block page and ads there parameters with rule and url
+         * Return url of the document block page and ads there parameters with rule, url and reason
          * @param url
          * @param ruleText
+         * @param [reason] Explanation of the decision, e.g. "12 of 30 visible images flagged Porn"
          * @returns {null|string}
          */
-        const getDocumentBlockPageUrl = (url, ruleText) => {
+        const getDocumentBlockPageUrl = (url, ruleText, reason) => {
             let blockingUrl = purify.getURL(DOCUMENT_BLOCKED_URL);
 
             blockingUrl += `?url=${encodeURIComponent(url)}`;
             blockingUrl += `&rule=${encodeURIComponent(ruleText)}`;
+            if (reason) {
+                blockingUrl += `&reason=${encodeURIComponent(reason)}`;
+            }
 
             return blockingUrl;
         };
@@ -42,15 +46,11 @@
         };
 
         /**
-         * Shows document block page
+         * Opens the block page in the tab, also for the whitelisted sites
          * @param tabId
          * @param url
          */
-        const showDocumentBlockPage = (tabId, url) => {
-            if (verifyWhiteListDomains(url)) {
-                return;
-            }
-
+        const openBlockPage = (tabId, url) => {
             const incognitoTab = purify.frames.isIncognitoTab({ tabId });
             // Chromium browsers do not allow to show extension pages in incognito mode
             // Firefox allows, but on private pages do not work browser.runtime.getBackgroundPage()
@@ -64,9 +64,22 @@
             }
         };
 
+        /**
+         * Shows document block page
+         * @param tabId
+         * @param url
+         */
+        const showDocumentBlockPage = (tabId, url) => {
+            if (verifyWhiteListDomains(url)) {
+                return;
+            }
+            openBlockPage(tabId, url);
+        };
+
         return {
             getDocumentBlockPageUrl,
             showDocumentBlockPage,
+            openBlockPage,
         };
     }
 
@@ -0,0 +1,167 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension image-hash-list.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * List of perceptual hashes of known explicit images.
+ * Images matching the list are blocked without running the classifier,
+ * so re-hosted copies of the known images are blocked under any url.
+ *
+ * The list is shipped in the filters folder and is updated from the backend.
+ * Every line is a dHash (16 hex digits) optionally followed by the model class of the image:
+ *
+ * ! comment
+ * 3c3e1e0f07038181 Porn
+ * f0e0c0c08080c0e0 Gory_aug
+ */
+purify.imageHashList = (function(purify) {
+    "use strict";
+
+    const HASH_LIST_URL = purify.getURL("filters/image_hashes.txt");
+    const HASH_LIST_UPDATE_URL = 'https://api.cyberpurify.com/api/images/blacklist-hash';
+    const HASH_LIST_LS_PROP = "image-hash-list";
+
+    /**
+     * Images which hash differs from the listed one in no more bits are matched
+     */
+    const MAX_DISTANCE = 6;
+
+    const DEFAULT_CLASS_NAME = "Porn";
+
+    /**
+     * Parsed hashes and classes of the listed images
+     */
+    let hashes = [];
+    let classNames = [];
+    let hashesSet = new Set();
+
+    /**
+     * Adds lines of the list
+     *
+     * @param {Array<string>} lines
+     * @returns {number} number of the added hashes
+     */
+    const addLines = function(lines) {
+        let added = 0;
+
+        lines.forEach((line) => {
+            const [hash, className] = line.trim().split(/\s+/);
+            if (!hash || hash.startsWith("!") || hashesSet.has(hash.toLowerCase())) {
+                return;
+            }
+
+            const parsed = purify.imageHash.parse(hash);
+            if (!parsed) {
+                return;
+            }
+
+            hashesSet.add(hash.toLowerCase());
+            hashes.push(parsed);
+            classNames.push(className || DEFAULT_CLASS_NAME);
+            added += 1;
+        });
+
+        return added;
+    };
+
+    /**
+     * Returns lines received from the backend
+     *
+     * @returns {Array<string>}
+     */
+    const getUpdatedLines = function() {
+        try {
+            const json = purify.localStorage.getItem(HASH_LIST_LS_PROP);
+            return json ? JSON.parse(json) : [];
+        } catch (ex) {
+            purify.console.error("Error read image hash list, cause: {0}", ex);
+            return [];
+        }
+    };
+
+    /**
+     * Finds the listed image by the hash
+     *
+     * @param {string} hash  dHash of the image
+     * @returns {string|null} model class of the listed image or null if the image is not listed
+     */
+    const match = function(hash) {
+        const parsed = hash ? purify.imageHash.parse(hash) : null;
+        if (!parsed) {
+            return null;
+        }
+
+        for (let i = 0; i < hashes.length; i++) {
+            if (purify.imageHash.distance(parsed, hashes[i]) <= MAX_DISTANCE) {
+                return classNames[i];
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * Loads the list shipped with the extension and the updates received before
+     */
+    const init = function() {
+        hashes = [];
+        classNames = [];
+        hashesSet = new Set();
+        addLines(getUpdatedLines());
+
+        const success = function(response) {
+            if (response && response.responseText) {
+                const added = addLines(response.responseText.split(/\r?\n/));
+                purify.console.info("INIT_IMAGE_HASHES --> " + added);
+            }
+        };
+
+        const error = function() {
+            purify.console.error("Couldn't load local image hash list {0}", HASH_LIST_URL);
+        };
+
+        purify.backend.executeRequestAsync(HASH_LIST_URL, "text/plain", success, error);
+    };
+
+    /**
+     * Loads hashes added to the list after the received ones
+     *
+     * @param {number} number_line  Number of the already received lines
+     */
+    const updateHashes = function(number_line = getUpdatedLines().length) {
+        const url = HASH_LIST_UPDATE_URL + '?number_line=' + number_line;
+
+        const success = function(response) {
+            if (!response || !response.responseText) {
+                return;
+            }
+
+            try {
+                const lines = JSON.parse(response.responseText).data || [];
+                if (lines.length > 0) {
+                    addLines(lines);
+                    purify.localStorage.setItem(HASH_LIST_LS_PROP, JSON.stringify(getUpdatedLines().concat(lines)));
+                    purify.console.info("UPDATED_IMAGE_HASHES --> " + lines.length);
+                }
+            } catch (ex) {
+                purify.console.error("Error update image hash list, cause: {0}", ex);
+            }
+        };
+
+        const error = function() {
+            purify.console.error("Couldn't request image hash list update {0}", url);
+        };
+
+        purify.backend.executeRequestAsync(url, "application/json", success, error);
+    };
+
+    return {
+        init,
+        match,
+        addLines,
+        updateHashes,
+    };
+})(purify);
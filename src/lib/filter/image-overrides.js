@@ -0,0 +1,128 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension image-overrides.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Actions of the user on the blurred images: reveal, always allow and report false positive.
+ * Allowed images are stored in the verdict cache by the url and content hash,
+ * so the same image is not blurred again on any page.
+ * Reveal and allow are protected by the PIN if it is set,
+ * allow is protected by the parent PIN if only that one is set.
+ */
+purify.imageOverrides = (function(purify) {
+    "use strict";
+
+    /**
+     * PIN is refused for the lockout time after this number of failed attempts in a row
+     */
+    const MAX_FAILED_ATTEMPTS = 5;
+    const LOCKOUT_MS = 5 * 60 * 1000;
+
+    // Attempts are kept in memory only, as the parent lock ones
+    let lockedOutUntil = 0;
+    let failedAttempts = 0;
+
+    /**
+     * @returns {boolean} true if reveal requires the PIN
+     */
+    const isPinRequired = function() {
+        return Boolean(purify.settings.getProperty(purify.settings.REVEAL_PIN));
+    };
+
+    /**
+     * Checks the PIN, any PIN is valid if it is not set.
+     * Every PIN is wrong for the lockout time after too many failed attempts.
+     *
+     * @param {string} pin
+     * @returns {boolean}
+     */
+    const checkPin = function(pin) {
+        if (!isPinRequired()) {
+            return true;
+        }
+        const now = Date.now();
+        if (now < lockedOutUntil) {
+            return false;
+        }
+        if (purify.utils.browser.hashPin(`${pin || ""}`) === purify.settings.getProperty(purify.settings.REVEAL_PIN)) {
+            failedAttempts = 0;
+            return true;
+        }
+        failedAttempts += 1;
+        if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+            lockedOutUntil = now + LOCKOUT_MS;
+            failedAttempts = 0;
+        }
+        return false;
+    };
+
+    /**
+     * Changes the PIN, empty PIN removes the protection
+     *
+     * @param {string} pin          New PIN
+     * @param {string} currentPin   Current PIN
+     * @returns {boolean} false if the current PIN is wrong
+     */
+    const setPin = function(pin, currentPin) {
+        if (!checkPin(currentPin)) {
+            return false;
+        }
+        purify.settings.setProperty(purify.settings.REVEAL_PIN, pin ? purify.utils.browser.hashPin(`${pin}`) : "");
+        return true;
+    };
+
+    const getHashes = function({ srcUrl, contentHash }) {
+        return {
+            urlHash: srcUrl ? purify.purifyFiltering.createHash(srcUrl) : null,
+            contentHash,
+        };
+    };
+
+    /**
+     * Allows the image forever
+     *
+     * @param {{srcUrl: string, contentHash: string, pin: string}} image
+     * @returns {Promise<boolean>} false if the PIN is wrong
+     */
+    const allow = async function({ srcUrl, contentHash, pin }) {
+        // Allowed image is never blurred again, so it is the change of the protection
+        const { parentLock } = purify;
+        const valid = isPinRequired() ? checkPin(pin) : parentLock.isUnlocked() || parentLock.checkPin(pin);
+        if (!valid) {
+            return false;
+        }
+        await purify.verdictCache.saveOverride(getHashes({ srcUrl, contentHash }));
+        return true;
+    };
+
+    /**
+     * Checks whether the image is allowed by the user
+     *
+     * @param {{srcUrl: string, contentHash: string}} image
+     * @returns {Promise<boolean>}
+     */
+    const isAllowed = function({ srcUrl, contentHash }) {
+        return purify.verdictCache.isOverridden(getHashes({ srcUrl, contentHash }));
+    };
+
+    /**
+     * Reports the image blurred by mistake
+     *
+     * @param {{srcUrl: string, contentHash: string, pageUrl: string, predictions: Array}} image
+     */
+    const report = function(image) {
+        purify.parentalControl.reportFalsePositive(image);
+    };
+
+    return {
+        isPinRequired,
+        checkPin,
+        setPin,
+        allow,
+        isAllowed,
+        report,
+    };
+})(purify);
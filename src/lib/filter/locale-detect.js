@@ -8,11 +8,17 @@
 /**
  * Initialize LocaleDetectService.
  *
- * This service is used to auto-enable language-specific filters.
+ * This service is used to auto-enable language-specific filters
+ * and to pick the hate speech word lists of the page.
  */
-(function (purify) {
+purify.localeDetect = (function (purify) {
   var browsingLanguages = [];
 
+  /**
+   * Languages detected by the browser by tab id
+   */
+  var tabLanguages = Object.create(null);
+
   var SUCCESS_HIT_COUNT = 3;
   var MAX_HISTORY_LENGTH = 10;
 
@@ -74,6 +80,61 @@
     id: "en",
   };
 
+  /**
+   * Languages of the pages by top-level domain, used to pick the hate speech words.
+   * domainToLanguagesMap above points to the filters, which are all English.
+   */
+  var domainToPageLanguagesMap = {
+    vn: "vi",
+    de: "de",
+    at: "de",
+    jp: "ja",
+    nl: "nl",
+    fr: "fr",
+    es: "es",
+    it: "it",
+    pt: "pt",
+    br: "pt",
+    pl: "pl",
+    cz: "cs",
+    bg: "bg",
+    lt: "lt",
+    lv: "lv",
+    eg: "ar",
+    dz: "ar",
+    kw: "ar",
+    ae: "ar",
+    sk: "sk",
+    ro: "ro",
+    fi: "fi",
+    is: "is",
+    no: "no",
+    gr: "el",
+    hu: "hu",
+    il: "he",
+    cn: "zh",
+    tw: "zh",
+    id: "id",
+    ru: "ru",
+    ua: "uk",
+    kr: "ko",
+    th: "th",
+  };
+
+  /**
+   * @param url Page URL
+   * @returns {string|null} top-level domain of the URL
+   * @private
+   */
+  function getTopLevelDomain(url) {
+    const host = purify.utils.url.getHost(url);
+    if (!host) {
+      return null;
+    }
+    const parts = host.split(".");
+    return parts[parts.length - 1];
+  }
+
   /**
    * Called when LocaleDetectorService has detected language-specific filters we can enable.
    *
@@ -164,6 +225,9 @@
           if (browser.runtime.lastError) {
             return;
           }
+          if (language && language !== "und") {
+            tabLanguages[tab.tabId] = language;
+          }
           detectLanguage(language);
         });
         return;
@@ -175,17 +239,55 @@
     // https://github.com/CyberPurify/PurifyBrowserExtension/issues/1354
     const host = purify.utils.url.getHost(url);
     if (host && host.length > 8) {
-      const parts = host ? host.split(".") : [];
-      const tld = parts[parts.length - 1];
-      const lang = domainToLanguagesMap[tld];
+      const lang = domainToLanguagesMap[getTopLevelDomain(url)];
       detectLanguage(lang);
     }
   }
 
+  /**
+   * Returns languages of the frame: languages declared and sampled by the content script,
+   * language of the tab detected by the browser and language of the frame domain.
+   * Mixed-language pages have several languages.
+   *
+   * @param tab       Tab
+   * @param frameUrl  Frame URL
+   * @param languages Languages found by the content script, e.g. ["vi-VN", "en"]
+   * @returns {Array<string>} primary language subtags without duplicates
+   */
+  function getFrameLanguages(tab, frameUrl, languages) {
+    const result = [];
+    const add = (language) => {
+      const code = `${language || ""}`.split("-")[0].toLowerCase();
+      if (code && code !== "und" && result.indexOf(code) === -1) {
+        result.push(code);
+      }
+    };
+
+    (languages || []).forEach(add);
+    if (tab) {
+      add(tabLanguages[tab.tabId]);
+    }
+    if (frameUrl) {
+      add(domainToPageLanguagesMap[getTopLevelDomain(frameUrl)]);
+    }
+    return result;
+  }
+
   // Locale detect
   purify.tabs.onUpdated.addListener((tab) => {
+    if (tab.status === "loading") {
+      delete tabLanguages[tab.tabId];
+    }
     if (tab.status === "complete") {
       detectTabLanguage(tab, tab.url);
     }
   });
+
+  purify.tabs.onRemoved.addListener((tab) => {
+    delete tabLanguages[tab.tabId];
+  });
+
+  return {
+    getFrameLanguages,
+  };
 })(purify);
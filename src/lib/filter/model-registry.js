@@ -0,0 +1,340 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension model-registry.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Registry of the image classifier models.
+ *
+ * Model is described by:
+ *  id            Unique model name
+ *  version       Verdicts of the other versions are not reused
+ *  url           Url of the graph model.json, weights are loaded from the same folder
+ *  inputSize     Width and height of the model input
+ *  labels        Class names in the order of the model outputs
+ *  normalization Input pixel is converted as pixel * scale + offset
+ *  sha256        SHA-256 of model.json followed by the weight files, optional for the bundled models
+ *
+ * Models are added from the models folder or loaded by the descriptor url from the settings.
+ * The active model is selected by the user, or by the A/B experiment between several models.
+ *
+ * The text model is bundled only. It is described by id, version, url, labels, sha256 and
+ *  maxLength     Number of the word tokens of the model input
+ * Vocabulary of the text model is kept in userDefinedMetadata.vocab of model.json.
+ * No text model is shipped yet, so the blocks of text are scored by the hate speech word lists only.
+ */
+purify.modelRegistry = (function(purify) {
+    "use strict";
+
+    const REGISTRY_LS_PROP = "model-registry";
+
+    const BUNDLED_MODELS = [{
+        id: "purify_mobilenet_tfjs",
+        version: "1",
+        path: "models/purify_mobilenet_tfjs/model.json",
+        inputSize: 224,
+        labels: ["Drugs_aug", "Gory_aug", "Heroin_aug", "Horror_aug", "Neutral", "Porn", "Sexy"],
+        normalization: { scale: 1 / 256, offset: 0 },
+        sha256: null,
+    }];
+
+    const DEFAULT_MODEL_ID = BUNDLED_MODELS[0].id;
+
+    /**
+     * Text model is added here with its sha256 when it is provisioned by tasks/copy-models.js, e.g.
+     * { id: "purify_toxic_text_tfjs", version: "1", path: "models/purify_toxic_text_tfjs/model.json",
+     *   maxLength: 128, labels: ["toxicity", "harassment", "sexual"], sha256: "..." }
+     */
+    const BUNDLED_TEXT_MODEL = null;
+
+    const REQUIRED_FIELDS = ["id", "version", "url", "inputSize", "labels"];
+
+    const modelUpdateChannel = purify.utils.channels.newChannel();
+
+    let initialized = false;
+
+    /**
+     * Models added in runtime, active model id and the experiment are stored in the local storage
+     */
+    const registry = {
+        get state() {
+            return purify.lazyGet(registry, "state", () => {
+                let state = null;
+                try {
+                    const json = purify.localStorage.getItem(REGISTRY_LS_PROP);
+                    state = json ? JSON.parse(json) : null;
+                } catch (ex) {
+                    purify.console.error("Error read model registry, cause: {0}", ex);
+                }
+                return state || { models: [], activeModelId: DEFAULT_MODEL_ID, experiment: null };
+            });
+        },
+    };
+
+    const saveState = function() {
+        purify.localStorage.setItem(REGISTRY_LS_PROP, JSON.stringify(registry.state));
+    };
+
+    /**
+     * Checks model descriptor and fills optional fields
+     *
+     * @param descriptor
+     * @returns {Object} model
+     * @throws {Error} if the descriptor is invalid
+     */
+    const createModel = function(descriptor) {
+        REQUIRED_FIELDS.forEach((field) => {
+            if (!descriptor || descriptor[field] === undefined || descriptor[field] === null) {
+                throw new Error(`Model descriptor has no "${field}"`);
+            }
+        });
+
+        if (!Array.isArray(descriptor.labels) || descriptor.labels.length === 0) {
+            throw new Error("Model descriptor has invalid labels");
+        }
+
+        return {
+            id: `${descriptor.id}`,
+            version: `${descriptor.version}`,
+            url: descriptor.url,
+            inputSize: Number(descriptor.inputSize),
+            labels: descriptor.labels,
+            normalization: descriptor.normalization || { scale: 1 / 256, offset: 0 },
+            sha256: descriptor.sha256 || null,
+        };
+    };
+
+    /**
+     * @returns {Array<Object>} all known models
+     */
+    const getModels = function() {
+        const bundled = BUNDLED_MODELS.map((model) => createModel(Object.assign({
+            url: purify.getURL(model.path),
+        }, model)));
+
+        const added = registry.state.models.filter((model) => !bundled.some((b) => b.id === model.id));
+        return bundled.concat(added);
+    };
+
+    const getModel = function(modelId) {
+        return getModels().find((model) => model.id === modelId) || null;
+    };
+
+    /**
+     * @returns {Object} model used if no other model is selected
+     */
+    const getDefaultModel = function() {
+        return getModel(DEFAULT_MODEL_ID);
+    };
+
+    /**
+     * Bundled models are shipped with the extension, so they are trusted without the integrity hash
+     *
+     * @param model
+     * @returns {boolean}
+     */
+    const isBundled = function(model) {
+        return BUNDLED_MODELS.some((bundled) => bundled.id === model.id);
+    };
+
+    /**
+     * @returns {Object|null} model scoring the text blocks, null if the extension has no text model
+     */
+    const getTextModel = function() {
+        if (!BUNDLED_TEXT_MODEL) {
+            return null;
+        }
+        return Object.assign({ url: purify.getURL(BUNDLED_TEXT_MODEL.path) }, BUNDLED_TEXT_MODEL);
+    };
+
+    /**
+     * Returns number in [0, 1) range which is always the same for this installation
+     *
+     * @returns {number}
+     */
+    const getClientBucket = function() {
+        const clientId = purify.utils.browser.getClientId();
+        // FNV-1a
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < clientId.length; i++) {
+            hash ^= clientId.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) / 0x100000000;
+    };
+
+    /**
+     * Returns the model used for classification.
+     * If the experiment is running, the model is selected by the client bucket:
+     * the first model is used by `ratio` of clients, the second one by the others.
+     *
+     * @returns {Object} model
+     */
+    const getActiveModel = function() {
+        const { experiment, activeModelId } = registry.state;
+
+        let modelId = activeModelId;
+        if (experiment && experiment.modelIds.length === 2) {
+            const [first, second] = experiment.modelIds;
+            modelId = getClientBucket() < experiment.ratio ? first : second;
+        }
+
+        return getModel(modelId) || getDefaultModel();
+    };
+
+    /**
+     * Notifies listeners if the active model has been changed.
+     * Verdicts of the previous model are removed.
+     */
+    let lastActiveModelKey = null;
+    const notifyActiveModel = function() {
+        const model = getActiveModel();
+        const modelKey = `${model.id}@${model.version}`;
+        if (modelKey === lastActiveModelKey) {
+            return;
+        }
+
+        lastActiveModelKey = modelKey;
+        purify.verdictCache.setModelVersion(modelKey);
+        modelUpdateChannel.notify(model);
+    };
+
+    /**
+     * Adds or replaces the model
+     *
+     * @param descriptor
+     * @returns {Object} model
+     */
+    const register = function(descriptor) {
+        const model = createModel(descriptor);
+        if (isBundled(model)) {
+            throw new Error(`Bundled model ${model.id} can't be replaced`);
+        }
+        if (!model.sha256) {
+            throw new Error(`Model ${model.id} has no integrity hash`);
+        }
+
+        const { models } = registry.state;
+        const index = models.findIndex((m) => m.id === model.id);
+        if (index === -1) {
+            models.push(model);
+        } else {
+            models[index] = model;
+        }
+        saveState();
+        notifyActiveModel();
+
+        return model;
+    };
+
+    /**
+     * Loads model descriptor from url and registers the model.
+     * Relative model url is resolved against the descriptor url.
+     *
+     * @param {string} descriptorUrl
+     * @returns {Promise<Object>} model
+     */
+    const registerFromUrl = function(descriptorUrl) {
+        return new Promise((resolve, reject) => {
+            const success = function(response) {
+                try {
+                    const descriptor = JSON.parse(response.responseText);
+                    descriptor.url = new URL(descriptor.url, descriptorUrl).href;
+                    resolve(register(descriptor));
+                } catch (ex) {
+                    reject(ex);
+                }
+            };
+
+            const error = function() {
+                reject(new Error(`Couldn't load model descriptor ${descriptorUrl}`));
+            };
+
+            purify.backend.executeRequestAsync(descriptorUrl, "application/json", success, error);
+        });
+    };
+
+    /**
+     * Selects the model used by all clients and stops the experiment
+     *
+     * @param {string} modelId
+     */
+    const activate = function(modelId) {
+        if (!getModel(modelId)) {
+            throw new Error(`Unknown model ${modelId}`);
+        }
+        registry.state.activeModelId = modelId;
+        registry.state.experiment = null;
+        saveState();
+        notifyActiveModel();
+    };
+
+    /**
+     * Starts A/B experiment between two models
+     *
+     * @param {Array<string>} modelIds  Two model ids
+     * @param {number} ratio            Part of clients using the first model
+     */
+    const setExperiment = function(modelIds, ratio = 0.5) {
+        if (!Array.isArray(modelIds) || modelIds.length !== 2 || !modelIds.every(getModel)) {
+            throw new Error("Experiment requires two known models");
+        }
+        registry.state.experiment = { modelIds, ratio: Math.min(1, Math.max(0, ratio)) };
+        saveState();
+        notifyActiveModel();
+    };
+
+    /**
+     * Loads the model configured in the settings
+     */
+    const loadConfiguredModel = function() {
+        const descriptorUrl = purify.settings.getProperty(purify.settings.CLASSIFIER_MODEL_URL);
+        if (!descriptorUrl) {
+            return;
+        }
+
+        registerFromUrl(descriptorUrl)
+            .then((model) => activate(model.id))
+            .catch((ex) => {
+                purify.console.error("Error load model from {0}, cause: {1}", descriptorUrl, ex);
+            });
+    };
+
+    const init = function() {
+        initialized = true;
+        notifyActiveModel();
+        loadConfiguredModel();
+
+        purify.settings.onUpdated.addListener((setting) => {
+            if (setting === purify.settings.CLASSIFIER_MODEL_URL) {
+                loadConfiguredModel();
+            }
+        });
+    };
+
+    /**
+     * Active model is known only after the local storage is loaded
+     *
+     * @returns {boolean}
+     */
+    const isInitialized = function() {
+        return initialized;
+    };
+
+    return {
+        init,
+        isInitialized,
+        getModels,
+        getActiveModel,
+        getDefaultModel,
+        isBundled,
+        getTextModel,
+        register,
+        registerFromUrl,
+        activate,
+        setExperiment,
+        onUpdated: modelUpdateChannel,
+    };
+})(purify);
@@ -5,48 +5,110 @@
  * ----------------------------------------------------------------------------------
  */
 
+/* global ImageRuler, PageRiskScorer */
+
 /**
  * purify filtering
  */
 purify.purifyFiltering = (function(purify, global) {
     "use strict";
 
-    const PURIFY_MODEL_PATH = "../models/purify_mobilenet_tfjs/";
-    const GIF_REGEX = /^.*(.gif)($|W.*$)/;
-    // const FILTER_LIST = new Set(["Horror_aug", "Gory_aug", "Porn"]);
-
-    // const RANGE_REJECT = {
-    //   Gory_aug: { max: 0.4, min: 0.2 },
-    //   Horror_aug: { max: 0.4, min: 0.2 },
-    //   Heroin_aug: { max: 0.7, min: 0.5 },
-    //   Drugs_aug: { max: 0.7, min: 0.5 },
-    //   Neutral: { max: 0.4, min: 0.2 },
-    //   Porn: { max: 0.9, min: 0.7 },
-    //   Sexy: { max: 0.8, min: 0.6 },
-    // };
+    /**
+     * Model classes controlled by the per-category block settings
+     */
+    const CATEGORY_CLASSES = {
+        [purify.settings.BLOCK_PORN]: "Porn",
+        [purify.settings.BLOCK_SEXY]: "Sexy",
+        [purify.settings.BLOCK_BLOODY]: "Gory_aug",
+        [purify.settings.BLOCK_BLOODSHED]: "Horror_aug",
+    };
 
     let purifyInstance = null;
 
-    // const Strictness = 20;
-    // const coefficient = 1 - Strictness / 100;
+    /**
+     * Loads the model, the previous one is used until the new one is loaded.
+     * The model library checks neither the integrity hash nor the labels and the normalization,
+     * so only the bundled models are loaded here.
+     *
+     * @param model Model from the registry
+     */
+    const loadModel = async function(model) {
+        if (!purify.modelRegistry.isBundled(model)) {
+            purify.console.error("Model {0} is not supported in this browser, the default model is used", model.id);
+            model = purify.modelRegistry.getDefaultModel();
+        }
+        const modelPath = model.url.substring(0, model.url.lastIndexOf("/") + 1);
+        purifyInstance = await purifyjs.load(modelPath, { type: 'graph', size: model.inputSize });
+    };
 
     const init = async function() {
         purify.console.info("Initializing Predict Image");
-        purifyInstance = await purifyjs.load(PURIFY_MODEL_PATH, { type: 'graph' });
-        purifyImageCache.cache.object();
+        purify.modelRegistry.onUpdated.addListener(loadModel);
+        await loadModel(purify.modelRegistry.getActiveModel());
         purifyUrlCache.cache.object();
     };
 
-    const purifyImageCache = {
-        get cache() {
-            return purify.lazyGet(
-                purifyImageCache,
-                "cache",
-                () => new purify.utils.LruCache("purify-image-cache", 100)
-            );
-        },
+    /**
+     * Settings of the page blocking
+     */
+    const PAGE_RISK_SETTINGS = [
+        purify.settings.PAGE_RISK_THRESHOLD,
+        purify.settings.MIN_FLAGGED_IMAGES,
+    ];
+
+    /**
+     * Settings of the text blurring
+     */
+    const TEXT_SETTINGS = [
+        purify.settings.TOXIC_TEXT_FILTER,
+        purify.settings.TOXICITY_THRESHOLD,
+        purify.settings.HARASSMENT_THRESHOLD,
+        purify.settings.SEXUAL_TEXT_THRESHOLD,
+    ];
+
+    /**
+     * Returns classification policy built from the user settings
+     *
+     * @returns {{blockedClasses: Array<string>, strictness: number, pageRiskThreshold: number, minFlaggedImages: number, text: Object}}
+     *  text is the policy of the text blurring: {enabled: boolean, thresholds: {toxicity, harassment, sexual}}
+     */
+    const getClassificationPolicy = function() {
+        const blockedClasses = Object.keys(CATEGORY_CLASSES)
+            .filter((setting) => purify.settings.getProperty(setting))
+            .map((setting) => CATEGORY_CLASSES[setting]);
+
+        return {
+            blockedClasses,
+            strictness: purify.settings.getStrictness(),
+            pageRiskThreshold: purify.settings.getPageRiskThreshold(),
+            minFlaggedImages: purify.settings.getMinFlaggedImages(),
+            text: {
+                // Without the text model the blocks are scored by the hate speech words only
+                enabled: Boolean(purify.settings.getProperty(purify.settings.TOXIC_TEXT_FILTER)),
+                thresholds: purify.settings.getTextThresholds(),
+            },
+        };
     };
 
+    /**
+     * Pushes changed policy to the content scripts of all opened tabs
+     */
+    purify.settings.onUpdated.addListener((setting) => {
+        if (
+            !(setting in CATEGORY_CLASSES) &&
+            setting !== purify.settings.STRICTNESS &&
+            PAGE_RISK_SETTINGS.indexOf(setting) === -1 &&
+            TEXT_SETTINGS.indexOf(setting) === -1
+        ) {
+            return;
+        }
+
+        const policy = getClassificationPolicy();
+        purify.tabs.forEach((tab) => {
+            purify.tabs.sendMessage(tab.tabId, { action: "updatePolicy", policy });
+        });
+    });
+
     const purifyUrlCache = {
         get cache() {
             return purify.lazyGet(
@@ -57,167 +119,113 @@ purify.purifyFiltering = (function(purify, global) {
         },
     };
 
+    /**
+     * Page risk scorers of the tabs, the scorer is reset when the tab url is changed
+     */
+    const pageRiskScorers = new Map();
+
+    /**
+     * Returns page risk scorer of the tab
+     *
+     * @param {{tabId: number, tabUrl: string}} tabIdUrl
+     */
+    const getPageRiskScorer = function({ tabId, tabUrl }) {
+        let entry = pageRiskScorers.get(tabId);
+        if (!entry || entry.tabUrl !== tabUrl) {
+            entry = { tabUrl, scorer: PageRiskScorer.create() };
+            pageRiskScorers.set(tabId, entry);
+        }
+        return entry.scorer;
+    };
+
+    purify.tabs.onRemoved.addListener((tab) => {
+        pageRiskScorers.delete(tab.tabId);
+    });
+
     const createHash = function(host) {
         return global.SHA256.hash(`${host}`);
     };
 
-    const getPredictImage = async function(requestUrl, image) {
-        if (GIF_REGEX.test(requestUrl)) {
-            const prediction = await purifyInstance.classifyGif(image);
-            // image.dispose();
-            const { result, score } = handlePrediction([prediction]);
-            // purify.console.info(`Result GIF: ${score} - ${requestUrl}`);
-
-            return Boolean(result);
-        } else {
-            const prediction = await purifyInstance.classify(image, 7);
-            // image.dispose();
-            const { result, score } = handlePrediction([prediction]);
-            // purify.console.info(`Result: ${score} - ${requestUrl}`);
-
-            return Boolean(result);
-        }
+    /**
+     * Verdict of the image for the page risk: score is the confidence of the matched rule,
+     * className is the most probable blocked class
+     *
+     * @param {Array<{className: string, probability: number}>} prediction
+     * @param verdict Verdict of ImageRuler
+     * @param policy Classification policy
+     * @returns {{block: boolean, score: number, className: string|null}}
+     */
+    const createImageVerdict = function(prediction, verdict, policy) {
+        return {
+            block: verdict.block,
+            score: verdict.score,
+            className: verdict.block ? PageRiskScorer.getFlaggedClass(prediction, policy.blockedClasses) : null,
+        };
     };
 
-    const Ruler = function(classes) {
-        let labels = [];
-        let Neutral_position = 7;
+    /**
+     * Classifies sampled frames of the animated image.
+     * GIF is split to the frames by the model library where the browser can't decode them.
+     *
+     * @param {HTMLImageElement} image
+     * @param {Uint8Array|null} animated Bytes of the animated image
+     * @returns {Promise<Array<Array>|null>} predictions of the frames, null for a still image
+     */
+    const classifyFrames = async function(image, animated) {
+        const { animatedImage } = purify;
+        if (!animated) {
+            return null;
+        }
 
-        for (let i = 0; i < classes.length; i++) {
-            labels[classes[i].className] =
-                Math.round(classes[i].probability * 100) / 100;
+        if (!animatedImage.isDecoderSupported()) {
+            return animatedImage.sniff(animated) === animatedImage.GIF ? purifyInstance.classifyGif(image, { topk: 7 }) : null;
+        }
 
-            if (classes[i].className == "Neutral") {
-                Neutral_position = i;
-            }
+        const frames = await animatedImage.decodeFrames(animated);
+        if (!frames) {
+            return null;
+        }
+        const framesPredictions = [];
+        for (const frame of frames) {
+            framesPredictions.push(await purifyInstance.classify(frame, 7));
         }
+        return framesPredictions;
+    };
 
-        if (labels["Horror_aug"] >= 0.78) {
-            return 1;
-        } else if (labels["Gory_aug"] >= 0.75) {
-            return 2;
-        } else if (
-            labels["Gory_aug"] + labels["Horror_aug"] >= 0.79 &&
-            Neutral_position > 1
-        ) {
-            return 3;
-        } else if (labels["Porn"] >= 0.7) {
-            return 4;
-        } else if (
-            labels["Porn"] + labels["Sexy"] >= 0.75 &&
-            Neutral_position > 1
-        ) {
-            return 5;
-        } else if (
-            labels["Porn"] + labels["Horror"] >= 0.75 &&
-            Neutral_position > 1
-        ) {
-            return 6;
-        } else if (
-            labels["Porn"] + labels["Gory_aug"] >= 0.77 &&
-            Neutral_position > 1
-        ) {
-            return 7;
-        } else if (
-            labels["Horror_aug"] + labels["Sexy"] >= 0.75 &&
-            Neutral_position > 1
-        ) {
-            return 8;
-        } else {
-            return 0;
+    /**
+     * Classifies the image, animated images are decided by their sampled frames
+     *
+     * @param {string} requestUrl
+     * @param {HTMLImageElement} image
+     * @param {Uint8Array|null} animated Bytes of the image if it is animated
+     * @returns {Promise<{block: boolean, score: number, className: string|null}>}
+     */
+    const getPredictImage = async function(requestUrl, image, animated = null) {
+        const policy = getClassificationPolicy();
+
+        const framesPredictions = await classifyFrames(image, animated);
+        if (framesPredictions && framesPredictions.length > 0) {
+            const { frame, verdict } = ImageRuler.decideFrames(framesPredictions, policy);
+            return createImageVerdict(framesPredictions[frame], verdict, policy);
         }
+
+        const prediction = await purifyInstance.classify(image, 7);
+        return handlePrediction(prediction, policy);
     };
 
-    // const Ruler = function(classes) {
-    //     labels = []
-    //     Neutral_position = 7;
-    //     for (var i = 0; i < classes.length; i++) {
-    //         labels[classes[i].className] = (Math.round(classes[i].probability * 100) / 100);
-    //         if (classes[i].className == "Neutral") { Neutral_position = i; }
-    //     }
-    //     if (labels["Horror_aug"] >= 0.78) {
-    //         return 1;
-    //     } else if (labels["Gory_aug"] >= 0.75) {
-    //         return 2;
-    //     } else if (labels["Porn"] >= 0.7) {
-    //         return 4;
-    //     } else if (labels["Sexy"] >= 0.8) {
-    //         return 9;
-    //     } else if (
-    //         (labels["Gory_aug"] + labels["Horror_aug"]) >= 0.79 &&
-    //         Neutral_position > 1
-    //     ) {
-    //         return 3;
-    //     } else if (
-    //         (labels["Porn"] + labels["Sexy"]) >= 0.75 &&
-    //         Neutral_position > 1
-    //     ) {
-    //         return 5;
-    //     } else if (
-    //         (labels["Porn"] + labels["Horror_aug"]) >= 0.75 &&
-    //         Neutral_position > 1
-    //     ) {
-    //         return 6;
-    //     } else if (
-    //         (labels["Porn"] + labels["Gory_aug"]) >= 0.77 &&
-    //         Neutral_position > 1
-    //     ) {
-    //         return 7;
-    //     } else if (
-    //         (labels["Horror_aug"] + labels["Sexy"]) >= 0.75 &&
-    //         Neutral_position > 1
-    //     ) {
-    //         return 8;
-    //     } else {
-    //         return 0;
-    //     }
-    // }
-
-    const handlePrediction = function([prediction]) {
+    const handlePrediction = function(prediction, policy) {
         try {
-            const score = Ruler(prediction);
-
-            if (score > 0) {
-                return { result: true, score };
-            } else {
-                return { result: false, score };
-            }
-
-            // const [
-            //   { className: cn1, probability: pb1 },
-            //   { className: cn2, probability: pb2 },
-            // ] = prediction;
-            // purify.console.info(`${cn1} - ${cn2} - ${pb1} - ${pb2}`);
-            // const MIN1 = RANGE_REJECT[cn1].min * 100;
-            // const MAX1 = RANGE_REJECT[cn1].max * 100;
-            // const MIN2 = RANGE_REJECT[cn2].min * 100;
-            // const MAX2 = RANGE_REJECT[cn2].max * 100;
-            // const threshold1 =
-            //   Strictness === 100 ? MIN1 : coefficient * (MAX1 - MIN1) + MIN1;
-            // const threshold2 =
-            //   Strictness === 100 ? MIN2 : coefficient * (MAX2 - MIN2) + MIN2;
-            // const result1 =
-            //   FILTER_LIST.has(cn1) &&
-            //   pb1 > Math.round((threshold1 / 100) * 10000) / 10000;
-            // if (result1) {
-            //   return { result: result1, className: cn1, probability: pb1 };
-            // }
-            // const result2 =
-            //   FILTER_LIST.has(cn2) &&
-            //   pb2 > Math.round((threshold2 / 100) * 10000) / 10000;
-            // if (result2) {
-            //   return { result: result2, className: cn2, probability: pb2 };
-            // }
-            // return { result: result1, className: cn1, probability: pb1 };
+            return createImageVerdict(prediction, ImageRuler.decide(prediction, policy), policy);
         } catch (error) {
-            return { result: true, className: null, probability: null };
+            return { block: true, score: 1, className: null };
         }
     };
 
     return {
         init,
         getPredictImage,
-        purifyImageCache,
+        getClassificationPolicy,
+        getPageRiskScorer,
         purifyUrlCache,
         createHash,
     };
@@ -41,9 +41,10 @@ purify.hateSpeech = (function(purify) {
                         // JSON.stringify(responseHateSpeechs)
                     );
 
+                    wordLists = null;
                     resolve(responseHateSpeechs);
                 } else {
-                    reject(createError("empty response", HATESPEECH_MODEL_URL, response));
+                    reject(purify.backend.createError("empty response", HATESPEECH_MODEL_URL, response));
                 }
             };
 
@@ -56,11 +57,69 @@ purify.hateSpeech = (function(purify) {
             purify.backend.executeRequestAsync(HATESPEECH_MODEL_URL, "application/json", success, error);
         });
 
-    const regexModelHateSpeech = (lang = 'en') => {
-        let hateSpeechModel = getHateSpeechFromLocalStorage(HATESPEECH_MODEL_PROP);
-        return hateSpeechModel[lang];
-        // return /Instagram|facebook|company|network|api|data|design/gi;
-    }
+    /**
+     * Words of this language are masked on every page
+     */
+    const DEFAULT_LANGUAGE = 'en';
+
+    /**
+     * Word lists of the model by language, parsed once
+     */
+    let wordLists = null;
+
+    /**
+     * Converts the model entry to the list of words.
+     * Older models keep one regex of alternatives per language, e.g. "word1|word2".
+     *
+     * @param entry Array of words or regex string
+     * @returns {Array<string>}
+     */
+    const toWords = function(entry) {
+        if (Array.isArray(entry)) {
+            return entry;
+        }
+        if (typeof entry !== 'string') {
+            return [];
+        }
+        return entry
+            .split('|')
+            .map((word) => word.replace(/\\b|[()^$]/g, '').trim())
+            .filter((word) => word.length > 0);
+    };
+
+    const getWordLists = function() {
+        if (!wordLists) {
+            wordLists = {};
+            const model = getHateSpeechFromLocalStorage(HATESPEECH_MODEL_PROP);
+            Object.keys(model).forEach((lang) => {
+                wordLists[lang.toLowerCase()] = toWords(model[lang]);
+            });
+        }
+        return wordLists;
+    };
+
+    /**
+     * Returns words to mask on the page
+     *
+     * @param {Array<string>} languages Languages of the page and the user, e.g. ["vi-VN", "en"]
+     * @returns {Array<string>} words of the languages and of the default language
+     */
+    const getWords = function(languages = []) {
+        const lists = getWordLists();
+        const codes = [DEFAULT_LANGUAGE];
+        languages.forEach((language) => {
+            const code = `${language}`.split('-')[0].toLowerCase();
+            if (code && codes.indexOf(code) === -1) {
+                codes.push(code);
+            }
+        });
+
+        const words = new Set();
+        codes.forEach((code) => {
+            (lists[code] || []).forEach((word) => words.add(word));
+        });
+        return Array.from(words);
+    };
 
     /**
      * Retrieve hatespeechs from local storage
@@ -86,6 +145,6 @@ purify.hateSpeech = (function(purify) {
 
     return {
         init,
-        regexModelHateSpeech
+        getWords,
     };
 })(purify);
\ No newline at end of file
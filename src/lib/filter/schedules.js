@@ -0,0 +1,446 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension schedules.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Time-based rules of the parent for the groups of domains.
+ *
+ * Schedule is described by:
+ *  id        Unique schedule id
+ *  name      Shown on the block page, e.g. "School nights"
+ *  type      "block" - sites are blocked in the time window,
+ *            "budget" - sites are blocked when the daily time is used
+ *  category  Optional name of the built-in domain group, e.g. "social"
+ *  domains   Optional domains, subdomains are included
+ *  days      Optional days of the week, 0 is Sunday, every day if omitted
+ *  start     "HH:MM", start of the block window
+ *  end       "HH:MM", end of the block window, the window ends the next day if end is not after start
+ *  minutes   Daily budget of the budget schedule
+ *
+ * E.g. {id: "nights", name: "School nights", type: "block", category: "social", days: [0, 1, 2, 3, 4], start: "21:00", end: "07:00"}
+ * blocks social media from 21:00 Sunday to Thursday till 07:00 of the next day.
+ *
+ * Time of the budgets is counted while the site is open in the active tab,
+ * a window of the browser is focused and the user is not idle.
+ * Schedules are checked for the main frame requests and for the active tab every minute.
+ */
+purify.schedules = (function(purify) {
+    "use strict";
+
+    const SCHEDULES_LS_PROP = "schedules";
+    const USAGE_LS_PROP = "schedules-usage";
+
+    const SCHEDULE_BLOCKED_URL = "pages/blocking-pages/scheduleBlockedPage.html";
+
+    const ACTIVITY_TICK_MS = 60 * 1000;
+
+    /**
+     * Longer interval between the activity events is not counted, e.g. the computer was asleep
+     */
+    const MAX_ACTIVITY_GAP_MS = 2 * ACTIVITY_TICK_MS;
+
+    /**
+     * User is idle after this time without the input
+     */
+    const IDLE_DETECTION_SEC = 60;
+
+    const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    /**
+     * Built-in groups of domains
+     */
+    const CATEGORIES = {
+        social: [
+            "facebook.com",
+            "instagram.com",
+            "tiktok.com",
+            "twitter.com",
+            "x.com",
+            "snapchat.com",
+            "reddit.com",
+            "pinterest.com",
+            "tumblr.com",
+            "discord.com",
+        ],
+        games: [
+            "roblox.com",
+            "minecraft.net",
+            "steampowered.com",
+            "epicgames.com",
+            "poki.com",
+            "miniclip.com",
+            "crazygames.com",
+            "friv.com",
+        ],
+        video: [
+            "youtube.com",
+            "twitch.tv",
+            "netflix.com",
+            "vimeo.com",
+            "dailymotion.com",
+        ],
+    };
+
+    let schedules = null;
+
+    // Time used today by the budget schedules: {date, used: {scheduleId: ms}}
+    let usage = null;
+
+    let activeTabId = null;
+    let activeUrl = null;
+    let activeSince = 0;
+    let activityInterval = null;
+    let windowFocused = true;
+    let userActive = true;
+
+    const loadJson = function(prop, defaultValue) {
+        try {
+            const json = purify.localStorage.getItem(prop);
+            return json ? JSON.parse(json) : defaultValue;
+        } catch (ex) {
+            purify.console.error("Error loading {0}, cause: {1}", prop, ex);
+            return defaultValue;
+        }
+    };
+
+    const getSchedules = function() {
+        if (!schedules) {
+            schedules = loadJson(SCHEDULES_LS_PROP, []);
+        }
+        return schedules;
+    };
+
+    const toMinutes = function(time) {
+        const [hours, minutes] = time.split(":").map(Number);
+        return hours * 60 + minutes;
+    };
+
+    const formatDate = function(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    };
+
+    /**
+     * @param {Date} now
+     * @param {number} days     Days after today
+     * @param {number} minutes  Minutes after midnight
+     * @returns {Date}
+     */
+    const getTime = function(now, days, minutes) {
+        const time = new Date(now);
+        time.setHours(0, 0, 0, 0);
+        time.setDate(time.getDate() + days);
+        time.setMinutes(minutes);
+        return time;
+    };
+
+    /**
+     * Checks the schedule which is not described by the schema of the command
+     *
+     * @param schedule
+     * @returns {string|null} error or null if the schedule is valid
+     */
+    const validateSchedule = function(schedule) {
+        if (!schedule || !schedule.id || !schedule.name) {
+            return "schedule id and name are required";
+        }
+        if (schedule.category && !CATEGORIES[schedule.category]) {
+            return `schedule ${schedule.id} has unknown category ${schedule.category}`;
+        }
+        if (!schedule.category && !(schedule.domains && schedule.domains.length > 0)) {
+            return `schedule ${schedule.id} has no category or domains`;
+        }
+        switch (schedule.type) {
+            case "block":
+                if (!TIME_PATTERN.test(schedule.start) || !TIME_PATTERN.test(schedule.end)) {
+                    return `schedule ${schedule.id} has invalid start or end`;
+                }
+                return null;
+            case "budget":
+                if (!Number.isInteger(schedule.minutes) || schedule.minutes <= 0) {
+                    return `schedule ${schedule.id} has invalid minutes`;
+                }
+                return null;
+            default:
+                return `schedule ${schedule.id} has unknown type ${schedule.type}`;
+        }
+    };
+
+    /**
+     * Replaces the schedules, the time used today is kept for the same schedule ids
+     *
+     * @param {Array<Object>} newSchedules
+     * @throws {Error} if a schedule is invalid
+     */
+    const setSchedules = function(newSchedules) {
+        for (let i = 0; i < newSchedules.length; i += 1) {
+            const error = validateSchedule(newSchedules[i]);
+            if (error) {
+                throw new Error(error);
+            }
+        }
+        schedules = newSchedules;
+        purify.localStorage.setItem(SCHEDULES_LS_PROP, JSON.stringify(schedules));
+    };
+
+    const isScheduleDomain = function(schedule, host) {
+        const domains = (CATEGORIES[schedule.category] || []).concat(schedule.domains || []);
+        return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+    };
+
+    /**
+     * @param {Date} now
+     * @returns {Object<string, number>} time used today by the schedule ids, ms
+     */
+    const getUsage = function(now = new Date()) {
+        if (!usage) {
+            usage = loadJson(USAGE_LS_PROP, null);
+        }
+        const date = formatDate(now);
+        if (!usage || usage.date !== date) {
+            usage = { date, used: {} };
+        }
+        return usage.used;
+    };
+
+    /**
+     * Adds the time spent on the site to the budgets of the site
+     *
+     * @param {string} url
+     * @param {number} ms
+     * @param {Date} now
+     */
+    const recordActivity = function(url, ms, now = new Date()) {
+        const host = purify.utils.url.getHost(url);
+        if (!host || ms <= 0) {
+            return;
+        }
+        const used = getUsage(now);
+        let changed = false;
+        getSchedules().forEach((schedule) => {
+            if (schedule.type === "budget" && isScheduleDomain(schedule, host)) {
+                used[schedule.id] = (used[schedule.id] || 0) + ms;
+                changed = true;
+            }
+        });
+        if (changed) {
+            purify.localStorage.setItem(USAGE_LS_PROP, JSON.stringify(usage));
+        }
+    };
+
+    /**
+     * End of the block window if it includes the time
+     *
+     * @param schedule
+     * @param {Date} now
+     * @returns {Date|null}
+     */
+    const getWindowEnd = function(schedule, now) {
+        const days = schedule.days || ALL_DAYS;
+        const today = now.getDay();
+        const yesterday = (today + 6) % 7;
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const start = toMinutes(schedule.start);
+        const end = toMinutes(schedule.end);
+
+        if (start < end) {
+            return days.indexOf(today) !== -1 && minutes >= start && minutes < end
+                ? getTime(now, 0, end)
+                : null;
+        }
+
+        // Window over midnight belongs to the day it starts
+        if (days.indexOf(today) !== -1 && minutes >= start) {
+            return getTime(now, 1, end);
+        }
+        if (days.indexOf(yesterday) !== -1 && minutes < end) {
+            return getTime(now, 0, end);
+        }
+        return null;
+    };
+
+    /**
+     * End of the day if the budget is used
+     *
+     * @param schedule
+     * @param {Date} now
+     * @returns {Date|null}
+     */
+    const getBudgetEnd = function(schedule, now) {
+        const days = schedule.days || ALL_DAYS;
+        if (days.indexOf(now.getDay()) === -1) {
+            return null;
+        }
+        const used = getUsage(now)[schedule.id] || 0;
+        return used >= schedule.minutes * 60 * 1000 ? getTime(now, 1, 0) : null;
+    };
+
+    const formatTime = function(time) {
+        const pad = (number) => String(number).padStart(2, "0");
+        return `${pad(time.getHours())}:${pad(time.getMinutes())}`;
+    };
+
+    /**
+     * Finds the schedule which blocks the site now
+     *
+     * @param {string} url
+     * @param {Date} now
+     * @returns {{schedule: Object, reason: string, until: Date}|null}
+     */
+    const getActiveSchedule = function(url, now = new Date()) {
+        const host = purify.utils.url.getHost(url);
+        if (!host || purify.settings.isFilteringDisabled()) {
+            return null;
+        }
+
+        const active = getSchedules().filter((schedule) => isScheduleDomain(schedule, host));
+        for (let i = 0; i < active.length; i += 1) {
+            const schedule = active[i];
+            if (schedule.type === "block") {
+                const until = getWindowEnd(schedule, now);
+                if (until) {
+                    return {
+                        schedule,
+                        reason: `Blocked from ${schedule.start} to ${schedule.end}`,
+                        until,
+                    };
+                }
+            } else {
+                const until = getBudgetEnd(schedule, now);
+                if (until) {
+                    return {
+                        schedule,
+                        reason: `Daily limit of ${schedule.minutes} min is used`,
+                        until,
+                    };
+                }
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Return url of the block page with the schedule and the reason
+     *
+     * @param {string} url
+     * @param {{schedule: Object, reason: string, until: Date}} active
+     * @returns {string}
+     */
+    const getBlockPageUrl = function(url, { schedule, reason, until }) {
+        let blockingUrl = purify.getURL(SCHEDULE_BLOCKED_URL);
+        blockingUrl += `?url=${encodeURIComponent(url)}`;
+        blockingUrl += `&schedule=${encodeURIComponent(schedule.name)}`;
+        blockingUrl += `&reason=${encodeURIComponent(reason)}`;
+        blockingUrl += `&until=${encodeURIComponent(formatTime(until))}`;
+        return blockingUrl;
+    };
+
+    /**
+     * Shows the block page in the tab if the site is blocked by a schedule
+     *
+     * @param tabId
+     * @param {string} url
+     * @returns {boolean} true if the page is blocked
+     */
+    const checkTab = function(tabId, url) {
+        const active = getActiveSchedule(url);
+        if (!active) {
+            return false;
+        }
+        purify.activityReport.recordBlocked(url, "schedule");
+        purify.rules.documentFilterService.openBlockPage(tabId, getBlockPageUrl(url, active));
+        return true;
+    };
+
+    /**
+     * Adds the time since the previous event to the site of the active tab,
+     * the time without the focused window or the active user is skipped
+     */
+    const commitActivity = function() {
+        const now = Date.now();
+        if (activeUrl && activeSince && windowFocused && userActive) {
+            const ms = Math.min(now - activeSince, MAX_ACTIVITY_GAP_MS);
+            recordActivity(activeUrl, ms);
+            purify.activityReport.recordTime(activeUrl, ms);
+        }
+        activeSince = now;
+    };
+
+    const onTabActivated = function(tab) {
+        if (!tab) {
+            return;
+        }
+        commitActivity();
+        activeTabId = tab.tabId;
+        activeUrl = tab.url;
+    };
+
+    const onTabUpdated = function(tab) {
+        if (tab.tabId === activeTabId && tab.url !== activeUrl) {
+            commitActivity();
+            activeUrl = tab.url;
+        }
+    };
+
+    const onTabRemoved = function(tab) {
+        if (tab.tabId === activeTabId) {
+            commitActivity();
+            activeTabId = null;
+            activeUrl = null;
+        }
+    };
+
+    const onWindowFocusChanged = function(windowId) {
+        commitActivity();
+        windowFocused = windowId !== null;
+    };
+
+    /**
+     * @param {string} state "active", "idle" or "locked"
+     */
+    const onIdleStateChanged = function(state) {
+        commitActivity();
+        userActive = state === "active";
+    };
+
+    /**
+     * Counts the time of the active tab and blocks it when the window starts or the budget is used
+     */
+    const onActivityTick = function() {
+        commitActivity();
+        if (activeTabId !== null && purify.utils.url.isHttpOrWsRequest(activeUrl || "")) {
+            checkTab(activeTabId, activeUrl);
+        }
+    };
+
+    const init = function() {
+        purify.tabs.onActivated.addListener(onTabActivated);
+        purify.tabs.onUpdated.addListener(onTabUpdated);
+        purify.tabs.onRemoved.addListener(onTabRemoved);
+        purify.tabs.getActive(onTabActivated);
+        purify.windows.onFocusChanged.addListener(onWindowFocusChanged);
+        purify.idle.onStateChanged.addListener(onIdleStateChanged);
+        purify.idle.queryState(IDLE_DETECTION_SEC, onIdleStateChanged);
+
+        clearInterval(activityInterval);
+        activityInterval = setInterval(onActivityTick, ACTIVITY_TICK_MS);
+    };
+
+    return {
+        CATEGORIES,
+        TIME_PATTERN,
+        init,
+        getSchedules,
+        setSchedules,
+        validateSchedule,
+        getUsage,
+        recordActivity,
+        getActiveSchedule,
+        getBlockPageUrl,
+        checkTab,
+    };
+})(purify);
@@ -22,6 +22,18 @@ const fillBlockRule = (blockRule) => {
   blockRuleNode.textContent = blockRule;
 };
 
+/**
+ * Shows why the page is blocked, e.g. "12 of 30 visible images flagged Porn"
+ */
+const fillBlockReason = (blockReason) => {
+  if (!blockReason) {
+    return;
+  }
+  const blockReasonNode = document.querySelector("#blockReason");
+  blockReasonNode.textContent = blockReason;
+  blockReasonNode.style.display = "block";
+};
+
 document.addEventListener("DOMContentLoaded", async () => {
   purify = await getPurify();
 
@@ -29,4 +41,5 @@ document.addEventListener("DOMContentLoaded", async () => {
   const blockRule = urlParams.get("rule");
 
   fillBlockRule(blockRule);
+  fillBlockReason(urlParams.get("reason"));
 });
@@ -1396,6 +1396,9 @@ const Settings = function() {
     checkboxes.push(
         new Checkbox("#block_blacklist", userSettings.names.BLOCK_BLACKLIST)
     );
+    checkboxes.push(
+        new Checkbox("#toxic_text_filter", userSettings.names.TOXIC_TEXT_FILTER)
+    );
     checkboxes.push(new Checkbox("#block_ads", userSettings.names.BLOCK_ADS));
 
     // set SELF_DESTRUCT_THIRD_PARTY_COOKIES_TIME and SELF_DESTRUCT_FIRST_PARTY_COOKIES_TIME values
@@ -1445,6 +1448,100 @@ const Settings = function() {
         }
     });
 
+    const rangeSettings = {
+        classifier_strictness: userSettings.names.STRICTNESS,
+        page_risk_threshold: userSettings.names.PAGE_RISK_THRESHOLD,
+        page_min_flagged_images: userSettings.names.MIN_FLAGGED_IMAGES,
+        toxicity_threshold: userSettings.names.TOXICITY_THRESHOLD,
+        harassment_threshold: userSettings.names.HARASSMENT_THRESHOLD,
+        sexual_text_threshold: userSettings.names.SEXUAL_TEXT_THRESHOLD,
+    };
+    Object.keys(rangeSettings).forEach((inputId) => {
+        const settingName = rangeSettings[inputId];
+        const rangeInput = document.querySelector(`#${inputId}`);
+        const rangeValue = document.querySelector(`#${inputId}_value`);
+        if (!rangeInput) {
+            return;
+        }
+
+        rangeInput.value = userSettings.values[settingName];
+        rangeValue.textContent = rangeInput.value;
+        rangeInput.addEventListener("input", () => {
+            rangeValue.textContent = rangeInput.value;
+        });
+        rangeInput.addEventListener(
+            "change",
+            Utils.debounce(() => {
+                contentPage.sendMessage({
+                    type: "changeUserSetting",
+                    key: settingName,
+                    value: Number.parseInt(rangeInput.value, 10),
+                });
+            }, 500)
+        );
+    });
+
+    const revealPinInput = document.querySelector("#reveal_pin");
+    if (revealPinInput) {
+        const currentPinInput = document.querySelector("#reveal_pin_current");
+        const revealPinStatus = document.querySelector("#reveal_pin_status");
+        const showCurrentPin = (pinSet) => {
+            currentPinInput.style.display = pinSet ? "" : "none";
+        };
+        showCurrentPin(userSettings.values[userSettings.names.REVEAL_PIN]);
+
+        document.querySelector("#reveal_pin_save").addEventListener("click", (e) => {
+            e.preventDefault();
+            contentPage.sendMessage({
+                    type: "setRevealPin",
+                    pin: revealPinInput.value,
+                    currentPin: currentPinInput.value,
+                },
+                (response) => {
+                    if (response && response.success) {
+                        showCurrentPin(revealPinInput.value);
+                        revealPinStatus.textContent = i18n.getMessage(revealPinInput.value ? "options_pin_saved" : "options_pin_removed");
+                    } else {
+                        revealPinStatus.textContent = i18n.getMessage("options_pin_current_wrong");
+                    }
+                    currentPinInput.value = "";
+                    revealPinInput.value = "";
+                }
+            );
+        });
+    }
+
+    const parentPinInput = document.querySelector("#parent_pin");
+    if (parentPinInput) {
+        const currentPinInput = document.querySelector("#parent_pin_current");
+        const parentPinStatus = document.querySelector("#parent_pin_status");
+        const showCurrentPin = (pinSet) => {
+            currentPinInput.style.display = pinSet ? "" : "none";
+        };
+        showCurrentPin(userSettings.values[userSettings.names.PARENT_PIN]);
+
+        document.querySelector("#parent_pin_save").addEventListener("click", (e) => {
+            e.preventDefault();
+            contentPage.sendMessage({
+                    type: "setParentPin",
+                    pin: parentPinInput.value,
+                    currentPin: currentPinInput.value,
+                },
+                (response) => {
+                    if (response && response.success) {
+                        showCurrentPin(parentPinInput.value);
+                        parentPinStatus.textContent = i18n.getMessage(parentPinInput.value ? "options_pin_saved" : "options_pin_removed");
+                        ParentLock.update();
+                    } else {
+                        parentPinStatus.textContent = i18n.getMessage("options_pin_current_wrong");
+                    }
+                    currentPinInput.value = "";
+                    parentPinInput.value = "";
+                }
+            );
+        });
+    }
+
     const trackingParametersInput = document.querySelector(
         "#strip_tracking_params_input"
     );
@@ -1486,12 +1583,164 @@ const Settings = function() {
     };
 };
 
+/**
+ * Covers the page with the PIN prompt while the settings are locked by the parent PIN
+ */
+const ParentLock = (function() {
+    "use strict";
+
+    let relockTimeout;
+
+    /**
+     * Shows the prompt if the settings are locked.
+     * The prompt is shown again when the unlock session ends.
+     */
+    const update = function() {
+        contentPage.sendMessage({ type: "getParentLockState" }, (state) => {
+            if (!state) {
+                return;
+            }
+            const popup = document.querySelector("#parent-lock-popup");
+            popup.classList.toggle("option-popup--active", !state.unlocked);
+
+            clearTimeout(relockTimeout);
+            if (state.pinSet && state.unlocked) {
+                relockTimeout = setTimeout(update, state.unlockedUntil - Date.now());
+            }
+        });
+    };
+
+    const init = function() {
+        const pinInput = document.querySelector("#parent-lock-pin");
+        const status = document.querySelector("#parent-lock-status");
+
+        const unlock = function() {
+            contentPage.sendMessage({ type: "unlockParentLock", pin: pinInput.value }, (result) => {
+                pinInput.value = "";
+                if (result && result.success) {
+                    status.textContent = "";
+                    update();
+                } else if (result && result.lockedOutUntil > Date.now()) {
+                    const time = new Date(result.lockedOutUntil).toLocaleTimeString();
+                    status.textContent = i18n.getMessage("options_parent_lock_locked_out", [time]);
+                } else {
+                    status.textContent = i18n.getMessage("options_parent_lock_wrong");
+                }
+            });
+        };
+
+        document.querySelector("#parent-lock-unlock").addEventListener("click", (e) => {
+            e.preventDefault();
+            unlock();
+        });
+        pinInput.addEventListener("keyup", (e) => {
+            if (e.key === "Enter") {
+                unlock();
+            }
+        });
+
+        update();
+    };
+
+    return {
+        init,
+        update,
+    };
+})();
+
+/**
+ * Activity report of the device, read from the local storage of the background page
+ */
+const ActivityReport = function() {
+    "use strict";
+
+    const BLOCK_REASON_NAMES = {
+        blacklist: i18n.getMessage("options_activity_reason_blacklist"),
+        nsfw: i18n.getMessage("options_activity_reason_nsfw"),
+        safebrowsing: i18n.getMessage("options_activity_reason_safebrowsing"),
+        schedule: i18n.getMessage("options_activity_reason_schedule"),
+    };
+
+    const periodSelect = document.querySelector("#activity_period");
+
+    const formatDuration = function(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) {
+            return i18n.getMessage("options_activity_minutes", [String(minutes)]);
+        }
+        return i18n.getMessage("options_activity_hours", [
+            String(Math.floor(minutes / 60)),
+            String(minutes % 60),
+        ]);
+    };
+
+    /**
+     * Fills the list, texts are set as the text content as they come from the visited pages
+     *
+     * @param {string} selector
+     * @param {Array<Array<string>>} rows title and description of the items
+     */
+    const renderList = function(selector, rows) {
+        const list = document.querySelector(selector);
+        list.textContent = "";
+        if (rows.length === 0) {
+            rows = [[i18n.getMessage("options_activity_empty"), ""]];
+        }
+        rows.forEach(([title, desc]) => {
+            const item = htmlToElement(`
+                <li class="active">
+                    <div class="opt-desc">
+                        <div class="title"></div>
+                        <div class="opt-state">
+                            <span class="sp-table-row-info desc"></span>
+                        </div>
+                    </div>
+                </li>`);
+            item.querySelector(".title").textContent = title;
+            item.querySelector(".desc").textContent = desc;
+            list.appendChild(item);
+        });
+    };
+
+    const render = function() {
+        contentPage.sendMessage({
+            type: "getActivityReport",
+            hours: Number(periodSelect.value),
+        }, (report) => {
+            if (!report) {
+                return;
+            }
+            const { images, texts } = report.blurs;
+            document.querySelector("#activity_blurs").textContent = i18n.getMessage("options_activity_blurs", [
+                String(images),
+                String(texts),
+            ]);
+            renderList("#activity_domains", report.domains.map(({ domain, ms }) => [domain, formatDuration(ms)]));
+            renderList("#activity_blocked", report.blocked.map(({ reason, domain, count }) => [
+                domain,
+                i18n.getMessage("options_activity_blocked_count", [BLOCK_REASON_NAMES[reason], String(count)]),
+            ]));
+            renderList("#activity_searches", report.searches.map(({ engine, query, time }) => [
+                query,
+                `${engine}, ${new Date(time).toLocaleString()}`,
+            ]));
+        });
+    };
+
+    periodSelect.addEventListener("change", render);
+
+    return {
+        render,
+    };
+};
+
 const PageController = function() {};
 
 PageController.prototype = {
     SUBSCRIPTIONS_LIMIT: 9,
 
     init() {
+        ParentLock.init();
         this._bindEvents();
         this._render();
 
@@ -1548,6 +1797,9 @@ PageController.prototype = {
         });
         this.antiBannerFilters.render();
 
+        this.activityReport = new ActivityReport();
+        this.activityReport.render();
+
         const versionPlaceholder = document.querySelector(
             "#about-version-placeholder"
         );
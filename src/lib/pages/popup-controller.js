@@ -42,19 +42,98 @@ PopupController.prototype = {
     // Should be overwritten
   },
 
-  addWhiteListDomain(url) {
-    popupPage.sendMessage({ type: "addWhiteListDomainPopup", url });
+  /**
+   * Sends the change which may be locked by the parent PIN.
+   * If the settings are locked, asks the PIN in the popup and sends the change again after unlock.
+   * @param message
+   * @param {function} onApplied called when the change is applied
+   */
+  sendProtectedMessage(message, onApplied) {
+    popupPage.sendMessage(message, (response) => {
+      if (!response || !response.locked) {
+        this.hideParentLockForm();
+        onApplied();
+        return;
+      }
+      this.showParentLockForm(() => this.sendProtectedMessage(message, onApplied));
+    });
+  },
+
+  /**
+   * Shows the parent PIN field, the change is sent again after unlock
+   * @param {function} onUnlocked
+   */
+  showParentLockForm(onUnlocked) {
+    const form = document.querySelector("#parent-lock-form");
+    const pinInput = form.querySelector("#parent-lock-pin");
+    const status = form.querySelector("#parent-lock-status");
+
+    const unlock = () => {
+      popupPage.sendMessage(
+        { type: "unlockParentLock", pin: pinInput.value },
+        (result) => {
+          pinInput.value = "";
+          if (result && result.success) {
+            status.textContent = "";
+            onUnlocked();
+          } else if (result && result.lockedOutUntil > Date.now()) {
+            const time = new Date(result.lockedOutUntil).toLocaleTimeString();
+            i18n.translateElement(status, "popup_parent_lock_locked_out", [
+              time,
+            ]);
+          } else {
+            i18n.translateElement(status, "popup_parent_lock_wrong");
+          }
+          this.resizePopupWindow();
+        }
+      );
+    };
+
+    // Handlers of the previous change are replaced
+    form.querySelector("#parent-lock-unlock").onclick = (e) => {
+      e.preventDefault();
+      unlock();
+    };
+    pinInput.onkeyup = (e) => {
+      if (e.key === "Enter") {
+        unlock();
+      }
+    };
+
+    form.style.display = "block";
+    pinInput.focus();
+    this.resizePopupWindow();
+  },
+
+  hideParentLockForm() {
+    const form = document.querySelector("#parent-lock-form");
+    if (form.style.display === "none") {
+      return;
+    }
+    form.style.display = "none";
+    form.querySelector("#parent-lock-status").textContent = "";
+    this.resizePopupWindow();
+  },
+
+  addWhiteListDomain(url, onApplied) {
+    this.sendProtectedMessage(
+      { type: "addWhiteListDomainPopup", url },
+      onApplied
+    );
   },
 
   removeWhiteListDomain(url) {
     popupPage.sendMessage({ type: "removeWhiteListDomainPopup", url });
   },
 
-  changeApplicationFilteringDisabled(disabled) {
-    popupPage.sendMessage({
-      type: "changeApplicationFilteringDisabled",
-      disabled,
-    });
+  changeApplicationFilteringDisabled(disabled, onApplied) {
+    this.sendProtectedMessage(
+      {
+        type: "changeApplicationFilteringDisabled",
+        disabled,
+      },
+      onApplied
+    );
   },
 
   sendFeedback(url, topic, comment) {
@@ -274,20 +353,20 @@ PopupController.prototype = {
       if (!tabInfo.canAddRemoveRule) {
         return;
       }
-      let isWhiteListed = tabInfo.documentWhiteListed;
-      if (isWhiteListed) {
+      const updateWhiteListed = (isWhiteListed) => {
+        tabInfo.documentWhiteListed = isWhiteListed;
+        tabInfo.userWhiteListed = isWhiteListed;
+        tabInfo.totalBlockedTab = 0;
+        self._renderPopup(tabInfo);
+        self._bindActions();
+        self.resizePopupWindow();
+      };
+      if (tabInfo.documentWhiteListed) {
         self.removeWhiteListDomain(tabInfo.url);
-        isWhiteListed = false;
+        updateWhiteListed(false);
       } else {
-        self.addWhiteListDomain(tabInfo.url);
-        isWhiteListed = true;
+        self.addWhiteListDomain(tabInfo.url, () => updateWhiteListed(true));
       }
-      tabInfo.documentWhiteListed = isWhiteListed;
-      tabInfo.userWhiteListed = isWhiteListed;
-      tabInfo.totalBlockedTab = 0;
-      self._renderPopup(tabInfo);
-      self._bindActions();
-      self.resizePopupWindow();
     });
 
     this._bindAction(parent, "#openLogin", "click", (e) => {
@@ -317,12 +396,13 @@ PopupController.prototype = {
       if (tabInfo.applicationFilteringDisabled === disabled) {
         return;
       }
-      self.changeApplicationFilteringDisabled(disabled);
-      tabInfo.applicationFilteringDisabled = disabled;
-      tabInfo.totalBlockedTab = 0;
-      self._renderPopup(tabInfo);
-      self._bindActions();
-      self.resizePopupWindow();
+      self.changeApplicationFilteringDisabled(disabled, () => {
+        tabInfo.applicationFilteringDisabled = disabled;
+        tabInfo.totalBlockedTab = 0;
+        self._renderPopup(tabInfo);
+        self._bindActions();
+        self.resizePopupWindow();
+      });
     }
 
     // Disable filtering
@@ -0,0 +1,29 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension schedule-blocked.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Shows which schedule blocks the site, e.g. "School nights",
+ * "Blocked from 21:00 to 07:00" and the time when the site is available again
+ */
+const fillSchedule = (urlParams) => {
+  document.querySelector("#scheduleName").textContent = urlParams.get(
+    "schedule"
+  );
+  document.querySelector("#scheduleReason").textContent = urlParams.get(
+    "reason"
+  );
+
+  const until = urlParams.get("until");
+  if (until) {
+    document.querySelector("#scheduleUntilTime").textContent = until;
+    document.querySelector("#scheduleUntil").style.display = "block";
+  }
+};
+
+document.addEventListener("DOMContentLoaded", () => {
+  fillSchedule(new URLSearchParams(document.location.search));
+});
@@ -24,6 +24,7 @@
         onCreated: emptyListener, // callback (purifyWin, nativeWin)
         onRemoved: emptyListener, // callback (windowId, nativeWin)
         onUpdated: emptyListener, // callback (purifyWin, nativeWin, type) (Defined only for Firefox)
+        onFocusChanged: emptyListener, // callback (windowId), null if no window is focused
 
         create: noOpFunc,
         getLastFocused: noOpFunc, // callback (windowId, nativeWin)
@@ -78,6 +79,7 @@
     return {
       onCreated: onCreatedChannel, // callback(purifyWin)
       onRemoved: onRemovedChannel, // callback(purifyWin)
+      onFocusChanged: windowsImpl.onFocusChanged, // callback(windowId), null if no window is focused
 
       create,
       getLastFocused, // callback (purifyWin)
@@ -196,8 +198,9 @@
         tab.synthetic = false;
         onUpdatedChannel.notify(tab);
 
+        // Waiting images of the previous page are cancelled when the new one is loading
         const tabIdUrl = purify.loadingQueue._buildTabIdUrl(aTab);
-        purify.loadingQueue.updateTabIdUrl(tabIdUrl);
+        purify.loadingQueue.updateTabIdUrl(tabIdUrl, aTab.status === "loading");
       }
     });
 
@@ -0,0 +1,243 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension animated-image.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global ImageDecoder */
+
+/**
+ * Decodes frames of animated GIF, APNG and WebP images.
+ * The animation is detected by the file signature, neither the url nor the content type is trusted.
+ */
+purify.animatedImage = (function (purify) {
+  "use strict";
+
+  const FRAME_SIZE = 224;
+
+  /**
+   * Max number of frames classified for one image
+   */
+  const MAX_FRAMES = 8;
+
+  /**
+   * Bigger images are classified by the first frame only
+   */
+  const MAX_BYTES = 16 * 1024 * 1024;
+
+  const GIF = "image/gif";
+  const PNG = "image/png";
+  const WEBP = "image/webp";
+
+  const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  /**
+   * VP8X flag of the animated WebP
+   */
+  const WEBP_ANIMATION_FLAG = 0x02;
+
+  const readAscii = function (bytes, offset, length) {
+    let result = "";
+    for (let i = offset; i < offset + length && i < bytes.length; i++) {
+      result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+  };
+
+  const readUint32 = function (bytes, offset) {
+    return (
+      ((bytes[offset] << 24) |
+        (bytes[offset + 1] << 16) |
+        (bytes[offset + 2] << 8) |
+        bytes[offset + 3]) >>>
+      0
+    );
+  };
+
+  const startsWith = function (bytes, signature) {
+    return signature.every((byte, i) => bytes[i] === byte);
+  };
+
+  /**
+   * Checks if PNG has the animation control chunk before the image data
+   *
+   * @param {Uint8Array} bytes
+   * @returns {boolean}
+   */
+  const isAnimatedPng = function (bytes) {
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= bytes.length) {
+      const type = readAscii(bytes, offset + 4, 4);
+      if (type === "acTL") {
+        return true;
+      }
+      if (type === "IDAT") {
+        return false;
+      }
+      // length, type, data and crc
+      offset += readUint32(bytes, offset) + 12;
+    }
+    return false;
+  };
+
+  /**
+   * Detects the type of the image which may contain several frames
+   *
+   * @param {Uint8Array} bytes
+   * @returns {string|null} mime type or null if the image is not animated
+   */
+  const sniff = function (bytes) {
+    const header = readAscii(bytes, 0, 6);
+    if (header === "GIF87a" || header === "GIF89a") {
+      // Number of frames is known only after decoding
+      return GIF;
+    }
+
+    if (startsWith(bytes, PNG_SIGNATURE)) {
+      return isAnimatedPng(bytes) ? PNG : null;
+    }
+
+    if (
+      readAscii(bytes, 0, 4) === "RIFF" &&
+      readAscii(bytes, 8, 4) === "WEBP" &&
+      readAscii(bytes, 12, 4) === "VP8X"
+    ) {
+      return bytes[20] & WEBP_ANIMATION_FLAG ? WEBP : null;
+    }
+
+    return null;
+  };
+
+  /**
+   * @returns {boolean} true if frames can be decoded in this browser
+   */
+  const isDecoderSupported = function () {
+    return typeof ImageDecoder !== "undefined";
+  };
+
+  /**
+   * Selects evenly spaced frames, the first and the last ones are always included
+   *
+   * @param {number} frameCount
+   * @param {number} maxFrames
+   * @returns {Array<number>} frame indices
+   */
+  const sampleFrameIndices = function (frameCount, maxFrames = MAX_FRAMES) {
+    if (frameCount <= maxFrames) {
+      return Array.from({ length: frameCount }, (_, i) => i);
+    }
+
+    const step = (frameCount - 1) / (maxFrames - 1);
+    return Array.from({ length: maxFrames }, (_, i) => Math.round(i * step));
+  };
+
+  /**
+   * Downloads the image once, the still image and the frames of the animation
+   * are decoded from the same bytes
+   *
+   * @param {string} srcUrl
+   * @returns {Promise<{bytes: Uint8Array, contentType: string}|null>} null if the image is not available
+   */
+  const download = async function (srcUrl) {
+    // The image element of the page loads the same url, so it is taken from the cache
+    const response = await fetch(srcUrl, { cache: "force-cache" });
+    if (!response.ok) {
+      return null;
+    }
+
+    return {
+      bytes: new Uint8Array(await response.arrayBuffer()),
+      contentType: response.headers.get("content-type") || "",
+    };
+  };
+
+  /**
+   * Draws frame scaled to the model input size
+   *
+   * @param {VideoFrame} image
+   * @returns {HTMLCanvasElement}
+   */
+  const drawFrame = function (image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = FRAME_SIZE;
+    canvas.height = FRAME_SIZE;
+    canvas.getContext("2d").drawImage(image, 0, 0, FRAME_SIZE, FRAME_SIZE);
+    return canvas;
+  };
+
+  /**
+   * Decodes sampled frames of the image
+   *
+   * @param {{type: string, bytes: Uint8Array}} image
+   * @param {number} minSize  Smaller images are not decoded
+   * @returns {Promise<Array<HTMLCanvasElement>|null>}
+   */
+  const decode = async function ({ type, bytes }, minSize) {
+    if (!(await ImageDecoder.isTypeSupported(type))) {
+      return null;
+    }
+
+    const decoder = new ImageDecoder({ data: bytes, type });
+    try {
+      await decoder.tracks.ready;
+
+      const { frameCount } = decoder.tracks.selectedTrack;
+      if (frameCount < 2) {
+        return null;
+      }
+
+      const frames = [];
+      for (const frameIndex of sampleFrameIndices(frameCount)) {
+        const result = await decoder.decode({ frameIndex });
+        const { displayWidth, displayHeight } = result.image;
+        if (displayWidth <= minSize && displayHeight <= minSize) {
+          result.image.close();
+          return null;
+        }
+        frames.push(drawFrame(result.image));
+        result.image.close();
+      }
+      return frames;
+    } finally {
+      decoder.close();
+    }
+  };
+
+  /**
+   * Decodes sampled frames of the downloaded image,
+   * e.g. the response body read by the network filter.
+   * Resolves with null if the image is not animated or can't be decoded here.
+   *
+   * @param {Uint8Array} bytes
+   * @param {number} minSize  Smaller images are not decoded
+   * @returns {Promise<Array<HTMLCanvasElement>|null>}
+   */
+  const decodeFrames = async function (bytes, minSize = 0) {
+    if (!isDecoderSupported() || bytes.length > MAX_BYTES) {
+      return null;
+    }
+
+    const type = sniff(bytes);
+    if (!type) {
+      return null;
+    }
+
+    try {
+      return await decode({ type, bytes }, minSize);
+    } catch (e) {
+      purify.console.debug("Unable to decode frames, cause: {0}", e);
+      return null;
+    }
+  };
+
+  return {
+    MAX_FRAMES,
+    GIF,
+    sniff,
+    isDecoderSupported,
+    sampleFrameIndices,
+    download,
+    decodeFrames,
+  };
+})(purify);
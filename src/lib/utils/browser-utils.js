@@ -5,6 +5,8 @@
  * ----------------------------------------------------------------------------------
  */
 
+/* global SHA256 */
+
 (function(purify, api) {
     /**
      * Extension version (x.x.x)
@@ -70,6 +72,16 @@
             return clientId;
         },
 
+        /**
+         * Parent and reveal PINs are stored as the hash salted by the client id
+         *
+         * @param {string} pin
+         * @returns {string}
+         */
+        hashPin(pin) {
+            return SHA256.hash(`${this.getClientId()}:${pin}`);
+        },
+
         /**
          * Checks if left version is greater than the right version
          */
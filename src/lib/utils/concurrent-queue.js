@@ -11,6 +11,16 @@
 (function(api) {
     "use strict";
 
+    /**
+     * Runs tasks with limited concurrency.
+     * Waiting task with the highest priority is run first, tasks of the same priority are run in order.
+     * Priority is evaluated when the channel is free, so it may change while the task waits.
+     *
+     * @param {Object} options
+     * @param {number} options.concurrency          Max number of running tasks
+     * @param {number} options.timeout              Delay before the next waiting task is run
+     * @param {function(Object): number} options.getPriority  Optional, priority of the task, 0 by default
+     */
     const concurrentQueue = function({
         concurrency,
         timeout,
@@ -19,6 +29,7 @@
         onFailure,
         onDone,
         onDrain,
+        getPriority = () => 0,
     }) {
         const TIMEOUT = timeout;
 
@@ -26,6 +37,14 @@
         let waiting = [];
         let paused = false;
 
+        const metrics = {
+            processed: 0,
+            failed: 0,
+            cancelled: 0,
+            maxWaiting: 0,
+            totalWaitMs: 0,
+        };
+
         const add = function(task) {
             const hasChannel = count < concurrency;
 
@@ -34,7 +53,28 @@
                 return;
             }
 
-            waiting.push(task);
+            waiting.push({ task, addedAt: Date.now() });
+            metrics.maxWaiting = Math.max(metrics.maxWaiting, waiting.length);
+        };
+
+        /**
+         * Removes the waiting task with the highest priority
+         */
+        const take = function() {
+            let index = 0;
+            let maxPriority = getPriority(waiting[0].task);
+
+            for (let i = 1; i < waiting.length; i++) {
+                const priority = getPriority(waiting[i].task);
+                if (priority > maxPriority) {
+                    index = i;
+                    maxPriority = priority;
+                }
+            }
+
+            const [{ task, addedAt }] = waiting.splice(index, 1);
+            metrics.totalWaitMs += Date.now() - addedAt;
+            return task;
         };
 
         const next = function(task) {
@@ -42,8 +82,10 @@
 
             onProcess(task, (err, result) => {
                 if (err !== undefined) {
+                    metrics.failed++;
                     onFailure(task, err);
                 } else {
+                    metrics.processed++;
                     onSuccess(result);
                 }
 
@@ -54,7 +96,7 @@
                 count--;
 
                 if (!paused && waiting.length > 0) {
-                    const task = waiting.shift();
+                    const task = take();
                     setTimeout(() => next(task), TIMEOUT);
                     return;
                 }
@@ -70,27 +112,66 @@
         };
 
         const resume = function() {
-            if (waiting.length > 0) {
-                const channels = concurrency - count;
-
-                for (let i = 0; i < channels; i++) {
-                    const task = waiting.shift();
-                    next(task);
-                }
+            if (!paused) {
+                return;
             }
             paused = false;
+
+            const channels = Math.min(concurrency - count, waiting.length);
+            for (let i = 0; i < channels; i++) {
+                next(take());
+            }
+        };
+
+        /**
+         * Removes waiting tasks, running tasks are not affected
+         *
+         * @param {function(Object): boolean} predicate
+         * @returns {Array<Object>} removed tasks
+         */
+        const cancel = function(predicate) {
+            const removed = [];
+            waiting = waiting.filter((item) => {
+                if (predicate(item.task)) {
+                    removed.push(item.task);
+                    return false;
+                }
+                return true;
+            });
+
+            metrics.cancelled += removed.length;
+            return removed;
         };
 
         const getTaskAmount = function() {
             return waiting.length;
         };
 
+        /**
+         * @returns {Object} queue state and counters for debugging
+         */
+        const getMetrics = function() {
+            const finished = metrics.processed + metrics.failed;
+            return {
+                running: count,
+                waiting: waiting.length,
+                paused,
+                processed: metrics.processed,
+                failed: metrics.failed,
+                cancelled: metrics.cancelled,
+                maxWaiting: metrics.maxWaiting,
+                averageWaitMs: finished > 0 ? Math.round(metrics.totalWaitMs / finished) : 0,
+            };
+        };
+
         return {
             add,
             next,
             pause,
             resume,
+            cancel,
             getTaskAmount,
+            getMetrics,
         };
     };
 
@@ -0,0 +1,131 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension image-hash.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Perceptual hashes of images.
+ * The same picture served from different urls, resized or recompressed gets the same
+ * or a very close hash.
+ */
+purify.imageHash = (function (purify) {
+  "use strict";
+
+  /**
+   * dHash compares every pixel with the right neighbour of 9x8 grayscale image
+   */
+  const DHASH_WIDTH = 9;
+  const DHASH_HEIGHT = 8;
+
+  /**
+   * Converts RGBA pixels to grayscale
+   *
+   * @param {Uint8ClampedArray} data
+   * @returns {Array<number>}
+   */
+  const toGrayscale = function (data) {
+    const gray = [];
+    for (let i = 0; i < data.length; i += 4) {
+      gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+    }
+    return gray;
+  };
+
+  /**
+   * Calculates difference hash of 9x8 RGBA pixels
+   *
+   * @param {Uint8ClampedArray} data
+   * @returns {string} 64 bits hash as 16 hex digits
+   */
+  const dHashPixels = function (data) {
+    const gray = toGrayscale(data);
+    let hash = "";
+
+    for (let y = 0; y < DHASH_HEIGHT; y++) {
+      let nibble = 0;
+      for (let x = 0; x < DHASH_WIDTH - 1; x++) {
+        const left = gray[y * DHASH_WIDTH + x];
+        const right = gray[y * DHASH_WIDTH + x + 1];
+        nibble = (nibble << 1) | (left > right ? 1 : 0);
+
+        if (x % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+
+    return hash;
+  };
+
+  /**
+   * Calculates difference hash of the image.
+   * Returns null if the pixels of the image can't be read (e.g. cross-origin image).
+   *
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} image
+   * @returns {string|null}
+   */
+  const dHash = function (image) {
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = DHASH_WIDTH;
+      canvas.height = DHASH_HEIGHT;
+
+      const context = canvas.getContext("2d");
+      context.drawImage(image, 0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+      const { data } = context.getImageData(0, 0, DHASH_WIDTH, DHASH_HEIGHT);
+      return dHashPixels(data);
+    } catch (e) {
+      purify.console.debug("Unable to calculate image hash, cause: {0}", e);
+      return null;
+    }
+  };
+
+  /**
+   * Counts set bits of 32-bit integer
+   *
+   * @param {number} value
+   * @returns {number}
+   */
+  const bitCount = function (value) {
+    let v = value - ((value >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+  };
+
+  /**
+   * Parses hash to the pair of 32-bit integers
+   *
+   * @param {string} hash 16 hex digits
+   * @returns {Array<number>|null} null if hash is invalid
+   */
+  const parse = function (hash) {
+    if (!/^[0-9a-f]{16}$/i.test(hash)) {
+      return null;
+    }
+    return [
+      Number.parseInt(hash.substring(0, 8), 16),
+      Number.parseInt(hash.substring(8), 16),
+    ];
+  };
+
+  /**
+   * Counts different bits of two parsed hashes
+   *
+   * @param {Array<number>} a
+   * @param {Array<number>} b
+   * @returns {number}
+   */
+  const distance = function (a, b) {
+    return bitCount(a[0] ^ b[0]) + bitCount(a[1] ^ b[1]);
+  };
+
+  return {
+    dHash,
+    dHashPixels,
+    parse,
+    distance,
+  };
+})(purify);
@@ -0,0 +1,261 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension image-ruler.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Decides whether an image should be blocked by the classifier predictions.
+ * Used by the background page and by the content scripts.
+ */
+var ImageRuler = (function () {
+  "use strict";
+
+  /**
+   * Version of the rules, it is changed every time the decision may change
+   * for the same predictions and policy
+   */
+  const VERSION = 1;
+
+  const DEFAULT_STRICTNESS = 50;
+  const MIN_STRICTNESS = 0;
+  const MAX_STRICTNESS = 100;
+
+  /**
+   * Position of the "Neutral" class when it is missing in the predictions
+   */
+  const NEUTRAL_MISSING_POSITION = 7;
+
+  /**
+   * Blocking rules in the order of checking.
+   * Probabilities of the rule classes are summed and compared with the threshold
+   * which lays between min (strictness 100) and max (strictness 0).
+   * Combined rules are applied only if "Neutral" is not one of two top classes.
+   */
+  const RULES = [
+    {
+      code: 1,
+      reason: "HORROR",
+      classes: ["Horror_aug"],
+      min: 0.6,
+      max: 0.96,
+    },
+    { code: 2, reason: "GORY", classes: ["Gory_aug"], min: 0.55, max: 0.95 },
+    {
+      code: 3,
+      reason: "GORY_HORROR",
+      classes: ["Gory_aug", "Horror_aug"],
+      min: 0.62,
+      max: 0.96,
+    },
+    { code: 4, reason: "PORN", classes: ["Porn"], min: 0.5, max: 0.9 },
+    {
+      code: 5,
+      reason: "PORN_SEXY",
+      classes: ["Porn", "Sexy"],
+      min: 0.55,
+      max: 0.95,
+    },
+    {
+      code: 6,
+      reason: "PORN_HORROR",
+      classes: ["Porn", "Horror_aug"],
+      min: 0.55,
+      max: 0.95,
+    },
+    {
+      code: 7,
+      reason: "PORN_GORY",
+      classes: ["Porn", "Gory_aug"],
+      min: 0.59,
+      max: 0.95,
+    },
+    {
+      code: 8,
+      reason: "HORROR_SEXY",
+      classes: ["Horror_aug", "Sexy"],
+      min: 0.55,
+      max: 0.95,
+    },
+  ];
+
+  /**
+   * Reason of the verdict when no rule is matched
+   */
+  const REASON_CLEAN = "CLEAN";
+
+  /**
+   * Converts strictness to integer in [0, 100] range
+   *
+   * @param {*} strictness
+   * @returns {number}
+   */
+  const normalizeStrictness = function (strictness) {
+    const parsed = Number.parseInt(strictness, 10);
+    if (Number.isNaN(parsed)) {
+      return DEFAULT_STRICTNESS;
+    }
+    return Math.min(MAX_STRICTNESS, Math.max(MIN_STRICTNESS, parsed));
+  };
+
+  /**
+   * Calculates threshold of the rule, see "Function Predict" in README.md
+   *
+   * @param rule
+   * @param {number} strictness
+   * @returns {number}
+   */
+  const getThreshold = function (rule, strictness) {
+    if (strictness === MAX_STRICTNESS) {
+      return rule.min;
+    }
+
+    const coefficient = 1 - strictness / 100;
+    return (
+      Math.round((coefficient * (rule.max - rule.min) + rule.min) * 100) / 100
+    );
+  };
+
+  /**
+   * Returns thresholds of all rules for the strictness
+   *
+   * @param {number} strictness
+   * @returns {Object<number, number>} threshold by rule code
+   */
+  const getThresholds = function (strictness) {
+    const normalized = normalizeStrictness(strictness);
+    const thresholds = Object.create(null);
+    RULES.forEach((rule) => {
+      thresholds[rule.code] = getThreshold(rule, normalized);
+    });
+    return thresholds;
+  };
+
+  /**
+   * Creates verdict object
+   *
+   * @param rule      Matched rule or null
+   * @param {number} score      Summed probability of the rule classes
+   * @param {number} threshold  Threshold of the rule
+   * @returns {{block: boolean, code: number, reason: string, score: number, threshold: number, version: number}}
+   */
+  const createVerdict = function (rule, score, threshold) {
+    return {
+      block: rule !== null,
+      code: rule ? rule.code : 0,
+      reason: rule ? rule.reason : REASON_CLEAN,
+      score,
+      threshold,
+      version: VERSION,
+    };
+  };
+
+  /**
+   * Decides whether image should be blocked.
+   * The first matched rule gives the reason of the verdict.
+   *
+   * @param {Array<{className: string, probability: number}>} classes predictions sorted by probability
+   * @param {{blockedClasses: Array<string>, strictness: number}} policy
+   * @returns {{block: boolean, code: number, reason: string, score: number, threshold: number, version: number}}
+   */
+  const decide = function (classes, { blockedClasses, strictness }) {
+    if (!classes || blockedClasses.length === 0) {
+      return createVerdict(null, 0, 0);
+    }
+
+    const labels = Object.create(null);
+    let neutralPosition = NEUTRAL_MISSING_POSITION;
+
+    for (let i = 0; i < classes.length; i++) {
+      const { className, probability } = classes[i];
+      // Classes of the disabled categories never contribute to the decision
+      labels[className] =
+        blockedClasses.indexOf(className) === -1
+          ? 0
+          : Math.round(probability * 100) / 100;
+
+      if (className === "Neutral") {
+        neutralPosition = i;
+      }
+    }
+
+    const thresholds = getThresholds(strictness);
+
+    for (let i = 0; i < RULES.length; i++) {
+      const rule = RULES[i];
+      if (rule.classes.length > 1 && neutralPosition <= 1) {
+        continue;
+      }
+
+      const score = rule.classes.reduce(
+        (sum, className) => sum + (labels[className] || 0),
+        0
+      );
+      if (score >= thresholds[rule.code]) {
+        return createVerdict(rule, score, thresholds[rule.code]);
+      }
+    }
+
+    return createVerdict(null, 0, 0);
+  };
+
+  /**
+   * Returns probability of the class in the predictions
+   *
+   * @param {Array<{className: string, probability: number}>} classes
+   * @param {string} className
+   * @returns {number}
+   */
+  const getProbability = function (classes, className) {
+    const found = classes.find((item) => item.className === className);
+    return found ? found.probability : 0;
+  };
+
+  /**
+   * Decides whether animated image should be blocked by the predictions of its frames.
+   * The image is blocked if any frame is blocked, the frame with the highest score
+   * gives the verdict. Otherwise the least neutral frame is selected.
+   *
+   * @param {Array<Array<{className: string, probability: number}>>} framesClasses predictions of every frame
+   * @param {{blockedClasses: Array<string>, strictness: number}} policy
+   * @returns {{frame: number, verdict: Object}} index of the selected frame and its verdict
+   */
+  const decideFrames = function (framesClasses, policy) {
+    let selected = null;
+    let leastNeutral = null;
+
+    framesClasses.forEach((classes, frame) => {
+      const verdict = decide(classes, policy);
+      if (
+        verdict.block &&
+        (!selected || verdict.score > selected.verdict.score)
+      ) {
+        selected = { frame, verdict };
+      }
+
+      const neutral = getProbability(classes, "Neutral");
+      if (!leastNeutral || neutral < leastNeutral.neutral) {
+        leastNeutral = { frame, verdict, neutral };
+      }
+    });
+
+    if (selected) {
+      return selected;
+    }
+    if (leastNeutral) {
+      return { frame: leastNeutral.frame, verdict: leastNeutral.verdict };
+    }
+    return { frame: -1, verdict: createVerdict(null, 0, 0) };
+  };
+
+  return {
+    VERSION,
+    DEFAULT_STRICTNESS,
+    REASON_CLEAN,
+    normalizeStrictness,
+    getThresholds,
+    decide,
+    decideFrames,
+  };
+})();
@@ -5,6 +5,8 @@
  * ----------------------------------------------------------------------------------
  */
 
+/* global ImageRuler */
+
 /**
  * loading queue
  */
@@ -15,7 +17,25 @@ purify.loadingQueue = (function (purify) {
   const DEFAULT_TAB_ID = 999999;
   const IMAGE_SIZE = 224;
 
+  /**
+   * Images of the active tab go first, visible images go first in the tab
+   */
+  const ACTIVE_TAB_PRIORITY = 2;
+  const VISIBLE_PRIORITY = 1;
+
+  /**
+   * Loading is paused while the prediction queue has more waiting images,
+   * and resumed when it goes down to the lower mark
+   */
+  const MAX_PREDICTION_BACKLOG = 15;
+  const RESUME_PREDICTION_BACKLOG = 5;
+
   let queue = null;
+
+  /**
+   * Waiting predictions by the tab and the image url: [{resolve, reject}].
+   * The same image may be requested by several tabs, each of them is loaded and cancelled separately.
+   */
   let requestMap = new Map();
 
   let activeTabId = DEFAULT_TAB_ID;
@@ -30,52 +50,120 @@ purify.loadingQueue = (function (purify) {
       onFailure: onLoadingFailure,
       onDone: undefined,
       onDrain: undefined,
+      getPriority,
     });
   };
 
-  const predict = async function (requestUrl, tabIdUrl) {
+  /**
+   * Priority of the loading or prediction task, it changes when the user switches tabs
+   *
+   * @param {{tabIdUrl: Object, visible: boolean}} task
+   * @returns {number}
+   */
+  const getPriority = function ({ tabIdUrl, visible }) {
+    let priority = 0;
+    if (tabIdUrl && tabIdUrl.tabId === activeTabId) {
+      priority += ACTIVE_TAB_PRIORITY;
+    }
+    if (visible) {
+      priority += VISIBLE_PRIORITY;
+    }
+    return priority;
+  };
+
+  const getRequestKey = function (requestUrl, { tabId }) {
+    return `${tabId} ${requestUrl}`;
+  };
+
+  /**
+   * Classifies the image
+   *
+   * @param {string} requestUrl
+   * @param {{tabId: number, tabUrl: string}} tabIdUrl
+   * @param {boolean} visible   True if the image is in the viewport
+   * @returns {Promise<{block: boolean, score: number, className: string|null}>} verdict of the image,
+   *  score is the confidence of the verdict, className is the most probable blocked class
+   */
+  const predict = async function (requestUrl, tabIdUrl, visible = false) {
+    const hashUrl = purify.purifyFiltering.createHash(requestUrl);
+    const cacheValue = await purify.verdictCache.get({ urlHash: hashUrl });
+
+    if (cacheValue !== undefined) {
+      return cacheValue;
+    }
+
     return await new Promise((resolve, reject) => {
-      const hashUrl = purify.purifyFiltering.createHash(requestUrl);
-      // const cacheValue = purify.purifyFiltering.purifyImageCache.cache.getValue(
-      //   hashUrl
-      // );
-
-      // if (cacheValue !== undefined) {
-      //   resolve(cacheValue);
-      //   return;
-      // }
-
-      // if (requestMap.has(requestUrl)) {
-      //   requestMap.get(requestUrl)?.push([{ resolve, reject }]);
-      // } else {
-      //   requestMap.set(requestUrl, [[{ resolve, reject }]]);
-      //   queue.add({ requestUrl, hashUrl, tabIdUrl });
-      // }
-
-      requestMap.set(requestUrl, { resolve, reject });
-      queue.add({ requestUrl, hashUrl, tabIdUrl });
+      const key = getRequestKey(requestUrl, tabIdUrl);
+      // The image is loaded once for the tab, all the requests get its verdict
+      if (requestMap.has(key)) {
+        requestMap.get(key).push({ resolve, reject });
+      } else {
+        requestMap.set(key, [{ resolve, reject }]);
+        queue.add({ requestUrl, hashUrl, tabIdUrl, visible });
+      }
     });
   };
 
-  const loadImage = async function (requestUrl) {
+  /**
+   * Loads the image element
+   *
+   * @param {string} src
+   * @returns {Promise<HTMLImageElement>}
+   */
+  const loadElement = async function (src) {
     const image = new Image(IMAGE_SIZE, IMAGE_SIZE);
 
     return await new Promise((resolve, reject) => {
       setTimeout(
         reject,
         LOADING_TIMEOUT,
-        new Error(`Image timeout ${requestUrl}`)
+        new Error(`Image timeout ${src}`)
       );
 
       image.crossOrigin = "anonymous";
       image.onload = () => resolve(image);
       image.onerror = (err) => reject(err);
-      image.src = requestUrl;
+      image.src = src;
     });
   };
 
+  /**
+   * Downloads the image once: the still image is decoded from the bytes,
+   * the bytes of the animated image are kept to decode its frames.
+   * The image element loads the url itself if the image can't be downloaded.
+   *
+   * @param {string} requestUrl
+   * @returns {Promise<{image: HTMLImageElement, animated: Uint8Array|null}>}
+   */
+  const loadImage = async function (requestUrl) {
+    const { animatedImage } = purify;
+    let downloaded = null;
+    try {
+      downloaded = await animatedImage.download(requestUrl);
+    } catch (e) {
+      // Not available to fetch, the image element loads it then
+    }
+    if (!downloaded) {
+      return { image: await loadElement(requestUrl), animated: null };
+    }
+
+    const { bytes, contentType } = downloaded;
+    const animated = animatedImage.sniff(bytes) ? bytes : null;
+    if (animated && !animatedImage.isDecoderSupported()) {
+      // GIF frames are read by the model library from the url of the image
+      return { image: await loadElement(requestUrl), animated };
+    }
+
+    const objectUrl = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+    try {
+      return { image: await loadElement(objectUrl), animated };
+    } finally {
+      URL.revokeObjectURL(objectUrl);
+    }
+  };
+
   const onLoadingProcess = function (
-    { requestUrl, hashUrl, tabIdUrl },
+    { requestUrl, hashUrl, tabIdUrl, visible },
     callback
   ) {
     if (!_checkCurrentTabIdUrlStatus(tabIdUrl)) {
@@ -92,39 +180,136 @@ purify.loadingQueue = (function (purify) {
     }
 
     loadImage(requestUrl)
-      .then((image) =>
-        callback(undefined, { requestUrl, hashUrl, image, tabIdUrl })
-      )
+      .then(({ image, animated }) => {
+        const contentHash = purify.imageHash.dHash(image);
+        callback(undefined, {
+          requestUrl,
+          hashUrl,
+          contentHash,
+          image,
+          animated,
+          tabIdUrl,
+          visible,
+        });
+      })
       .catch((error) => callback({ requestUrl, error }, undefined));
   };
 
-  const onLoadingSuccess = function ({ requestUrl, hashUrl, image, tabIdUrl }) {
-    if (!_checkUrlStatus(requestUrl)) {
+  const onLoadingSuccess = function ({
+    requestUrl,
+    hashUrl,
+    contentHash,
+    image,
+    animated,
+    tabIdUrl,
+    visible,
+  }) {
+    if (!_checkUrlStatus(requestUrl, tabIdUrl)) {
       return;
     }
 
-    if (
-      !purify.predictionQueue.pauseFlag &&
-      purify.predictionQueue.getQueue().getTaskAmount() > 15
-    ) {
-      purify.predictionQueue.pauseFlag = true;
-      purify.predictionQueue.getQueue().pause();
+    // Known images are decided by their listed class without the prediction,
+    // so the categories unchecked by the user are not blocked
+    const knownClass = contentHash ? purify.imageHashList.match(contentHash) : null;
+    if (knownClass) {
+      const verdict = ImageRuler.decide(
+        [{ className: knownClass, probability: 1 }],
+        purify.purifyFiltering.getClassificationPolicy()
+      );
+      resolveWithoutPrediction({
+        requestUrl,
+        hashUrl,
+        tabIdUrl,
+        result: {
+          block: verdict.block,
+          score: verdict.score,
+          className: verdict.block ? knownClass : null,
+        },
+      });
+      return;
     }
 
-    purify.predictionQueue.getQueue().add({
-      requestUrl,
-      hashUrl,
-      image,
-      tabIdUrl,
+    // The same image may be already classified on the other url
+    const cacheLookup = contentHash
+      ? purify.verdictCache.get({ contentHash })
+      : Promise.resolve(undefined);
+
+    cacheLookup.then((cacheValue) => {
+      if (!_checkUrlStatus(requestUrl, tabIdUrl)) {
+        return;
+      }
+
+      if (cacheValue !== undefined) {
+        resolveWithoutPrediction({ requestUrl, hashUrl, tabIdUrl, result: cacheValue });
+        return;
+      }
+
+      const predictionQueue = purify.predictionQueue.getQueue();
+      predictionQueue.add({
+        requestUrl,
+        hashUrl,
+        contentHash,
+        image,
+        animated,
+        tabIdUrl,
+        visible,
+      });
+
+      // Loaded images wait for the model, so there is no sense to load more
+      if (predictionQueue.getTaskAmount() > MAX_PREDICTION_BACKLOG) {
+        queue.pause();
+      }
     });
   };
 
-  const onLoadingFailure = function ({ requestUrl, hashUrl, tabIdUrl }, error) {
-    if (!_checkUrlStatus(requestUrl)) return;
+  /**
+   * Resolves the waiting predictions of the image in the tab
+   *
+   * @param {{requestUrl: string, tabIdUrl: Object}} task
+   * @param {{block: boolean, score: number, className: string|null}|null} result
+   */
+  const resolveRequest = function ({ requestUrl, tabIdUrl }, result) {
+    const key = getRequestKey(requestUrl, tabIdUrl);
+    const requests = requestMap.get(key) || [];
+    requestMap.delete(key);
+    requests.forEach(({ resolve }) => resolve(result));
+  };
 
-    const { reject } = requestMap.get(requestUrl);
+  /**
+   * Rejects the waiting predictions of the image in the tab
+   *
+   * @param {{requestUrl: string, tabIdUrl: Object}} task
+   * @param error
+   */
+  const rejectRequest = function ({ requestUrl, tabIdUrl }, error) {
+    const key = getRequestKey(requestUrl, tabIdUrl);
+    const requests = requestMap.get(key) || [];
+    requestMap.delete(key);
+    requests.forEach(({ reject }) => reject(error));
+  };
 
-    reject(error);
+  /**
+   * Resumes loading when the prediction queue is almost empty
+   */
+  const onPredictionDone = function () {
+    const predictionQueue = purify.predictionQueue.getQueue();
+    if (predictionQueue.getTaskAmount() <= RESUME_PREDICTION_BACKLOG) {
+      queue.resume();
+    }
+  };
+
+  const resolveWithoutPrediction = function ({ requestUrl, hashUrl, tabIdUrl, result }) {
+    resolveRequest({ requestUrl, tabIdUrl }, result);
+
+    const { tabUrl } = tabIdUrl;
+
+    purify.predictionQueue.saveCache({ requestUrl, hashUrl, tabUrl, result });
+  };
+
+  const onLoadingFailure = function ({ requestUrl, hashUrl, tabIdUrl }, error) {
+    if (!_checkUrlStatus(requestUrl, tabIdUrl)) return;
+
+    rejectRequest({ requestUrl, tabIdUrl }, error);
 
     const { tabUrl } = tabIdUrl;
 
@@ -132,9 +317,9 @@ purify.loadingQueue = (function (purify) {
       requestUrl,
       hashUrl,
       tabUrl,
-      result: false,
+      result: null,
+      failed: true,
     });
-    requestMap.delete(requestUrl);
   };
 
   const addTabIdUrl = function (tabIdUrl) {
@@ -142,23 +327,56 @@ purify.loadingQueue = (function (purify) {
     currentTabIdUrls.set(tabId, tabUrl);
   };
 
-  const updateTabIdUrl = function (tabIdUrl) {
+  /**
+   * Updates url of the tab, waiting images of the previous page are cancelled
+   *
+   * @param {{tabId: number, tabUrl: string}} tabIdUrl
+   * @param {boolean} navigated  True if the new page is loading in the tab
+   */
+  const updateTabIdUrl = function (tabIdUrl, navigated = false) {
     const { tabId, tabUrl } = tabIdUrl;
+    const previousUrl = currentTabIdUrls.get(tabId);
     currentTabIdUrls.set(tabId, tabUrl);
+
+    if (navigated && previousUrl !== undefined && previousUrl !== tabUrl) {
+      cancelByTabId(tabId, (task) => task.tabIdUrl.tabUrl !== tabUrl);
+    }
   };
 
   const clearByTabId = function (tabId) {
     if (currentTabIdUrls.has(tabId)) {
       currentTabIdUrls.delete(tabId);
     }
+    cancelByTabId(tabId);
+  };
+
+  /**
+   * Removes waiting images of the tab from the loading and prediction queues,
+   * their predictions are rejected
+   *
+   * @param {number} tabId
+   * @param {function(Object): boolean} filter  Optional, selects tasks of the tab to cancel
+   */
+  const cancelByTabId = function (tabId, filter = () => true) {
+    const predicate = (task) => task.tabIdUrl.tabId === tabId && filter(task);
+    const cancelled = queue
+      .cancel(predicate)
+      .concat(purify.predictionQueue.getQueue().cancel(predicate));
+
+    cancelled.forEach((task) => {
+      rejectRequest(
+        task,
+        new Error("User closed tab or page where this requestUrl located")
+      );
+    });
   };
 
   const setActiveTabId = function (tabId) {
     activeTabId = tabId;
   };
 
-  const _checkUrlStatus = function (requestUrl) {
-    if (!requestMap.has(requestUrl)) {
+  const _checkUrlStatus = function (requestUrl, tabIdUrl) {
+    if (!requestMap.has(getRequestKey(requestUrl, tabIdUrl))) {
       console.log(
         `Cannot find image in requestMap where requestUrl is ${requestUrl}`
       );
@@ -198,15 +416,33 @@ purify.loadingQueue = (function (purify) {
     return requestMap;
   };
 
+  /**
+   * @returns {Object} state of the loading and prediction queues for debugging
+   */
+  const getMetrics = function () {
+    return {
+      activeTabId,
+      pendingRequests: requestMap.size,
+      loading: queue.getMetrics(),
+      prediction: purify.predictionQueue.getQueue().getMetrics(),
+    };
+  };
+
   return {
     getQueue,
     getRequestMap,
+    getMetrics,
+    getPriority,
     init,
     loadImage,
     predict,
+    onPredictionDone,
+    resolveRequest,
+    rejectRequest,
     addTabIdUrl,
     updateTabIdUrl,
     clearByTabId,
+    cancelByTabId,
     setActiveTabId,
     _buildTabIdUrl,
     _checkUrlStatus,
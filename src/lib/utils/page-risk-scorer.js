@@ -0,0 +1,248 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension page-risk-scorer.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Decides whether the whole page should be blocked by the verdicts of its images.
+ * Every image is weighted by its size and visibility, flagged images add their
+ * confidence to the page risk. Used by the background page and by the content scripts.
+ */
+var PageRiskScorer = (function () {
+  "use strict";
+
+  /**
+   * Page is blocked when risk (in percents) and number of flagged images reach the thresholds
+   */
+  const DEFAULT_RISK_THRESHOLD = 25;
+  const DEFAULT_MIN_FLAGGED_IMAGES = 5;
+
+  /**
+   * Images of this side or bigger get the full size weight
+   */
+  const FULL_WEIGHT_SIDE = 300;
+
+  /**
+   * Min size weight, images which are not rendered yet have no size
+   */
+  const MIN_SIZE_WEIGHT = 0.1;
+
+  /**
+   * Images out of the viewport matter less than the visible ones
+   */
+  const OFFSCREEN_WEIGHT = 0.5;
+
+  /**
+   * Readable names of the model classes
+   */
+  const CLASS_NAMES = {
+    Porn: "Porn",
+    Sexy: "Sexy",
+    Gory_aug: "Gory",
+    Horror_aug: "Horror",
+    Drugs_aug: "Drugs",
+    Heroin_aug: "Drugs",
+  };
+
+  /**
+   * Returns size and visibility of the element
+   *
+   * @param {Element} element
+   * @returns {{width: number, height: number, visible: boolean}}
+   */
+  const measure = function (element) {
+    const rect = element.getBoundingClientRect();
+    const viewportWidth =
+      window.innerWidth || document.documentElement.clientWidth;
+    const viewportHeight =
+      window.innerHeight || document.documentElement.clientHeight;
+
+    return {
+      width: rect.width,
+      height: rect.height,
+      visible:
+        rect.width > 0 &&
+        rect.height > 0 &&
+        rect.bottom > 0 &&
+        rect.right > 0 &&
+        rect.top < viewportHeight &&
+        rect.left < viewportWidth,
+    };
+  };
+
+  /**
+   * Calculates weight of the image, images of unknown size get the full weight
+   *
+   * @param {{width: number, height: number, visible: boolean}} image
+   * @returns {number}
+   */
+  const getWeight = function ({ width, height, visible }) {
+    if (width === undefined || height === undefined) {
+      return 1;
+    }
+
+    const side = Math.sqrt(Math.max(0, width) * Math.max(0, height));
+    const sizeWeight = Math.max(
+      MIN_SIZE_WEIGHT,
+      Math.min(1, side / FULL_WEIGHT_SIDE)
+    );
+
+    return visible === false ? sizeWeight * OFFSCREEN_WEIGHT : sizeWeight;
+  };
+
+  /**
+   * Returns the most probable blocked class of the predictions
+   *
+   * @param {Array<{className: string, probability: number}>} classes predictions sorted by probability
+   * @param {Array<string>} blockedClasses
+   * @returns {string|null}
+   */
+  const getFlaggedClass = function (classes, blockedClasses) {
+    const found = (classes || []).find(
+      (item) => blockedClasses.indexOf(item.className) !== -1
+    );
+    return found ? found.className : null;
+  };
+
+  /**
+   * Builds the reason of the decision, e.g. "12 of 30 visible images flagged Porn"
+   *
+   * @param decision
+   * @returns {string}
+   */
+  const describe = function ({
+    flagged,
+    total,
+    visibleFlagged,
+    visible,
+    className,
+  }) {
+    const label = CLASS_NAMES[className] || className || "explicit";
+
+    if (visibleFlagged > 0) {
+      return `${visibleFlagged} of ${visible} visible images flagged ${label}`;
+    }
+    return `${flagged} of ${total} images flagged ${label}`;
+  };
+
+  /**
+   * Converts risk threshold to integer percent in [0, 100] range
+   *
+   * @param {*} value
+   * @returns {number}
+   */
+  const normalizeRiskThreshold = function (value) {
+    const parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+      return DEFAULT_RISK_THRESHOLD;
+    }
+    return Math.min(100, Math.max(0, parsed));
+  };
+
+  /**
+   * Creates scorer of one page
+   *
+   * @returns {{add: function, decide: function, size: function}}
+   */
+  const create = function () {
+    const images = new Map();
+
+    /**
+     * Adds or replaces verdict of the image
+     *
+     * @param {string} key  Url or element id of the image
+     * @param {{width: number, height: number, visible: boolean, flagged: boolean, confidence: number, className: string}} image
+     *  size and visibility are optional, confidence is the score of the verdict
+     */
+    const add = function (key, image) {
+      images.set(key, image);
+    };
+
+    /**
+     * Decides whether the page should be blocked
+     *
+     * @param {{pageRiskThreshold: number, minFlaggedImages: number}} policy
+     * @returns {{block: boolean, risk: number, flagged: number, total: number, visibleFlagged: number, visible: number, className: string, reason: string}}
+     */
+    const decide = function ({ pageRiskThreshold, minFlaggedImages }) {
+      let totalWeight = 0;
+      let flaggedWeight = 0;
+      const decision = {
+        flagged: 0,
+        total: 0,
+        visibleFlagged: 0,
+        visible: 0,
+      };
+
+      // Flagged weight by class, the heaviest class is reported
+      const classWeights = Object.create(null);
+
+      images.forEach((image) => {
+        const weight = getWeight(image);
+        totalWeight += weight;
+        decision.total += 1;
+        if (image.visible) {
+          decision.visible += 1;
+        }
+
+        if (!image.flagged) {
+          return;
+        }
+
+        const confidence = Math.min(1, Math.max(0, image.confidence || 1));
+        flaggedWeight += weight * confidence;
+        decision.flagged += 1;
+        if (image.visible) {
+          decision.visibleFlagged += 1;
+        }
+        if (image.className) {
+          classWeights[image.className] =
+            (classWeights[image.className] || 0) + weight * confidence;
+        }
+      });
+
+      decision.className =
+        Object.keys(classWeights).sort(
+          (a, b) => classWeights[b] - classWeights[a]
+        )[0] || null;
+      decision.risk = totalWeight === 0 ? 0 : flaggedWeight / totalWeight;
+
+      const minFlagged =
+        minFlaggedImages === undefined
+          ? DEFAULT_MIN_FLAGGED_IMAGES
+          : minFlaggedImages;
+      decision.block =
+        decision.flagged > 0 &&
+        decision.flagged >= minFlagged &&
+        decision.risk * 100 >= normalizeRiskThreshold(pageRiskThreshold);
+      decision.reason = describe(decision);
+
+      return decision;
+    };
+
+    /**
+     * @returns {number} number of the scored images
+     */
+    const size = function () {
+      return images.size;
+    };
+
+    return {
+      add,
+      decide,
+      size,
+    };
+  };
+
+  return {
+    DEFAULT_RISK_THRESHOLD,
+    DEFAULT_MIN_FLAGGED_IMAGES,
+    measure,
+    getWeight,
+    getFlaggedClass,
+    describe,
+    create,
+  };
+})();
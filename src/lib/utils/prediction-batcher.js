@@ -0,0 +1,90 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension prediction-batcher.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+(function (purify) {
+  /**
+   * Collects inputs of the model during the short window and runs them as one batch.
+   * Running the model once for many images is much cheaper than once per image.
+   *
+   * @param {Object} options
+   * @param {function(Array): Promise<Array>} options.runBatch  Returns results in the order of inputs
+   * @param {number} options.maxBatchSize   Batch is run immediately when it is full
+   * @param {number} options.windowMs       Max time the input waits for other inputs
+   */
+  function PredictionBatcher({ runBatch, maxBatchSize = 16, windowMs = 30 }) {
+    let pending = [];
+    let timerId = null;
+
+    // Batches are run one by one, the model can't run them in parallel anyway
+    let running = Promise.resolve();
+
+    const stats = {
+      batches: 0,
+      inputs: 0,
+    };
+
+    /**
+     * Runs all pending inputs
+     */
+    const flush = function () {
+      clearTimeout(timerId);
+      timerId = null;
+
+      if (pending.length === 0) {
+        return;
+      }
+
+      const batch = pending;
+      pending = [];
+
+      stats.batches += 1;
+      stats.inputs += batch.length;
+
+      running = running
+        .then(() => runBatch(batch.map((item) => item.input)))
+        .then((results) => {
+          batch.forEach((item, i) => item.resolve(results[i]));
+        })
+        .catch((error) => {
+          batch.forEach((item) => item.reject(error));
+        });
+    };
+
+    /**
+     * Adds input to the next batch
+     *
+     * @param input
+     * @returns {Promise} result of the input
+     */
+    const add = function (input) {
+      return new Promise((resolve, reject) => {
+        pending.push({ input, resolve, reject });
+
+        if (pending.length >= maxBatchSize) {
+          flush();
+        } else if (timerId === null) {
+          timerId = setTimeout(flush, windowMs);
+        }
+      });
+    };
+
+    /**
+     * @returns {{batches: number, inputs: number}} number of run batches and inputs
+     */
+    const getStats = function () {
+      return Object.assign({}, stats);
+    };
+
+    return {
+      add,
+      flush,
+      getStats,
+    };
+  }
+
+  purify.utils.PredictionBatcher = PredictionBatcher;
+})(purify);
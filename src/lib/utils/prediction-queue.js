@@ -12,7 +12,6 @@ purify.predictionQueue = (function(purify) {
     "use strict";
 
     let requestQueue = new Map();
-    let pauseFlag = false;
     let queue = null;
 
     const init = function() {
@@ -23,11 +22,13 @@ purify.predictionQueue = (function(purify) {
             onSuccess: onSuccess,
             onFailure: onFailure,
             onDone: onDone,
-            onDrain: onDrain,
+            onDrain: undefined,
+            // Active tab and visible images first, the same as in the loading queue
+            getPriority: purify.loadingQueue.getPriority,
         });
     };
 
-    const onProcess = async function({ requestUrl, hashUrl, image, tabIdUrl }, callback) {
+    const onProcess = async function({ requestUrl, hashUrl, contentHash, image, animated, tabIdUrl }, callback) {
         if (!purify.loadingQueue._checkCurrentTabIdUrlStatus(tabIdUrl)) {
             callback({
                     requestUrl,
@@ -41,67 +42,60 @@ purify.predictionQueue = (function(purify) {
         }
 
         purify.purifyFiltering
-            .getPredictImage(requestUrl, image)
+            .getPredictImage(requestUrl, image, animated)
             .then((result) =>
-                callback(undefined, { requestUrl, hashUrl, tabIdUrl, result })
+                callback(undefined, { requestUrl, hashUrl, contentHash, tabIdUrl, result })
             )
             .catch((error) =>
                 callback({ requestUrl, errMessage: error.message }, undefined)
             );
     };
 
-    const onSuccess = function({ requestUrl, hashUrl, tabIdUrl, result }) {
-        if (!purify.loadingQueue._checkUrlStatus(requestUrl)) {
+    const onSuccess = function({ requestUrl, hashUrl, contentHash, tabIdUrl, result }) {
+        if (!purify.loadingQueue._checkUrlStatus(requestUrl, tabIdUrl)) {
             return;
         }
 
-        const { resolve } = purify.loadingQueue.getRequestMap().get(requestUrl);
-
-        resolve(result);
+        purify.loadingQueue.resolveRequest({ requestUrl, tabIdUrl }, result);
 
         const { tabUrl } = tabIdUrl;
 
-        saveCache({ requestUrl, hashUrl, tabUrl, result });
-
-        if (pauseFlag && predictionQueue.getTaskAmount() <= 5) {
-            pauseFlag = false;
-            purify.loadingQueue.getQueue().resume();
-        }
+        saveCache({ requestUrl, hashUrl, contentHash, tabUrl, result });
     };
 
     const onFailure = function({ requestUrl, hashUrl, tabIdUrl, errMessage }) {
-        if (!purify.loadingQueue._checkUrlStatus(requestUrl)) {
+        if (!purify.loadingQueue._checkUrlStatus(requestUrl, tabIdUrl)) {
             return;
         }
 
-        const { reject } = purify.loadingQueue.getRequestMap().get(requestUrl);
-
-        reject(errMessage);
+        purify.loadingQueue.rejectRequest({ requestUrl, tabIdUrl }, errMessage);
 
         const { tabUrl } = tabIdUrl;
 
-        saveCache({ requestUrl, hashUrl, tabUrl, result: false });
+        saveCache({ requestUrl, hashUrl, tabUrl, result: null, failed: true });
     };
 
     const onDone = function({ requestUrl }) {
         requestQueue.delete(requestUrl);
+        purify.loadingQueue.onPredictionDone();
     };
 
-    const onDrain = function() {
-        pauseFlag = false;
-        purify.loadingQueue.getQueue().resume();
-    };
-
-    const saveCache = function({ requestUrl, hashUrl, tabUrl, result }) {
+    /**
+     * Saves verdict of the image and remembers blocked images of the page.
+     * Verdicts of the images which failed to load or to predict are not persisted.
+     */
+    const saveCache = function({ requestUrl, hashUrl, contentHash, tabUrl, result, failed = false }) {
         let urlCache = purify.purifyFiltering.purifyUrlCache.cache.getValue(tabUrl);
 
         if (typeof urlCache === "undefined") {
             urlCache = [];
         }
 
-        purify.purifyFiltering.purifyImageCache.cache.saveValue(hashUrl, result);
+        if (!failed) {
+            purify.verdictCache.save({ urlHash: hashUrl, contentHash, result });
+        }
 
-        if (result === true) {
+        if (result && result.block) {
             urlCache.push(requestUrl);
             const uniqueArr = urlCache.filter(uniqueArray);
             purify.purifyFiltering.purifyUrlCache.cache.saveValue(tabUrl, uniqueArr);
@@ -118,7 +112,6 @@ purify.predictionQueue = (function(purify) {
 
     return {
         getQueue,
-        pauseFlag,
         init,
         saveCache,
     };
@@ -0,0 +1,383 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension text-matcher.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Finds words of the word lists in the text.
+ * Text and words are normalized the same way: Unicode compatibility forms, case,
+ * leetspeak and invisible characters are folded, so "H4TE" matches "hate".
+ * All words are searched in one pass with Aho-Corasick automaton.
+ */
+var TextMatcher = (function () {
+  "use strict";
+
+  /**
+   * Digits used instead of the letters
+   */
+  const LEET_DIGITS = {
+    0: "o",
+    1: "i",
+    3: "e",
+    4: "a",
+    5: "s",
+    7: "t",
+    8: "b",
+  };
+
+  /**
+   * Symbols used instead of the letters
+   */
+  const LEET_SYMBOLS = {
+    "@": "a",
+    $: "s",
+    "!": "i",
+    "|": "l",
+  };
+
+  /**
+   * Zero width characters and soft hyphen, they are inserted to split the words
+   */
+  const INVISIBLE = /[\u00ad\u180e\u200b-\u200d\u2060\ufeff]/;
+
+  const WHITESPACE = /\s/;
+
+  /**
+   * Combining marks, they belong to the preceding letter
+   */
+  const COMBINING_MARKS = [
+    [0x0300, 0x036f],
+    [0x1ab0, 0x1aff],
+    [0x1dc0, 0x1dff],
+    [0x20d0, 0x20ff],
+    [0xfe20, 0xfe2f],
+  ];
+
+  /**
+   * Scripts written without spaces between the words (Thai, Lao, Myanmar, Khmer,
+   * Chinese and Japanese), the word may start and end at any letter
+   */
+  const UNSPACED_SCRIPTS = [
+    [0x0e00, 0x0eff],
+    [0x1000, 0x109f],
+    [0x1780, 0x17ff],
+    [0x2e80, 0x2fdf],
+    [0x3040, 0x30ff],
+    [0x3400, 0x4dbf],
+    [0x4e00, 0x9fff],
+    [0xf900, 0xfaff],
+    [0xff66, 0xff9f],
+  ];
+
+  /**
+   * Letters of the scripts without case (Hebrew, Arabic, Indic, Hangul)
+   */
+  const UNCASED_LETTERS = [
+    [0x05d0, 0x05ea],
+    [0x0600, 0x06ff],
+    [0x0900, 0x0dff],
+    [0x1100, 0x11ff],
+    [0xac00, 0xd7af],
+  ];
+
+  const inRanges = function (code, ranges) {
+    for (let i = 0; i < ranges.length; i += 1) {
+      if (code >= ranges[i][0] && code <= ranges[i][1]) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const isCombiningMark = function (char) {
+    return inRanges(char.charCodeAt(0), COMBINING_MARKS);
+  };
+
+  const isUnspaced = function (char) {
+    return inRanges(char.charCodeAt(0), UNSPACED_SCRIPTS);
+  };
+
+  /**
+   * Checks if the character is a part of the word, \w is not used as it
+   * doesn't match letters with diacritics, e.g. Vietnamese "đ"
+   *
+   * @param {string} char
+   * @returns {boolean}
+   */
+  const isWordChar = function (char) {
+    if (char.toLowerCase() !== char.toUpperCase()) {
+      return true;
+    }
+    const code = char.charCodeAt(0);
+    return (
+      (code >= 0x30 && code <= 0x39) ||
+      char === "_" ||
+      inRanges(code, COMBINING_MARKS) ||
+      inRanges(code, UNSPACED_SCRIPTS) ||
+      inRanges(code, UNCASED_LETTERS)
+    );
+  };
+
+  const isLetter = function (char) {
+    return Boolean(char) && isWordChar(char) && !/[0-9_]/.test(char);
+  };
+
+  /**
+   * Folds the leetspeak character if it is written inside the word.
+   * Digits are folded next to the letters ("h4te", "a55"), symbols are folded
+   * before the letters ("$hit", "sh!t"), so "2020" and "hate!" are kept.
+   *
+   * @param {string} char normalized character
+   * @param {string} previous previous normalized character
+   * @param {string} next next character of the source text
+   * @returns {string}
+   */
+  const foldLeet = function (char, previous, next) {
+    if (LEET_DIGITS[char] && (isLetter(previous) || isLetter(next))) {
+      return LEET_DIGITS[char];
+    }
+    if (LEET_SYMBOLS[char] && next && isWordChar(next)) {
+      return LEET_SYMBOLS[char];
+    }
+    return char;
+  };
+
+  /**
+   * Normalizes the text and keeps positions of the normalized characters in the source text
+   *
+   * @param {string} text
+   * @returns {{text: string, starts: Array<number>, ends: Array<number>}}
+   *  starts[i] and ends[i] are the range of the source text which produced i-th character
+   */
+  const normalizeWithOffsets = function (text) {
+    let result = "";
+    const starts = [];
+    const ends = [];
+
+    const append = function (folded, start, end) {
+      for (let i = 0; i < folded.length; i += 1) {
+        starts.push(start);
+        ends.push(end);
+      }
+      result += folded;
+    };
+
+    let start = 0;
+    while (start < text.length) {
+      const char = String.fromCodePoint(text.codePointAt(start));
+      let end = start + char.length;
+      // Combining marks are normalized together with their letter
+      while (end < text.length && isCombiningMark(text[end])) {
+        end += 1;
+      }
+
+      if (WHITESPACE.test(char)) {
+        // Several spaces between the words are one space
+        if (result[result.length - 1] !== " ") {
+          append(" ", start, end);
+        }
+      } else if (!INVISIBLE.test(char)) {
+        let folded = text
+          .substring(start, end)
+          .normalize("NFKC")
+          .toLowerCase();
+        if (folded.length === 1) {
+          folded = foldLeet(folded, result[result.length - 1], text[end]);
+        }
+        append(folded, start, end);
+      }
+
+      start = end;
+    }
+
+    return { text: result, starts, ends };
+  };
+
+  /**
+   * Normalizes the text for matching
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  const normalize = function (text) {
+    return normalizeWithOffsets(text).text.trim();
+  };
+
+  const createNode = function () {
+    return { next: new Map(), fail: null, outputs: [] };
+  };
+
+  /**
+   * Builds Aho-Corasick automaton of the words
+   *
+   * @param {Array<string>} words normalized words
+   * @returns {Object} root node
+   */
+  const buildAutomaton = function (words) {
+    const root = createNode();
+
+    words.forEach((word) => {
+      let node = root;
+      for (let i = 0; i < word.length; i += 1) {
+        let next = node.next.get(word[i]);
+        if (!next) {
+          next = createNode();
+          node.next.set(word[i], next);
+        }
+        node = next;
+      }
+      if (node.outputs.indexOf(word.length) === -1) {
+        node.outputs.push(word.length);
+      }
+    });
+
+    // Failure links are set in breadth-first order, so the links of the shorter prefixes are ready
+    const queue = [];
+    root.next.forEach((child) => {
+      child.fail = root;
+      queue.push(child);
+    });
+    for (let i = 0; i < queue.length; i += 1) {
+      const node = queue[i];
+      node.next.forEach((child, char) => {
+        let fail = node.fail;
+        while (fail !== root && !fail.next.has(char)) {
+          fail = fail.fail;
+        }
+        child.fail = fail.next.get(char) || root;
+        child.outputs = child.outputs.concat(child.fail.outputs);
+        queue.push(child);
+      });
+    }
+
+    return root;
+  };
+
+  /**
+   * Checks that the match is a whole word, not a part of the longer word
+   *
+   * @param {string} text normalized text
+   * @param {number} start index of the first character of the match
+   * @param {number} end index after the last character of the match
+   * @returns {boolean}
+   */
+  const isWholeWord = function (text, start, end) {
+    const startsWord =
+      start === 0 || isUnspaced(text[start]) || !isWordChar(text[start - 1]);
+    const endsWord =
+      end === text.length ||
+      isUnspaced(text[end - 1]) ||
+      !isWordChar(text[end]);
+    return startsWord && endsWord;
+  };
+
+  /**
+   * Merges overlapping ranges
+   *
+   * @param {Array<{start: number, end: number}>} ranges
+   * @returns {Array<{start: number, end: number}>}
+   */
+  const mergeRanges = function (ranges) {
+    const sorted = ranges.slice().sort((a, b) => a.start - b.start);
+    const merged = [];
+    sorted.forEach((range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ start: range.start, end: range.end });
+      }
+    });
+    return merged;
+  };
+
+  /**
+   * Creates matcher of the words
+   *
+   * @param {Array<string>} words
+   * @returns {{size: number, find: function(string): Array<{start: number, end: number}>, mask: function(string, string=, Array=): string}}
+   */
+  const create = function (words) {
+    const normalizedWords = (words || [])
+      .map(normalize)
+      .filter((word) => word.length > 0);
+    const root = buildAutomaton(normalizedWords);
+
+    /**
+     * Finds the words in the text
+     *
+     * @param {string} text
+     * @returns {Array<{start: number, end: number}>} ranges of the source text, sorted and not overlapping
+     */
+    const find = function (text) {
+      if (!text || normalizedWords.length === 0) {
+        return [];
+      }
+
+      const normalized = normalizeWithOffsets(text);
+      const ranges = [];
+      let node = root;
+
+      for (let i = 0; i < normalized.text.length; i += 1) {
+        const char = normalized.text[i];
+        while (node !== root && !node.next.has(char)) {
+          node = node.fail;
+        }
+        node = node.next.get(char) || root;
+
+        node.outputs.forEach((length) => {
+          const start = i + 1 - length;
+          if (isWholeWord(normalized.text, start, i + 1)) {
+            ranges.push({
+              start: normalized.starts[start],
+              end: normalized.ends[i],
+            });
+          }
+        });
+      }
+
+      return mergeRanges(ranges);
+    };
+
+    /**
+     * Replaces every character of the found words
+     *
+     * @param {string} text
+     * @param {string} replacement
+     * @param {Array<{start: number, end: number}>} ranges found words, if they are already found
+     * @returns {string} masked text, the same text if nothing is found
+     */
+    const mask = function (text, replacement = "*", ranges = find(text)) {
+      if (ranges.length === 0) {
+        return text;
+      }
+
+      let result = "";
+      let position = 0;
+      ranges.forEach(({ start, end }) => {
+        result += text.substring(position, start);
+        // Letter with its combining marks is replaced with one character
+        const letters = Array.from(text.substring(start, end)).filter(
+          (char) => !isCombiningMark(char)
+        );
+        result += replacement.repeat(letters.length);
+        position = end;
+      });
+      return result + text.substring(position);
+    };
+
+    return {
+      size: normalizedWords.length,
+      find,
+      mask,
+    };
+  };
+
+  return {
+    normalize,
+    isWordChar,
+    create,
+  };
+})();
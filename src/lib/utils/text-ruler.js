@@ -0,0 +1,91 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension text-ruler.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/**
+ * Decides whether a block of text (comment, post, paragraph) should be blurred
+ * by the scores of the text model and the hate speech words found in the block.
+ * Used by the content scripts.
+ */
+var TextRuler = (function () {
+  "use strict";
+
+  const CATEGORIES = ["toxicity", "harassment", "sexual"];
+
+  const DEFAULT_THRESHOLD = 80;
+
+  /**
+   * Every hate speech word found in the block adds this share of the remaining
+   * toxicity score, so several words are enough to blur the block without the model
+   */
+  const LEXICON_WORD_WEIGHT = 0.25;
+
+  /**
+   * Converts threshold to number in [0, 100] range
+   *
+   * @param {*} threshold
+   * @returns {number}
+   */
+  const normalizeThreshold = function (threshold) {
+    const parsed = Number.parseInt(threshold, 10);
+    if (Number.isNaN(parsed)) {
+      return DEFAULT_THRESHOLD;
+    }
+    return Math.min(100, Math.max(0, parsed));
+  };
+
+  /**
+   * Combines the scores of the model with the words of the lexicon
+   *
+   * @param {Object<string, number>|null} scores probabilities of the categories,
+   *  null if the text model is not available
+   * @param {number} words number of hate speech words in the block
+   * @returns {Object<string, number>} probabilities of the categories
+   */
+  const combine = function (scores, words) {
+    const combined = {};
+    CATEGORIES.forEach((category) => {
+      combined[category] = (scores && Number(scores[category])) || 0;
+    });
+
+    const lexiconScore = 1 - Math.pow(1 - LEXICON_WORD_WEIGHT, words || 0);
+    combined.toxicity = 1 - (1 - combined.toxicity) * (1 - lexiconScore);
+    return combined;
+  };
+
+  /**
+   * Decides whether the block should be blurred.
+   * Block is blurred by the category which score exceeds its threshold the most.
+   *
+   * @param {Object<string, number>|null} scores probabilities of the text model
+   * @param {number} words number of hate speech words in the block
+   * @param {{thresholds: Object<string, number>}} policy thresholds in percents
+   * @returns {{block: boolean, category: string|null, score: number}}
+   */
+  const decide = function (scores, words, { thresholds = {} }) {
+    const combined = combine(scores, words);
+
+    let verdict = { block: false, category: null, score: 0 };
+    let bestMargin = 0;
+    CATEGORIES.forEach((category) => {
+      const score = combined[category];
+      const margin = score * 100 - normalizeThreshold(thresholds[category]);
+      if (margin >= 0 && (!verdict.block || margin > bestMargin)) {
+        verdict = { block: true, category, score };
+        bestMargin = margin;
+      }
+    });
+
+    return verdict;
+  };
+
+  return {
+    CATEGORIES,
+    DEFAULT_THRESHOLD,
+    combine,
+    decide,
+  };
+})();
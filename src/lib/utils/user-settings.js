@@ -13,12 +13,26 @@ purify.settings = (function (purify) {
   "use strict";
 
   const DEFAULT_FILTERS_UPDATE_PERIOD = -1; // Old -1;
+  const DEFAULT_STRICTNESS = 50;
+  const DEFAULT_PAGE_RISK_THRESHOLD = 25;
+  const DEFAULT_MIN_FLAGGED_IMAGES = 5;
+  const DEFAULT_TEXT_THRESHOLD = 80;
 
   const settings = {
     BLOCK_PORN: "block-porn",
     BLOCK_SEXY: "block-sexy",
     BLOCK_BLOODY: "block-bloody",
     BLOCK_BLOODSHED: "block-bloodshed",
+    STRICTNESS: "classifier-strictness",
+    CLASSIFIER_MODEL_URL: "classifier-model-url",
+    PAGE_RISK_THRESHOLD: "page-risk-threshold",
+    MIN_FLAGGED_IMAGES: "page-min-flagged-images",
+    REVEAL_PIN: "reveal-pin",
+    PARENT_PIN: "parent-pin",
+    TOXIC_TEXT_FILTER: "toxic-text-filter",
+    TOXICITY_THRESHOLD: "toxicity-threshold",
+    HARASSMENT_THRESHOLD: "harassment-threshold",
+    SEXUAL_TEXT_THRESHOLD: "sexual-text-threshold",
     BLOCK_BLACKLIST: "block-blacklist",
     BLOCK_ADS: "block-ads",
     DISABLE_SAFEBROWSING: "safebrowsing-disabled",
@@ -49,6 +63,16 @@ purify.settings = (function (purify) {
         defaults[settings.BLOCK_SEXY] = true;
         defaults[settings.BLOCK_BLOODY] = true;
         defaults[settings.BLOCK_BLOODSHED] = true;
+        defaults[settings.STRICTNESS] = DEFAULT_STRICTNESS;
+        defaults[settings.CLASSIFIER_MODEL_URL] = "";
+        defaults[settings.PAGE_RISK_THRESHOLD] = DEFAULT_PAGE_RISK_THRESHOLD;
+        defaults[settings.MIN_FLAGGED_IMAGES] = DEFAULT_MIN_FLAGGED_IMAGES;
+        defaults[settings.REVEAL_PIN] = "";
+        defaults[settings.PARENT_PIN] = "";
+        defaults[settings.TOXIC_TEXT_FILTER] = false;
+        defaults[settings.TOXICITY_THRESHOLD] = DEFAULT_TEXT_THRESHOLD;
+        defaults[settings.HARASSMENT_THRESHOLD] = DEFAULT_TEXT_THRESHOLD;
+        defaults[settings.SEXUAL_TEXT_THRESHOLD] = DEFAULT_TEXT_THRESHOLD;
         defaults[settings.BLOCK_BLACKLIST] = true;
         defaults[settings.BLOCK_ADS] = true;
         defaults[settings.DISABLE_SAFEBROWSING] = false;
@@ -178,6 +202,61 @@ purify.settings = (function (purify) {
     return parsed;
   };
 
+  /**
+   * Returns classifier strictness, converted in number
+   * @returns {number}
+   */
+  const getStrictness = function () {
+    const value = getProperty(settings.STRICTNESS);
+    let parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+      parsed = DEFAULT_STRICTNESS;
+    }
+    return parsed;
+  };
+
+  /**
+   * Returns risk of the page in percents starting from which the page is blocked
+   * @returns {number}
+   */
+  const getPageRiskThreshold = function () {
+    const value = getProperty(settings.PAGE_RISK_THRESHOLD);
+    let parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+      parsed = DEFAULT_PAGE_RISK_THRESHOLD;
+    }
+    return parsed;
+  };
+
+  /**
+   * Returns min number of flagged images of the blocked page
+   * @returns {number}
+   */
+  const getMinFlaggedImages = function () {
+    const value = getProperty(settings.MIN_FLAGGED_IMAGES);
+    let parsed = Number.parseInt(value, 10);
+    if (Number.isNaN(parsed)) {
+      parsed = DEFAULT_MIN_FLAGGED_IMAGES;
+    }
+    return parsed;
+  };
+
+  /**
+   * Returns scores of the text model in percents starting from which the text is blurred
+   * @returns {{toxicity: number, harassment: number, sexual: number}}
+   */
+  const getTextThresholds = function () {
+    const parse = (setting) => {
+      const parsed = Number.parseInt(getProperty(setting), 10);
+      return Number.isNaN(parsed) ? DEFAULT_TEXT_THRESHOLD : parsed;
+    };
+    return {
+      toxicity: parse(settings.TOXICITY_THRESHOLD),
+      harassment: parse(settings.HARASSMENT_THRESHOLD),
+      sexual: parse(settings.SEXUAL_TEXT_THRESHOLD),
+    };
+  };
+
   const api = {};
 
   // Expose settings to api
@@ -202,6 +281,11 @@ purify.settings = (function (purify) {
   api.getFiltersUpdatePeriod = getFiltersUpdatePeriod;
   api.setFiltersUpdatePeriod = setFiltersUpdatePeriod;
   api.DEFAULT_FILTERS_UPDATE_PERIOD = DEFAULT_FILTERS_UPDATE_PERIOD;
+  api.getStrictness = getStrictness;
+  api.DEFAULT_STRICTNESS = DEFAULT_STRICTNESS;
+  api.getPageRiskThreshold = getPageRiskThreshold;
+  api.getMinFlaggedImages = getMinFlaggedImages;
+  api.getTextThresholds = getTextThresholds;
 
   return api;
 })(purify);
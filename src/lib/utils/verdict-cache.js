@@ -0,0 +1,402 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension verdict-cache.js
+ * Licensed under MIT (https://github.com/CyberPurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global indexedDB, ImageRuler */
+
+/**
+ * Verdicts of the image classifier stored in the indexedDB.
+ * Verdict is saved by the url hash and by the content hash of the image,
+ * so the same image is not classified again in other tabs, on other urls or after restart.
+ *
+ * Images allowed by the user are stored as overrides, they never expire
+ * and are kept when the model is changed.
+ */
+purify.verdictCache = (function (purify) {
+  "use strict";
+
+  const STORAGE_NAME = "PurifyVerdictCache";
+  const MODEL_VERSION_PROPERTY = "verdict-cache-model-version";
+  const DEFAULT_MODEL_VERSION = "purify_mobilenet_tfjs";
+
+  /**
+   * Verdicts older than TTL are classified again
+   */
+  const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Max number of stored verdicts, the oldest ones are removed
+   */
+  const MAX_ENTRIES = 10000;
+
+  /**
+   * Cache is pruned every PRUNE_INTERVAL saves
+   */
+  const PRUNE_INTERVAL = 100;
+
+  const URL_PREFIX = "url:";
+  const CONTENT_PREFIX = "content:";
+
+  let databasePromise = null;
+  let savesCount = 0;
+  let modelVersion = null;
+
+  const stats = {
+    urlHits: 0,
+    contentHits: 0,
+    misses: 0,
+  };
+
+  const onError = function (error) {
+    purify.console.error(
+      "Purify verdictCache error: {0}",
+      error.error || error
+    );
+  };
+
+  /**
+   * Opens the database once
+   *
+   * @returns {Promise<IDBDatabase>}
+   */
+  const getDatabase = function () {
+    if (databasePromise) {
+      return databasePromise;
+    }
+
+    databasePromise = new Promise((resolve, reject) => {
+      // Failed in private browsing mode.
+      const request = indexedDB.open(STORAGE_NAME, 1);
+
+      request.onupgradeneeded = (ev) => {
+        const database = ev.target.result;
+        const table = database.createObjectStore(STORAGE_NAME, {
+          keyPath: "key",
+        });
+        table.createIndex("savedAt", "savedAt", { unique: false });
+      };
+
+      request.onsuccess = (ev) => {
+        const database = ev.target.result;
+        database.onerror = database.onabort = onError;
+        resolve(database);
+      };
+
+      request.onerror = request.onblocked = function () {
+        reject(this.error);
+      };
+    });
+
+    return databasePromise;
+  };
+
+  /**
+   * Runs the request in the new transaction
+   *
+   * @param {string} mode
+   * @param {function(IDBObjectStore): IDBRequest} createRequest
+   * @returns {Promise}
+   */
+  const runRequest = async function (mode, createRequest) {
+    const database = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const table = database
+        .transaction(STORAGE_NAME, mode)
+        .objectStore(STORAGE_NAME);
+
+      const request = createRequest(table);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  const getModelVersion = function () {
+    if (modelVersion === null) {
+      modelVersion =
+        purify.localStorage.getItem(MODEL_VERSION_PROPERTY) ||
+        DEFAULT_MODEL_VERSION;
+    }
+    return modelVersion;
+  };
+
+  /**
+   * Verdict is valid only for the same model, rules and classification policy
+   *
+   * @returns {string}
+   */
+  const getVersionKey = function () {
+    const {
+      blockedClasses,
+      strictness,
+    } = purify.purifyFiltering.getClassificationPolicy();
+
+    return [
+      getModelVersion(),
+      ImageRuler.VERSION,
+      blockedClasses.join(","),
+      strictness,
+    ].join("|");
+  };
+
+  /**
+   * Verdicts saved before the score and the class were stored are booleans
+   *
+   * @param {boolean|Object} result
+   * @returns {{block: boolean, score: number, className: string|null}}
+   */
+  const toVerdict = function (result) {
+    if (typeof result === "boolean") {
+      return { block: result, score: result ? 1 : 0, className: null };
+    }
+    return result;
+  };
+
+  /**
+   * Returns valid verdict stored by the key
+   *
+   * @param {string} key
+   * @returns {Promise<{block: boolean, score: number, className: string|null}|undefined>}
+   */
+  const getByKey = async function (key) {
+    const entry = await runRequest("readonly", (table) => table.get(key));
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.override) {
+      return toVerdict(entry.result);
+    }
+
+    if (
+      entry.version !== getVersionKey() ||
+      Date.now() - entry.savedAt > TTL_MS
+    ) {
+      runRequest("readwrite", (table) => table.delete(key)).catch(onError);
+      return undefined;
+    }
+
+    return toVerdict(entry.result);
+  };
+
+  /**
+   * Looks for the verdict by the url hash, then by the content hash
+   *
+   * @param {{urlHash: string, contentHash: string}} hashes  Any of hashes may be omitted
+   * @returns {Promise<{block: boolean, score: number, className: string|null}|undefined>}
+   *  undefined if verdict is not found
+   */
+  const get = async function ({ urlHash, contentHash }) {
+    try {
+      if (urlHash) {
+        const result = await getByKey(URL_PREFIX + urlHash);
+        if (result !== undefined) {
+          stats.urlHits += 1;
+          return result;
+        }
+      }
+
+      if (contentHash) {
+        const result = await getByKey(CONTENT_PREFIX + contentHash);
+        if (result !== undefined) {
+          stats.contentHits += 1;
+          return result;
+        }
+      }
+    } catch (e) {
+      onError(e);
+    }
+
+    stats.misses += 1;
+    return undefined;
+  };
+
+  /**
+   * Removes expired verdicts and the oldest ones above the size cap
+   */
+  const prune = async function () {
+    const count = await runRequest("readonly", (table) => table.count());
+    const expiredAt = Date.now() - TTL_MS;
+    let excess = count - MAX_ENTRIES;
+
+    const database = await getDatabase();
+    const request = database
+      .transaction(STORAGE_NAME, "readwrite")
+      .objectStore(STORAGE_NAME)
+      .index("savedAt")
+      .openCursor();
+
+    // Cursor goes from the oldest verdicts to the newest ones
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (excess <= 0 && cursor.value.savedAt > expiredAt)) {
+        return;
+      }
+      if (!cursor.value.override) {
+        cursor.delete();
+        excess -= 1;
+      }
+      cursor.continue();
+    };
+  };
+
+  /**
+   * Returns keys of the hashes
+   *
+   * @param {{urlHash: string, contentHash: string}} hashes  Any of hashes may be omitted
+   * @returns {Array<string>}
+   */
+  const getKeys = function ({ urlHash, contentHash }) {
+    const keys = [];
+    if (urlHash) {
+      keys.push(URL_PREFIX + urlHash);
+    }
+    if (contentHash) {
+      keys.push(CONTENT_PREFIX + contentHash);
+    }
+    return keys;
+  };
+
+  /**
+   * Saves verdict by the url hash and by the content hash
+   *
+   * @param {{urlHash: string, contentHash: string, result: {block: boolean, score: number, className: string|null}}} verdict
+   */
+  const save = async function ({ urlHash, contentHash, result }) {
+    const entry = {
+      version: getVersionKey(),
+      savedAt: Date.now(),
+      result,
+    };
+
+    const keys = getKeys({ urlHash, contentHash });
+
+    try {
+      for (const key of keys) {
+        await runRequest("readwrite", (table) =>
+          table.put(Object.assign({ key }, entry))
+        );
+      }
+
+      savesCount += 1;
+      if (savesCount % PRUNE_INTERVAL === 0) {
+        await prune();
+      }
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  /**
+   * Saves the image allowed by the user
+   *
+   * @param {{urlHash: string, contentHash: string}} hashes  Any of hashes may be omitted
+   */
+  const saveOverride = async function ({ urlHash, contentHash }) {
+    const entry = {
+      override: true,
+      savedAt: Date.now(),
+      result: false,
+    };
+
+    try {
+      for (const key of getKeys({ urlHash, contentHash })) {
+        await runRequest("readwrite", (table) =>
+          table.put(Object.assign({ key }, entry))
+        );
+      }
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  /**
+   * Checks whether the image is allowed by the user
+   *
+   * @param {{urlHash: string, contentHash: string}} hashes  Any of hashes may be omitted
+   * @returns {Promise<boolean>}
+   */
+  const isOverridden = async function ({ urlHash, contentHash }) {
+    try {
+      for (const key of getKeys({ urlHash, contentHash })) {
+        const entry = await runRequest("readonly", (table) => table.get(key));
+        if (entry && entry.override) {
+          return true;
+        }
+      }
+    } catch (e) {
+      onError(e);
+    }
+    return false;
+  };
+
+  /**
+   * Removes all verdicts, overrides are kept
+   *
+   * @returns {Promise}
+   */
+  const clear = async function () {
+    try {
+      const database = await getDatabase();
+      const request = database
+        .transaction(STORAGE_NAME, "readwrite")
+        .objectStore(STORAGE_NAME)
+        .openCursor();
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          return;
+        }
+        if (!cursor.value.override) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+    } catch (e) {
+      onError(e);
+    }
+  };
+
+  /**
+   * Verdicts of the other model are removed
+   *
+   * @param {string} version
+   */
+  const setModelVersion = function (version) {
+    if (version === getModelVersion()) {
+      return;
+    }
+
+    modelVersion = version;
+    purify.localStorage.setItem(MODEL_VERSION_PROPERTY, version);
+    clear();
+  };
+
+  /**
+   * @returns {{urlHits: number, contentHits: number, misses: number, hitRate: number}}
+   */
+  const getStats = function () {
+    const hits = stats.urlHits + stats.contentHits;
+    const total = hits + stats.misses;
+
+    return {
+      urlHits: stats.urlHits,
+      contentHits: stats.contentHits,
+      misses: stats.misses,
+      hitRate: total === 0 ? 0 : hits / total,
+    };
+  };
+
+  return {
+    get,
+    save,
+    saveOverride,
+    isOverridden,
+    clear,
+    setModelVersion,
+    getStats,
+  };
+})(purify);
@@ -1121,7 +1121,7 @@
       /*!**********************************!*\
   !*** ./locales/en/messages.json ***!
   \**********************************/
-      /*! exports provided: malware, phishing, advancedButton, moreInfoButton, pageTitle, safeHeaderTitle, safeContentTitle, parentalHeaderTitle, parentalContentTitle, parentalDescOne, parentalDnsDescTwo, blockedContentTitle, ruleHeaderTitle, ruleContentTitle, btnGoBack, btnFeedback, btnProceed, btnProceedTo, inputPassword, errorPageHeader, summary, suggestionsHeader, suggestion1, suggestion2, suggestion3, suggestion4, showDetails, wrongPassword, somethingWrong, errorPageTitle, default */
+      /*! exports provided: malware, phishing, advancedButton, moreInfoButton, pageTitle, safeHeaderTitle, safeContentTitle, parentalHeaderTitle, parentalContentTitle, parentalDescOne, parentalDnsDescTwo, blockedContentTitle, ruleHeaderTitle, ruleContentTitle, btnGoBack, btnFeedback, btnProceed, btnProceedTo, inputPassword, errorPageHeader, summary, suggestionsHeader, suggestion1, suggestion2, suggestion3, suggestion4, showDetails, wrongPassword, somethingWrong, errorPageTitle, scheduleContentTitle, scheduleAvailableAgain, default */
       /***/ function (module) {
         module.exports = {
           malware:
@@ -1166,6 +1166,9 @@
           somethingWrong:
             "Something went wrong. Please try again later or contact our support service.",
           errorPageTitle: "Error",
+          scheduleContentTitle:
+            "This site is not available now because of the schedule set by your parent",
+          scheduleAvailableAgain: "Available again at",
         };
 
         /***/
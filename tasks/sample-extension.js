@@ -80,6 +80,8 @@ const API_SCRIPTS = [
   "src/lib/filter/subscription.js",
   "src/lib/filter/update-service.js",
   "src/lib/filter/whitelist.js",
+  "src/lib/core/activity-report.js",
+  "src/lib/filter/schedules.js",
   "src/lib/filter/userrules.js",
   "src/lib/filter/filters.js",
   "src/lib/filter/antibanner.js",
@@ -88,6 +90,7 @@ const API_SCRIPTS = [
   "src/lib/filter/request-context-storage.js",
   "src/lib/filter/rule-converter.js",
   // Content messaging
+  "src/lib/core/parent-lock.js",
   "src/lib/core/content-message-handler.js",
   // "src/lib/core/stealth.js",
   "src/lib/core/webrequest.js",
@@ -170,6 +173,17 @@ const concat = (runAt, srcFileName) => {
 
 const concatStartFiles = () => concat("document_start", "purify-content.js");
 
+// copy styles of the content scripts, images are blurred by them until they are classified
+const copyContentStyles = () => {
+  const manifest = JSON.parse(fs.readFileSync(paths.sourceManifest));
+  const { css } = manifest.content_scripts.find(
+    (i) => i.run_at === "document_start"
+  );
+  return gulp
+    .src(css.map((file) => `src/${file}`))
+    .pipe(gulp.dest(dest.purify));
+};
+
 const updateManifest = (done) => {
   const manifest = JSON.parse(fs.readFileSync(dest.manifest));
   manifest.version = version;
@@ -196,6 +210,7 @@ const createArchive = (done) => {
 export default gulp.series(
   sampleApi,
   concatStartFiles,
+  copyContentStyles,
   apiConcat,
   copyFilters,
   copyRedirects,
@@ -47,6 +47,11 @@ const testContent = (done) => {
   runQunit("../tests/content-filter/test-content-filter.html", done);
 };
 
+// Response content filtering tests
+const testContentFiltering = (done) => {
+  runQunit("../tests/content-filter/test-content-filtering.html", done);
+};
+
 // Cookie filtering tests
 const testCookieFiltering = (done) => {
   runQunit("../tests/cookie-filtering/test-cookie-filtering.html", done);
@@ -72,6 +77,31 @@ const testRing = (done) => {
   runQunit("../tests/miscellaneous/test-ring-buffer.html", done);
 };
 
+// Hub client tests
+const testHubClient = (done) => {
+  runQunit("../tests/miscellaneous/test-hub-client.html", done);
+};
+
+// Remote policy tests
+const testRemotePolicy = (done) => {
+  runQunit("../tests/miscellaneous/test-remote-policy.html", done);
+};
+
+// Parent PIN tests
+const testParentLock = (done) => {
+  runQunit("../tests/miscellaneous/test-parent-lock.html", done);
+};
+
+// Schedules and screen time tests
+const testSchedules = (done) => {
+  runQunit("../tests/miscellaneous/test-schedules.html", done);
+};
+
+// Activity report tests
+const testActivityReport = (done) => {
+  runQunit("../tests/miscellaneous/test-activity-report.html", done);
+};
+
 // Cookie helper tests
 const testCookie = (done) => {
   runQunit("../tests/miscellaneous/test-cookie.html", done);
@@ -107,22 +137,64 @@ const testConverter = (done) => {
   runQunit("../tests/rule-converter/test-rule-converter.html", done);
 };
 
+// Image classification decision
+const testPurifyFiltering = (done) => {
+  runQunit("../tests/purify-filtering/test-purify-filtering.html", done);
+};
+
+// Batched image prediction
+const testPredictionBatcher = (done) => {
+  runQunit("../tests/purify-filtering/test-prediction-batcher.html", done);
+};
+
+// Prioritized loading and prediction queues
+const testConcurrentQueue = (done) => {
+  runQunit("../tests/purify-filtering/test-concurrent-queue.html", done);
+};
+
+// Hate speech word matching
+const testTextMatcher = (done) => {
+  runQunit("../tests/purify-filtering/test-text-matcher.html", done);
+};
+
+// Languages of the pages for the hate speech words
+const testLocaleDetect = (done) => {
+  runQunit("../tests/purify-filtering/test-locale-detect.html", done);
+};
+
+// Image classifier models
+const testModelRegistry = (done) => {
+  runQunit("../tests/purify-filtering/test-model-registry.html", done);
+};
+
 export default gulp.series(
   testRule,
   testSB,
   testURL,
   testCSSfilter,
   testContent,
+  testContentFiltering,
   testCookieFiltering,
   testCSShits,
   testReq,
   testEl,
   testCookie,
   testRing,
+  testHubClient,
+  testRemotePolicy,
+  testParentLock,
+  testSchedules,
+  testActivityReport,
   testEncoding,
   testRequestContextStorage,
   testFilterRuleBuilder,
   testStatsCollection,
   testDocumentFilter,
-  testConverter
+  testConverter,
+  testPurifyFiltering,
+  testPredictionBatcher,
+  testConcurrentQueue,
+  testTextMatcher,
+  testLocaleDetect,
+  testModelRegistry
 );
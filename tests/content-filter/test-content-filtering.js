@@ -16,6 +16,16 @@ purify.webRequestService.getContentRules = function () {
 purify.webRequestService.getRuleForRequest = function () {
   return null;
 };
+purify.webRequestService.getReplaceRules = function () {
+  return null;
+};
+
+purify.requestContextStorage = {
+  onContentModificationStarted: () => {},
+  onContentModificationFinished: () => {},
+  bindContentRule: () => {},
+  update: () => {},
+};
 
 purify.webRequest = purify.webRequest || {};
 
@@ -50,11 +60,16 @@ purify.webRequest.filterResponseData = function () {
     // Do nothing;
   };
 
+  var disconnect = function () {
+    // Do nothing;
+  };
+
   singleton = {
     send: send,
     receive: receive,
     write: write,
     close: close,
+    disconnect: disconnect,
   };
 
   return singleton;
@@ -282,3 +297,50 @@ QUnit.test("Test content filtering - charsets", function (assert) {
   assert.ok(received);
   assert.equal(received, data);
 });
+
+QUnit.test("Test content filtering - images", async function (assert) {
+  const policy = { blockedClasses: ["Porn"], strictness: 50 };
+  const predictionsByUrl = {
+    "http://example.org/clean.jpg": [{ className: "Neutral", probability: 1 }],
+    "http://example.org/flagged.jpg": [{ className: "Porn", probability: 1 }],
+  };
+
+  purify.BACKGROUND_TAB_ID = -1;
+  purify.frames = { shouldStopRequestProcess: () => false };
+  purify.purifyFiltering = { getClassificationPolicy: () => policy };
+  purify.imageClassifier = {
+    isReady: () => true,
+    classifyResponse: (requestUrl) =>
+      Promise.resolve({ predictions: predictionsByUrl[requestUrl] }),
+  };
+
+  const filter = purify.webRequest.filterResponseData(1);
+  const bytes = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]);
+
+  // Response is written after the classification
+  const classify = async (requestUrl) => {
+    purify.contentFiltering.apply(
+      { tabId: 1 },
+      requestUrl,
+      null,
+      purify.RequestTypes.IMAGE,
+      1,
+      200,
+      "GET",
+      "image/jpeg"
+    );
+    filter.send(bytes);
+    for (let i = 0; i < 50 && !content; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return filter.receive();
+  };
+
+  assert.deepEqual(await classify("http://example.org/clean.jpg"), bytes);
+
+  const placeholder = await classify("http://example.org/flagged.jpg");
+  assert.ok(placeholder);
+  assert.notDeepEqual(placeholder, bytes);
+
+  delete purify.imageClassifier;
+});
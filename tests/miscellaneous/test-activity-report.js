@@ -0,0 +1,119 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-activity-report.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+const synced = [];
+let paired = false;
+purify.parentalControl = {
+  syncActivity: (reports) => {
+    if (paired) {
+      synced.push(...reports);
+    }
+    return Promise.resolve(paired);
+  },
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date("2024-01-08T15:00:00").getTime();
+
+QUnit.test("Test search queries", (assert) => {
+  const { parseSearch } = purify.activityReport;
+
+  assert.deepEqual(
+    parseSearch("https://www.google.com.vn/search?q=cat+videos&hl=vi"),
+    { engine: "google", query: "cat videos" }
+  );
+  assert.deepEqual(
+    parseSearch("https://www.youtube.com/results?search_query=minecraft"),
+    { engine: "youtube", query: "minecraft" }
+  );
+  assert.deepEqual(parseSearch("https://duckduckgo.com/?q=homework"), {
+    engine: "duckduckgo",
+    query: "homework",
+  });
+  assert.equal(parseSearch("https://www.google.com/maps?q=hanoi"), null);
+  assert.equal(parseSearch("https://www.bing.com/search?q=+"), null);
+  assert.equal(parseSearch("https://example.org/search?q=cats"), null);
+});
+
+QUnit.test("Test hourly aggregation", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    // Report of the previous run
+    purify.localStorage.removeItem("activity-report");
+    const report = purify.activityReport;
+
+    report.recordTime("https://www.youtube.com/watch?v=1", 10 * 60 * 1000, start);
+    report.recordTime("https://youtube.com/", 5 * 60 * 1000, start + HOUR_MS);
+    report.recordTime("https://example.org/", 60 * 1000, start + HOUR_MS);
+    report.recordTime("chrome://newtab/", 60 * 1000, start);
+
+    report.recordBlocked("https://www.roblox.com/", "schedule", start);
+    report.recordBlocked("https://www.roblox.com/games", "schedule", start + HOUR_MS);
+    report.recordBlocked("https://bad.example.org/", "nsfw", start);
+    report.recordBlocked("https://bad.example.org/", "unknown", start);
+
+    report.recordSearch("https://www.google.com/search?q=cats", start);
+    // Next page of the results
+    report.recordSearch("https://www.google.com/search?q=cats&start=10", start + 1000);
+    report.recordSearch("https://www.bing.com/search?q=dogs", start + HOUR_MS);
+
+    report.recordBlurs({ images: 3, texts: 1 }, start);
+    report.recordBlurs({ images: 2 }, start + HOUR_MS);
+    report.recordBlurs({ images: -1, texts: 0 }, start + HOUR_MS);
+
+    const summary = report.getReport(24, start + HOUR_MS + 1000);
+    assert.deepEqual(summary.domains, [
+      { domain: "youtube.com", ms: 15 * 60 * 1000 },
+      { domain: "example.org", ms: 60 * 1000 },
+    ]);
+    assert.deepEqual(summary.blocked, [
+      { reason: "schedule", domain: "roblox.com", count: 2 },
+      { reason: "nsfw", domain: "bad.example.org", count: 1 },
+    ]);
+    assert.deepEqual(
+      summary.searches.map((search) => search.query),
+      ["dogs", "cats"]
+    );
+    assert.deepEqual(summary.blurs, { images: 5, texts: 1 });
+    assert.equal(summary.from, start - 22 * HOUR_MS);
+
+    // The last hour only
+    const lastHour = report.getReport(1, start + HOUR_MS + 1000);
+    assert.deepEqual(lastHour.blurs, { images: 2, texts: 0 });
+    assert.equal(lastHour.searches.length, 1);
+
+    done();
+  });
+});
+
+QUnit.test("Test sync of the finished hours", async (assert) => {
+  const report = purify.activityReport;
+  const now = start + HOUR_MS + 1000;
+
+  // Hours are kept until the device is paired
+  await report.sync(now);
+  assert.equal(synced.length, 0);
+
+  paired = true;
+  await report.sync(now);
+  assert.equal(synced.length, 1);
+  assert.equal(synced[0].from, start);
+  assert.equal(synced[0].to, start + HOUR_MS);
+  assert.deepEqual(synced[0].blurs, { images: 3, texts: 1 });
+
+  // The current hour is sent after it ends
+  await report.sync(now);
+  assert.equal(synced.length, 1);
+  await report.sync(start + 2 * HOUR_MS);
+  assert.equal(synced.length, 2);
+  assert.deepEqual(synced[1].domains, [
+    { domain: "youtube.com", ms: 5 * 60 * 1000 },
+    { domain: "example.org", ms: 60 * 1000 },
+  ]);
+});
@@ -0,0 +1,203 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-hub-client.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify, mqtt */
+
+/**
+ * Storage of the outbox, kept between the clients like purify.localStorage
+ */
+const createStorage = () => {
+  const values = {};
+  return {
+    getItem: (key) => values[key],
+    setItem: (key, value) => {
+      values[key] = value;
+    },
+  };
+};
+
+/**
+ * MQTT client whose connection and acknowledgements are controlled by the test
+ */
+const createFakeMqtt = () => {
+  const handlers = {};
+  const published = [];
+  const subscribed = [];
+  const client = {
+    connects: 0,
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    publish: (topic, payload, options, callback) => {
+      published.push({ topic, payload, options, callback });
+    },
+    subscribe: (topic, options, callback) => {
+      subscribed.push(topic);
+      callback(null);
+    },
+    reconnect: () => {
+      client.connects += 1;
+    },
+    end: () => handlers.close(),
+  };
+
+  const connect = (url, options) => {
+    client.options = options;
+    client.connects += 1;
+    return client;
+  };
+
+  return {
+    client,
+    connect,
+    published,
+    subscribed,
+    emit: (event, ...args) => handlers[event](...args),
+  };
+};
+
+const createHub = (fake, storage) =>
+  purify.utils.hubClient({
+    url: "ws://localhost:8080",
+    clientId: "test-client",
+    connect: fake.connect,
+    storage,
+    outboxKey: "outbox",
+    minReconnectDelay: 1,
+    maxReconnectDelay: 4,
+  });
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+QUnit.test("Test offline messages are published in order", (assert) => {
+  const fake = createFakeMqtt();
+  const hub = createHub(fake, createStorage());
+
+  hub.start();
+  assert.equal(fake.client.options.reconnectPeriod, 0);
+  assert.notOk(fake.client.options.clean);
+
+  hub.publish("mqtt_proxy", "first");
+  hub.publish("mqtt_proxy", "second");
+  assert.equal(fake.published.length, 0);
+  assert.equal(hub.getOutboxSize(), 2);
+
+  fake.emit("connect");
+  // The next message waits for PUBACK of the previous one
+  assert.equal(fake.published.length, 1);
+  assert.equal(fake.published[0].payload, "first");
+  assert.equal(fake.published[0].options.qos, 1);
+
+  fake.published[0].callback(null);
+  assert.equal(fake.published.length, 2);
+  assert.equal(fake.published[1].payload, "second");
+  fake.published[1].callback(null);
+  assert.equal(hub.getOutboxSize(), 0);
+
+  hub.stop();
+});
+
+QUnit.test("Test not acknowledged message is kept", (assert) => {
+  const storage = createStorage();
+  const fake = createFakeMqtt();
+  const hub = createHub(fake, storage);
+
+  hub.start();
+  fake.emit("connect");
+  hub.publish("mqtt_proxy", "lost");
+  assert.equal(fake.published.length, 1);
+
+  // Browser is closed before PUBACK, the next client sends the message
+  hub.stop();
+  fake.published[0].callback(null);
+  assert.equal(hub.getOutboxSize(), 1);
+
+  const next = createFakeMqtt();
+  const nextHub = createHub(next, storage);
+  nextHub.start();
+  next.emit("connect");
+  assert.equal(next.published.length, 1);
+  assert.equal(next.published[0].payload, "lost");
+
+  nextHub.stop();
+});
+
+QUnit.test("Test reconnect with backoff and resubscribe", async (assert) => {
+  const fake = createFakeMqtt();
+  const hub = createHub(fake, createStorage());
+  const messages = [];
+
+  hub.subscribe("test-client", (message) => messages.push(message));
+  hub.start();
+  fake.emit("connect");
+  assert.deepEqual(fake.subscribed, ["test-client"]);
+
+  fake.emit("message", "test-client", "hello");
+  assert.deepEqual(messages, ["hello"]);
+
+  fake.emit("close");
+  assert.notOk(hub.isConnected());
+  await wait(20);
+  assert.equal(fake.client.connects, 2);
+
+  fake.emit("connect");
+  assert.ok(hub.isConnected());
+  assert.deepEqual(fake.subscribed, ["test-client", "test-client"]);
+
+  hub.stop();
+});
+
+QUnit.test("Test reconnect delay", (assert) => {
+  const { getReconnectDelay } = purify.utils.hubClient;
+
+  assert.equal(getReconnectDelay(0, 1000, 60000, () => 0), 500);
+  assert.equal(getReconnectDelay(3, 1000, 60000, () => 0), 4000);
+  assert.equal(getReconnectDelay(20, 1000, 60000, () => 0.5), 45000);
+});
+
+/**
+ * Runs against a local broker if it is passed in the url,
+ * e.g. test-hub-client.html?broker=ws://localhost:8080 for aedes or Mosquitto websockets
+ */
+const broker = new URL(window.location.href).searchParams.get("broker");
+const brokerTest = broker ? QUnit.test : QUnit.skip;
+
+brokerTest("Test delivery through the broker", async (assert) => {
+  const storage = createStorage();
+  const received = [];
+  const options = {
+    url: broker,
+    connect: (url, connectOptions) => mqtt.connect(url, connectOptions),
+    storage,
+  };
+
+  const subscriber = purify.utils.hubClient(
+    Object.assign(
+      { clientId: "test-subscriber", outboxKey: "subscriber-outbox" },
+      options
+    )
+  );
+  subscriber.subscribe("test-topic", (message) => received.push(message));
+  subscriber.start();
+  await wait(500);
+
+  const publisher = purify.utils.hubClient(
+    Object.assign(
+      { clientId: "test-publisher", outboxKey: "publisher-outbox" },
+      options
+    )
+  );
+  publisher.publish("test-topic", "queued");
+  publisher.start();
+
+  await wait(1000);
+  assert.deepEqual(received, ["queued"]);
+  assert.equal(publisher.getOutboxSize(), 0);
+
+  publisher.stop();
+  subscriber.stop();
+});
@@ -0,0 +1,134 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-parent-lock.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+const reports = [];
+purify.parentalControl = {
+  reportFailedUnlock: (attempt) => reports.push(attempt),
+};
+
+QUnit.test("Test protected messages", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    const { parentLock } = purify;
+    const pause = { type: "changeApplicationFilteringDisabled", disabled: true };
+
+    // PIN of the previous run
+    purify.settings.setProperty(purify.settings.PARENT_PIN, "");
+    assert.ok(parentLock.isUnlocked());
+    assert.notOk(parentLock.isLocked(pause));
+
+    assert.ok(parentLock.setPin("1234"));
+    parentLock.lock();
+    assert.ok(parentLock.isLocked(pause));
+    assert.ok(parentLock.isLocked({ type: "addWhiteListDomainPopup" }));
+    assert.notOk(parentLock.isLocked({ type: "getTabInfoForPopup" }));
+    assert.notOk(parentLock.isLocked({ type: "removeWhiteListDomainPopup" }));
+
+    assert.notOk(parentLock.unlock("0000").success);
+    assert.deepEqual(reports[reports.length - 1], {
+      attempts: 1,
+      lockedOutUntil: 0,
+    });
+    assert.ok(parentLock.isLocked(pause));
+
+    const result = parentLock.unlock("1234");
+    assert.ok(result.success);
+    assert.ok(result.unlockedUntil > Date.now());
+    assert.notOk(parentLock.isLocked(pause));
+
+    parentLock.lock();
+    assert.notOk(parentLock.getState().unlocked);
+
+    // PIN is changed with the current PIN only
+    assert.notOk(parentLock.setPin("", "0000"));
+    assert.ok(parentLock.getState().pinSet);
+    assert.ok(parentLock.setPin("", "1234"));
+    assert.notOk(parentLock.getState().pinSet);
+
+    done();
+  });
+});
+
+QUnit.test("Test reveal PIN and allowed images are protected by the parent PIN", (assert) => {
+  const done = assert.async();
+  const overrides = [];
+  purify.verdictCache = {
+    saveOverride: (hashes) => Promise.resolve(overrides.push(hashes)),
+  };
+  purify.purifyFiltering = { createHash: (url) => `hash:${url}` };
+
+  purify.localStorage.init(async () => {
+    const { parentLock, imageOverrides } = purify;
+    purify.settings.setProperty(purify.settings.REVEAL_PIN, "");
+    parentLock.setPin("1234");
+    parentLock.lock();
+
+    assert.ok(parentLock.isLocked({ type: "setRevealPin", pin: "" }));
+
+    const image = { srcUrl: "https://example.org/a.jpg", contentHash: "3c3e1e0f07038181" };
+    assert.notOk(await imageOverrides.allow(Object.assign({ pin: "" }, image)));
+    assert.notOk(await imageOverrides.allow(Object.assign({ pin: "0000" }, image)));
+    assert.equal(overrides.length, 0);
+
+    assert.ok(await imageOverrides.allow(Object.assign({ pin: "1234" }, image)));
+    assert.deepEqual(overrides, [{ urlHash: "hash:https://example.org/a.jpg", contentHash: "3c3e1e0f07038181" }]);
+    // The settings stay locked
+    assert.notOk(parentLock.getState().unlocked);
+
+    assert.ok(parentLock.setPin("", "1234"));
+    done();
+  });
+});
+
+QUnit.test("Test lockout after failed attempts", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    const { parentLock } = purify;
+    parentLock.setPin("1234");
+    parentLock.lock();
+    reports.length = 0;
+
+    for (let i = 0; i < 5; i += 1) {
+      parentLock.unlock("0000");
+    }
+    assert.equal(reports.length, 5);
+    assert.equal(reports[4].attempts, 5);
+    assert.ok(reports[4].lockedOutUntil > Date.now());
+
+    // The right PIN is refused until the lockout ends
+    const result = parentLock.unlock("1234");
+    assert.notOk(result.success);
+    assert.equal(result.lockedOutUntil, reports[4].lockedOutUntil);
+    assert.ok(parentLock.isLocked({ type: "changeUserSetting" }));
+
+    done();
+  });
+});
+
+QUnit.test("Test reveal PIN lockout", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    const { imageOverrides } = purify;
+    purify.settings.setProperty(purify.settings.REVEAL_PIN, "");
+    assert.ok(imageOverrides.checkPin(""));
+
+    assert.ok(imageOverrides.setPin("4321"));
+    assert.notOk(imageOverrides.checkPin("0000"));
+    assert.ok(imageOverrides.checkPin("4321"));
+
+    for (let i = 0; i < 5; i += 1) {
+      imageOverrides.checkPin("0000");
+    }
+    // The right PIN is refused until the lockout ends
+    assert.notOk(imageOverrides.checkPin("4321"));
+    assert.notOk(imageOverrides.setPin("", "4321"));
+
+    done();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-remote-policy.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+const bytesToBase64 = (buffer) =>
+  btoa(String.fromCharCode.apply(null, new Uint8Array(buffer)));
+
+/**
+ * Dashboard key pair, the public key is pinned like on the device pairing
+ */
+const createDashboard = async () => {
+  const keys = await crypto.subtle.generateKey(
+    { name: "ECDSA", namedCurve: "P-256" },
+    true,
+    ["sign", "verify"]
+  );
+  const publicKey = await crypto.subtle.exportKey("jwk", keys.publicKey);
+
+  const sign = async (command) => {
+    const payload = JSON.stringify(
+      Object.assign(
+        { client_id: purify.utils.browser.getClientId(), params: {} },
+        command
+      )
+    );
+    const signature = await crypto.subtle.sign(
+      { name: "ECDSA", hash: "SHA-256" },
+      keys.privateKey,
+      new TextEncoder().encode(payload)
+    );
+    return { payload, signature: bytesToBase64(signature) };
+  };
+
+  return { publicKey, sign };
+};
+
+QUnit.test("Test command validation", (assert) => {
+  const validate = (type, params) =>
+    purify.remotePolicy.validateCommand({
+      version: 1,
+      client_id: "client",
+      type,
+      params,
+    });
+
+  assert.equal(
+    validate("update_settings", {
+      settings: { "block-porn": true, "classifier-strictness": 70 },
+    }),
+    null
+  );
+  assert.equal(
+    validate("update_domains", {
+      blocked: { add: ["example.org"] },
+      allowed: { remove: ["xn--80ak6aa92e.com"] },
+    }),
+    null
+  );
+
+  assert.equal(
+    validate("update_schedules", {
+      schedules: [
+        {
+          id: "nights",
+          name: "School nights",
+          type: "block",
+          category: "social",
+          days: [0, 1, 2, 3, 4],
+          start: "21:00",
+          end: "07:00",
+        },
+      ],
+    }),
+    null
+  );
+  assert.ok(
+    validate("update_schedules", {
+      schedules: [{ id: "games", name: "Games", type: "budget", days: [7] }],
+    })
+  );
+
+  // Protection can be paused for the limited time only
+  assert.ok(
+    validate("update_settings", { settings: { "purify-disabled": true } })
+  );
+  assert.ok(validate("pause_protection", { minutes: 60 * 24 * 7 }));
+  assert.ok(
+    validate("update_settings", { settings: { "classifier-strictness": 101 } })
+  );
+  assert.ok(
+    validate("update_domains", { blocked: { add: ["*.example.org"] } })
+  );
+  assert.ok(validate("uninstall", {}));
+});
+
+QUnit.test("Test signed commands", async (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(async () => {
+    const updatedRules = [];
+    purify.userrules = {
+      addRules: (rules) => updatedRules.push(...rules),
+      removeRule: (rule) => updatedRules.push(`-${rule}`),
+    };
+
+    // Key pinned by the previous run
+    purify.localStorage.removeItem("remote-policy-public-key");
+    purify.localStorage.removeItem("remote-policy-pairing-nonce");
+
+    const dashboard = await createDashboard();
+    const rogue = await createDashboard();
+    const { startPairing, completePairing, hasPublicKey } = purify.remotePolicy;
+
+    // Key is accepted only in the reply to the started pairing
+    assert.notOk(completePairing(undefined, rogue.publicKey));
+    const nonce = startPairing();
+    assert.equal(startPairing(), nonce);
+    assert.notOk(completePairing("guessed", rogue.publicKey));
+    assert.notOk(hasPublicKey());
+    assert.ok(completePairing(nonce, dashboard.publicKey));
+    // Pinned key is not replaced
+    assert.notOk(completePairing(nonce, rogue.publicKey));
+    assert.notOk(completePairing(startPairing(), rogue.publicKey));
+
+    const version = purify.remotePolicy.getVersion() + 1;
+    const settingsCommand = await dashboard.sign({
+      version,
+      type: "update_settings",
+      params: { settings: { "block-sexy": false } },
+    });
+
+    let ack = await purify.remotePolicy.handleMessage(settingsCommand);
+    assert.equal(ack.status, "applied");
+    assert.equal(ack.version, version);
+    assert.equal(purify.settings.getProperty("block-sexy"), false);
+
+    // The same command can't be sent again
+    ack = await purify.remotePolicy.handleMessage(settingsCommand);
+    assert.equal(ack.status, "rejected");
+
+    ack = await purify.remotePolicy.handleMessage(
+      await rogue.sign({ version: version + 1, type: "update_filters" })
+    );
+    assert.equal(ack, null);
+
+    // Changed payload doesn't match the signature
+    ack = await purify.remotePolicy.handleMessage({
+      payload: settingsCommand.payload.replace(`${version}`, `${version + 1}`),
+      signature: settingsCommand.signature,
+    });
+    assert.equal(ack, null);
+
+    ack = await purify.remotePolicy.handleMessage(
+      await dashboard.sign({
+        version: version + 1,
+        type: "update_domains",
+        params: {
+          blocked: { add: ["example.org"] },
+          allowed: { remove: ["example.com"] },
+        },
+      })
+    );
+    assert.equal(ack.status, "applied");
+    assert.deepEqual(updatedRules, [
+      "||example.org^$document",
+      "-@@||example.com^$document",
+    ]);
+    assert.equal(purify.remotePolicy.getVersion(), version + 1);
+
+    done();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-schedules.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+purify.getURL = (path) => `chrome-extension://test/${path}`;
+
+// 2024-01-07 is Sunday
+const at = (day, time) => new Date(`2024-01-${day}T${time}:00`);
+
+QUnit.test("Test schedule validation", (assert) => {
+  const { validateSchedule } = purify.schedules;
+
+  assert.equal(
+    validateSchedule({
+      id: "nights",
+      name: "School nights",
+      type: "block",
+      category: "social",
+      start: "21:00",
+      end: "07:00",
+    }),
+    null
+  );
+  assert.ok(
+    validateSchedule({ id: "games", name: "Games", type: "budget", minutes: 60 })
+  );
+  assert.ok(
+    validateSchedule({
+      id: "nights",
+      name: "Nights",
+      type: "block",
+      domains: ["example.org"],
+      start: "21:00",
+    })
+  );
+  assert.throws(() =>
+    purify.schedules.setSchedules([
+      { id: "chat", name: "Chat", type: "budget", category: "chat" },
+    ])
+  );
+});
+
+QUnit.test("Test block window over midnight", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    const { setSchedules, getActiveSchedule } = purify.schedules;
+    setSchedules([
+      {
+        id: "nights",
+        name: "School nights",
+        type: "block",
+        category: "social",
+        // Sunday to Thursday
+        days: [0, 1, 2, 3, 4],
+        start: "21:00",
+        end: "07:00",
+      },
+    ]);
+
+    const url = "https://m.facebook.com/feed";
+    // Sunday evening
+    let active = getActiveSchedule(url, at("07", "21:30"));
+    assert.equal(active.schedule.id, "nights");
+    assert.equal(active.reason, "Blocked from 21:00 to 07:00");
+    assert.equal(active.until.getTime(), at("08", "07:00").getTime());
+
+    // Monday morning belongs to the Sunday night
+    assert.ok(getActiveSchedule(url, at("08", "06:59")));
+    assert.notOk(getActiveSchedule(url, at("08", "07:00")));
+    assert.notOk(getActiveSchedule(url, at("08", "20:59")));
+    assert.notOk(getActiveSchedule("https://example.org/", at("08", "22:00")));
+
+    // Friday and Saturday nights are free
+    assert.notOk(getActiveSchedule(url, at("12", "23:00")));
+    assert.ok(getActiveSchedule(url, at("12", "06:00")));
+    assert.notOk(getActiveSchedule(url, at("13", "06:00")));
+
+    setSchedules([]);
+    done();
+  });
+});
+
+QUnit.test("Test daily budget", (assert) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    const {
+      setSchedules,
+      recordActivity,
+      getUsage,
+      getActiveSchedule,
+      getBlockPageUrl,
+    } = purify.schedules;
+    setSchedules([
+      { id: "games", name: "Games", type: "budget", category: "games", minutes: 60 },
+    ]);
+
+    const url = "https://www.roblox.com/games";
+    const monday = at("08", "15:00");
+    recordActivity(url, 59 * 60 * 1000, monday);
+    recordActivity("https://example.org/", 60 * 60 * 1000, monday);
+    assert.equal(getUsage(monday).games, 59 * 60 * 1000);
+    assert.notOk(getActiveSchedule(url, monday));
+
+    recordActivity(url, 60 * 1000, monday);
+    const active = getActiveSchedule(url, monday);
+    assert.equal(active.reason, "Daily limit of 60 min is used");
+    assert.equal(active.until.getTime(), at("09", "00:00").getTime());
+
+    const blockPageUrl = new URL(getBlockPageUrl(url, active));
+    assert.equal(blockPageUrl.searchParams.get("schedule"), "Games");
+    assert.equal(blockPageUrl.searchParams.get("until"), "00:00");
+
+    // Budget is renewed the next day
+    assert.notOk(getActiveSchedule(url, at("09", "08:00")));
+
+    setSchedules([]);
+    done();
+  });
+});
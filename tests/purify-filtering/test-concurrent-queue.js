@@ -0,0 +1,219 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-concurrent-queue.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+/**
+ * Creates queue whose tasks are finished by the test
+ */
+const createQueue = (options) => {
+  const running = [];
+  const processed = [];
+
+  const queue = purify.utils.concurrentQueue(
+    Object.assign(
+      {
+        concurrency: 1,
+        timeout: 0,
+        onProcess: (task, callback) => {
+          processed.push(task.name);
+          running.push(callback);
+        },
+        onSuccess: () => {},
+        onFailure: () => {},
+      },
+      options
+    )
+  );
+
+  // Finishes the oldest running task and waits for the next one to start
+  const finish = () => {
+    running.shift()(undefined, {});
+    return new Promise((resolve) => setTimeout(resolve, 0));
+  };
+
+  return { queue, processed, finish };
+};
+
+QUnit.test("Test tasks with higher priority run first", async (assert) => {
+  const { queue, processed, finish } = createQueue({
+    getPriority: (task) => task.priority,
+  });
+
+  queue.add({ name: "first", priority: 0 });
+  queue.add({ name: "low", priority: 0 });
+  queue.add({ name: "high", priority: 2 });
+  queue.add({ name: "medium", priority: 1 });
+  queue.add({ name: "low-next", priority: 0 });
+
+  for (let i = 0; i < 4; i++) {
+    await finish();
+  }
+
+  // The same priority keeps the order of adding
+  assert.deepEqual(processed, ["first", "high", "medium", "low", "low-next"]);
+});
+
+QUnit.test("Test priority is evaluated on run", async (assert) => {
+  let activeTab = 1;
+  const { queue, processed, finish } = createQueue({
+    getPriority: (task) => (task.tab === activeTab ? 1 : 0),
+  });
+
+  queue.add({ name: "first", tab: 1 });
+  queue.add({ name: "tab-1", tab: 1 });
+  queue.add({ name: "tab-2", tab: 2 });
+
+  // User switches the tab while the images wait
+  activeTab = 2;
+  await finish();
+  await finish();
+
+  assert.deepEqual(processed, ["first", "tab-2", "tab-1"]);
+});
+
+QUnit.test("Test waiting tasks are cancelled", async (assert) => {
+  const { queue, processed, finish } = createQueue();
+
+  queue.add({ name: "running", tab: 1 });
+  queue.add({ name: "closed", tab: 1 });
+  queue.add({ name: "other", tab: 2 });
+
+  const cancelled = queue.cancel((task) => task.tab === 1);
+  assert.deepEqual(cancelled.map((task) => task.name), ["closed"]);
+
+  await finish();
+  await finish();
+  assert.deepEqual(processed, ["running", "other"]);
+  assert.equal(queue.getMetrics().cancelled, 1);
+});
+
+QUnit.test("Test queue metrics", async (assert) => {
+  const { queue, finish } = createQueue({ concurrency: 2 });
+
+  ["a", "b", "c", "d"].forEach((name) => queue.add({ name }));
+
+  let metrics = queue.getMetrics();
+  assert.equal(metrics.running, 2);
+  assert.equal(metrics.waiting, 2);
+  assert.equal(metrics.maxWaiting, 2);
+
+  queue.pause();
+  await finish();
+  metrics = queue.getMetrics();
+  assert.ok(metrics.paused);
+  assert.equal(metrics.running, 1);
+  assert.equal(metrics.processed, 1);
+
+  // Resume fills the free channels only
+  queue.resume();
+  queue.resume();
+  metrics = queue.getMetrics();
+  assert.notOk(metrics.paused);
+  assert.equal(metrics.running, 2);
+  assert.equal(metrics.waiting, 1);
+});
+
+QUnit.test("Test loading priority", (assert) => {
+  const activeTab = { tabId: 1, tabUrl: "https://example.org" };
+  const otherTab = { tabId: 2, tabUrl: "https://example.com" };
+  purify.loadingQueue.setActiveTabId(1);
+
+  const priority = (tabIdUrl, visible) =>
+    purify.loadingQueue.getPriority({ tabIdUrl, visible });
+
+  assert.ok(priority(activeTab, true) > priority(activeTab, false));
+  assert.ok(priority(activeTab, false) > priority(otherTab, true));
+  assert.ok(priority(otherTab, true) > priority(otherTab, false));
+
+  purify.loadingQueue.setActiveTabId(2);
+  assert.ok(priority(otherTab, false) > priority(activeTab, true));
+});
+
+QUnit.test("Test known images are decided by the policy", async (assert) => {
+  let blockedClasses = ["Porn"];
+  purify.verdictCache = { get: () => Promise.resolve(undefined) };
+  purify.imageHash = { dHash: () => "3c3e1e0f07038181" };
+  purify.imageHashList = { match: () => "Sexy" };
+  purify.purifyFiltering = {
+    createHash: (url) => url,
+    getClassificationPolicy: () => ({ blockedClasses, strictness: 50 }),
+  };
+  purify.predictionQueue = { saveCache: () => {} };
+
+  const { loadingQueue } = purify;
+  loadingQueue.init();
+  const tabIdUrl = { tabId: 1, tabUrl: "https://example.org" };
+  loadingQueue.addTabIdUrl(tabIdUrl);
+
+  const image =
+    "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+  // Listed image of the unchecked category is not blocked
+  let verdict = await loadingQueue.predict(`${image}#1`, tabIdUrl);
+  assert.notOk(verdict.block);
+  assert.equal(verdict.className, null);
+
+  blockedClasses = ["Porn", "Sexy"];
+  verdict = await loadingQueue.predict(`${image}#2`, tabIdUrl);
+  assert.ok(verdict.block);
+  assert.equal(verdict.className, "Sexy");
+  assert.ok(verdict.score > 0);
+});
+
+QUnit.test("Test closed tab does not cancel the same image of other tabs", async (assert) => {
+  // Loaded images wait in the prediction queue until the test decides them
+  const waiting = [];
+  let onWaiting;
+  const bothWaiting = new Promise((resolve) => {
+    onWaiting = resolve;
+  });
+  purify.verdictCache = { get: () => Promise.resolve(undefined) };
+  purify.imageHash = { dHash: () => "3c3e1e0f07038181" };
+  purify.imageHashList = { match: () => null };
+  purify.predictionQueue = {
+    saveCache: () => {},
+    getQueue: () => ({
+      add: (task) => {
+        waiting.push(task);
+        if (waiting.length === 2) {
+          onWaiting();
+        }
+      },
+      getTaskAmount: () => waiting.length,
+      cancel: (predicate) => waiting.filter(predicate),
+    }),
+  };
+
+  const { loadingQueue } = purify;
+  loadingQueue.init();
+  const closedTab = { tabId: 1, tabUrl: "https://example.org" };
+  const otherTab = { tabId: 2, tabUrl: "https://example.com" };
+  loadingQueue.addTabIdUrl(closedTab);
+  loadingQueue.addTabIdUrl(otherTab);
+
+  const image =
+    "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+  const closed = loadingQueue.predict(image, closedTab);
+  const other = loadingQueue.predict(image, otherTab);
+  // The same image of the tab is loaded once
+  const otherAgain = loadingQueue.predict(image, otherTab);
+  await bothWaiting;
+
+  loadingQueue.clearByTabId(closedTab.tabId);
+  await closed.then(
+    () => assert.ok(false, "Prediction of the closed tab is rejected"),
+    () => assert.ok(true)
+  );
+
+  const verdict = { block: true, score: 1, className: "Porn" };
+  waiting
+    .filter((task) => task.tabIdUrl.tabId === otherTab.tabId)
+    .forEach((task) => loadingQueue.resolveRequest(task, verdict));
+  assert.deepEqual(await other, verdict);
+  assert.deepEqual(await otherAgain, verdict);
+  assert.equal(waiting.length, 2);
+});
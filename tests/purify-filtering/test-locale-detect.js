@@ -0,0 +1,71 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-locale-detect.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+// Mocks extension api
+purify.tabs = {
+  onUpdated: purify.utils.channels.newChannel(),
+  onRemoved: purify.utils.channels.newChannel(),
+};
+purify.settings = { isFilteringDisabled: () => false };
+purify.subscriptions = { getFilterIdsForLanguage: () => null };
+
+const detectedLanguages = {};
+window.browser = {
+  tabs: {
+    detectLanguage: (tabId, callback) => callback(detectedLanguages[tabId]),
+  },
+  runtime: { lastError: null },
+};
+
+/**
+ * Loads the page in the tab, its language is detected by the browser
+ */
+const loadTab = (tabId, url, language) => {
+  detectedLanguages[tabId] = language;
+  purify.tabs.onUpdated.notify({ tabId, url, status: "loading" });
+  purify.tabs.onUpdated.notify({ tabId, url, status: "complete" });
+  return { tabId, url };
+};
+
+QUnit.test("Test languages of the frame are normalized", (assert) => {
+  const { getFrameLanguages } = purify.localeDetect;
+
+  assert.deepEqual(getFrameLanguages(null, null, ["vi-VN", "EN", "en-US", "vi"]), ["vi", "en"]);
+  assert.deepEqual(getFrameLanguages(null, null, ["und", "", null, "fr"]), ["fr"]);
+  assert.deepEqual(getFrameLanguages(null, null, undefined), []);
+});
+
+QUnit.test("Test languages of the tab, domain and page are merged", (assert) => {
+  const { getFrameLanguages } = purify.localeDetect;
+
+  const tab = loadTab(1, "https://tin-tuc.example.vn/", "vi");
+  // Declared languages go first, the others are added once
+  assert.deepEqual(getFrameLanguages(tab, tab.url, ["en", "vi-VN"]), ["en", "vi"]);
+  assert.deepEqual(getFrameLanguages(tab, "https://nachrichten.example.de/", []), ["vi", "de"]);
+  assert.deepEqual(getFrameLanguages(null, "https://www.example.com/", ["ja"]), ["ja"]);
+
+  // Unknown language of the tab is not added
+  const unknown = loadTab(2, "https://www.example.org/", "und");
+  assert.deepEqual(getFrameLanguages(unknown, unknown.url, []), []);
+});
+
+QUnit.test("Test language of the tab is forgotten", (assert) => {
+  const { getFrameLanguages } = purify.localeDetect;
+
+  const tab = loadTab(3, "https://www.example.org/", "ru");
+  assert.deepEqual(getFrameLanguages(tab, tab.url, []), ["ru"]);
+
+  // The next page is detected again after the load
+  purify.tabs.onUpdated.notify({ tabId: 3, url: tab.url, status: "loading" });
+  assert.deepEqual(getFrameLanguages(tab, tab.url, []), []);
+
+  loadTab(3, tab.url, "ko");
+  purify.tabs.onRemoved.notify({ tabId: 3 });
+  assert.deepEqual(getFrameLanguages(tab, tab.url, []), []);
+});
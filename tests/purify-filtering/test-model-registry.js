@@ -0,0 +1,112 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-model-registry.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+purify.getURL = (path) => `chrome-extension://test/${path}`;
+
+const modelVersions = [];
+purify.verdictCache = {
+  setModelVersion: (modelKey) => modelVersions.push(modelKey),
+};
+
+const descriptor = (id, fields) =>
+  Object.assign(
+    {
+      id,
+      version: 2,
+      url: `https://example.org/${id}/model.json`,
+      inputSize: "299",
+      labels: ["Neutral", "Porn"],
+      sha256: "0f".repeat(32),
+    },
+    fields
+  );
+
+const withStorage = (assert, test) => {
+  const done = assert.async();
+  purify.localStorage.init(() => {
+    test();
+    done();
+  });
+};
+
+QUnit.test("Test model descriptor validation", (assert) => {
+  withStorage(assert, () => {
+    const { register } = purify.modelRegistry;
+
+    assert.throws(() => register(descriptor("no_url", { url: null })), /has no "url"/);
+    assert.throws(() => register(descriptor("no_labels", { labels: [] })), /invalid labels/);
+    assert.throws(() => register(null), /has no "id"/);
+
+    const model = register(descriptor("filled"));
+    assert.equal(model.version, "2");
+    assert.equal(model.inputSize, 299);
+    assert.deepEqual(model.normalization, { scale: 1 / 256, offset: 0 });
+    assert.ok(
+      purify.modelRegistry.getModels().some((m) => m.id === "filled")
+    );
+  });
+});
+
+QUnit.test("Test model without integrity hash is rejected", (assert) => {
+  withStorage(assert, () => {
+    const { register, getModels } = purify.modelRegistry;
+
+    assert.throws(() => register(descriptor("unsigned", { sha256: null })), /integrity hash/);
+    assert.notOk(getModels().some((m) => m.id === "unsigned"));
+  });
+});
+
+QUnit.test("Test bundled model can't be replaced", (assert) => {
+  withStorage(assert, () => {
+    const { register, getDefaultModel, isBundled } = purify.modelRegistry;
+    const bundled = getDefaultModel();
+
+    assert.ok(isBundled(bundled));
+    assert.equal(bundled.url, "chrome-extension://test/models/purify_mobilenet_tfjs/model.json");
+    assert.throws(() => register(descriptor(bundled.id)), /can't be replaced/);
+    assert.equal(getDefaultModel().url, bundled.url);
+    assert.notOk(isBundled(register(descriptor("added"))));
+  });
+});
+
+QUnit.test("Test model experiment bucketing", (assert) => {
+  withStorage(assert, () => {
+    const { register, setExperiment, activate, getActiveModel, getDefaultModel } =
+      purify.modelRegistry;
+    register(descriptor("first"));
+    register(descriptor("second"));
+
+    assert.throws(() => setExperiment(["first", "unknown"]), /two known models/);
+
+    setExperiment(["first", "second"], 1);
+    assert.equal(getActiveModel().id, "first");
+    assert.equal(modelVersions[modelVersions.length - 1], "first@2");
+
+    setExperiment(["first", "second"], 0);
+    assert.equal(getActiveModel().id, "second");
+
+    // The bucket of the installation does not change between the calls
+    setExperiment(["first", "second"], 0.5);
+    const { id } = getActiveModel();
+    for (let i = 0; i < 10; i++) {
+      assert.equal(getActiveModel().id, id);
+    }
+
+    // Installations are split between the models
+    const buckets = new Set();
+    for (let i = 0; i < 20; i++) {
+      purify.localStorage.setItem("client-id", `client-${i}`);
+      buckets.add(getActiveModel().id);
+    }
+    assert.equal(buckets.size, 2);
+
+    activate(getDefaultModel().id);
+    assert.equal(getActiveModel().id, getDefaultModel().id);
+  });
+});
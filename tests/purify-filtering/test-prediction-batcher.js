@@ -0,0 +1,81 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-prediction-batcher.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, purify */
+
+/**
+ * Fake model doubles every input
+ */
+const runModel = (inputs) => Promise.resolve(inputs.map((input) => input * 2));
+
+QUnit.test("Test results are returned to every caller", (assert) => {
+  const done = assert.async();
+
+  const batches = [];
+  const batcher = new purify.utils.PredictionBatcher({
+    runBatch: (inputs) => {
+      batches.push(inputs);
+      return runModel(inputs);
+    },
+    maxBatchSize: 4,
+    windowMs: 10,
+  });
+
+  const inputs = [1, 2, 3, 4, 5, 6];
+  Promise.all(inputs.map((input) => batcher.add(input))).then((results) => {
+    assert.deepEqual(results, [2, 4, 6, 8, 10, 12]);
+    // The first batch is full, the second one is run by the timer
+    assert.deepEqual(batches, [
+      [1, 2, 3, 4],
+      [5, 6],
+    ]);
+    assert.deepEqual(batcher.getStats(), { batches: 2, inputs: 6 });
+    done();
+  });
+});
+
+QUnit.test("Test batch failure is returned to every caller", (assert) => {
+  const done = assert.async();
+
+  const batcher = new purify.utils.PredictionBatcher({
+    runBatch: () => Promise.reject(new Error("Model failed")),
+    windowMs: 10,
+  });
+
+  const results = [1, 2].map((input) =>
+    batcher.add(input).then(
+      () => assert.ok(false, "Result is not expected"),
+      (error) => assert.equal(error.message, "Model failed")
+    )
+  );
+  Promise.all(results).then(done);
+});
+
+QUnit.test("Test images are predicted in full batches", (assert) => {
+  const done = assert.async();
+  const IMAGES_COUNT = 48;
+  const inputs = Array.from({ length: IMAGES_COUNT }, (_, i) => i);
+
+  const batchSizes = [];
+  const batcher = new purify.utils.PredictionBatcher({
+    runBatch: (batch) => {
+      batchSizes.push(batch.length);
+      return runModel(batch);
+    },
+  });
+
+  Promise.all(inputs.map((input) => batcher.add(input))).then((results) => {
+    assert.deepEqual(
+      results,
+      inputs.map((input) => input * 2)
+    );
+    // One model call per 16 images instead of one per image
+    assert.deepEqual(batchSizes, [16, 16, 16]);
+    assert.deepEqual(batcher.getStats(), { batches: 3, inputs: IMAGES_COUNT });
+    done();
+  });
+});
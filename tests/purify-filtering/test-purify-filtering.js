@@ -0,0 +1,660 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-purify-filtering.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, ImageRuler, purify */
+
+const ALL_CLASSES = ["Porn", "Sexy", "Gory_aug", "Horror_aug"];
+
+const predictions = (probabilities) =>
+  Object.keys(probabilities)
+    .map((className) => ({
+      className,
+      probability: probabilities[className],
+    }))
+    .sort((a, b) => b.probability - a.probability);
+
+QUnit.test("Test thresholds by strictness", (assert) => {
+  const thresholds = ImageRuler.getThresholds(ImageRuler.DEFAULT_STRICTNESS);
+  assert.equal(thresholds[1], 0.78);
+  assert.equal(thresholds[2], 0.75);
+  assert.equal(thresholds[3], 0.79);
+  assert.equal(thresholds[4], 0.7);
+  assert.equal(thresholds[7], 0.77);
+
+  const strict = ImageRuler.getThresholds(100);
+  assert.equal(strict[4], 0.5);
+
+  const loose = ImageRuler.getThresholds(0);
+  assert.equal(loose[4], 0.9);
+
+  assert.equal(ImageRuler.normalizeStrictness("abc"), 50);
+  assert.equal(ImageRuler.normalizeStrictness(150), 100);
+  assert.equal(ImageRuler.normalizeStrictness(-5), 0);
+});
+
+QUnit.test("Test verdict reasons", (assert) => {
+  const policy = { blockedClasses: ALL_CLASSES, strictness: 50 };
+
+  let verdict = ImageRuler.decide(
+    predictions({ Porn: 0.72, Neutral: 0.2, Sexy: 0.08 }),
+    policy
+  );
+  assert.ok(verdict.block);
+  assert.equal(verdict.code, 4);
+  assert.equal(verdict.reason, "PORN");
+  assert.equal(verdict.threshold, 0.7);
+  assert.equal(verdict.version, ImageRuler.VERSION);
+
+  verdict = ImageRuler.decide(
+    predictions({ Horror_aug: 0.8, Gory_aug: 0.15, Neutral: 0.05 }),
+    policy
+  );
+  assert.equal(verdict.reason, "HORROR");
+
+  // Gory and horror rules are checked before porn
+  verdict = ImageRuler.decide(
+    predictions({ Gory_aug: 0.45, Horror_aug: 0.4, Porn: 0.1, Neutral: 0.05 }),
+    policy
+  );
+  assert.equal(verdict.reason, "GORY_HORROR");
+
+  verdict = ImageRuler.decide(
+    predictions({ Sexy: 0.5, Porn: 0.3, Neutral: 0.2 }),
+    policy
+  );
+  assert.equal(verdict.reason, "PORN_SEXY");
+
+  verdict = ImageRuler.decide(
+    predictions({ Neutral: 0.9, Sexy: 0.1 }),
+    policy
+  );
+  assert.notOk(verdict.block);
+  assert.equal(verdict.code, 0);
+  assert.equal(verdict.reason, ImageRuler.REASON_CLEAN);
+});
+
+QUnit.test("Test combined rules with neutral in two top classes", (assert) => {
+  const policy = { blockedClasses: ALL_CLASSES, strictness: 50 };
+
+  // Porn + Sexy is above the threshold, but "Neutral" is the second class
+  const classes = [
+    { className: "Sexy", probability: 0.4 },
+    { className: "Neutral", probability: 0.38 },
+    { className: "Porn", probability: 0.37 },
+  ];
+  assert.notOk(ImageRuler.decide(classes, policy).block);
+
+  classes[1].className = "Porn";
+  classes[2].className = "Neutral";
+  assert.equal(ImageRuler.decide(classes, policy).reason, "PORN_SEXY");
+});
+
+QUnit.test("Test blocked categories", (assert) => {
+  const porn = predictions({ Porn: 0.9, Neutral: 0.1 });
+  const horror = predictions({ Horror_aug: 0.9, Neutral: 0.1 });
+
+  const pornOnly = { blockedClasses: ["Porn"], strictness: 50 };
+  assert.ok(ImageRuler.decide(porn, pornOnly).block);
+  assert.notOk(ImageRuler.decide(horror, pornOnly).block);
+
+  const nothing = { blockedClasses: [], strictness: 50 };
+  assert.notOk(ImageRuler.decide(porn, nothing).block);
+  assert.notOk(ImageRuler.decide(horror, nothing).block);
+});
+
+QUnit.test("Test strictness changes verdict", (assert) => {
+  const classes = predictions({ Porn: 0.6, Neutral: 0.3, Sexy: 0.1 });
+
+  const loose = { blockedClasses: ALL_CLASSES, strictness: 20 };
+  const strict = { blockedClasses: ALL_CLASSES, strictness: 80 };
+
+  assert.notOk(ImageRuler.decide(classes, loose).block);
+  assert.ok(ImageRuler.decide(classes, strict).block);
+});
+
+QUnit.test("Test animated image verdict", (assert) => {
+  const policy = { blockedClasses: ALL_CLASSES, strictness: 50 };
+  const neutral = predictions({ Neutral: 0.95, Sexy: 0.05 });
+  const sexy = predictions({ Neutral: 0.6, Sexy: 0.4 });
+  const porn = predictions({ Porn: 0.75, Neutral: 0.25 });
+  const hardcore = predictions({ Porn: 0.9, Neutral: 0.1 });
+
+  // Innocuous first frame does not hide explicit frames
+  let result = ImageRuler.decideFrames([neutral, porn, hardcore], policy);
+  assert.ok(result.verdict.block);
+  assert.equal(result.frame, 2);
+  assert.equal(result.verdict.reason, "PORN");
+
+  result = ImageRuler.decideFrames([neutral, sexy, neutral], policy);
+  assert.notOk(result.verdict.block);
+  assert.equal(result.frame, 1);
+
+  result = ImageRuler.decideFrames([], policy);
+  assert.notOk(result.verdict.block);
+  assert.equal(result.frame, -1);
+});
+
+QUnit.test("Test animated image sniffing", (assert) => {
+  const bytes = (...parts) =>
+    Uint8Array.from(
+      [].concat(
+        ...parts.map((part) =>
+          typeof part === "string"
+            ? part.split("").map((c) => c.charCodeAt(0))
+            : Array.from(part)
+        )
+      )
+    );
+  const pngChunk = (type, length) =>
+    bytes([0, 0, 0, length], type, new Array(length + 4).fill(0));
+  const pngSignature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+  const webp = (flags) =>
+    bytes("RIFF", [0, 0, 0, 0], "WEBPVP8X", [10, 0, 0, 0], [flags, 0, 0, 0]);
+
+  const { sniff } = purify.animatedImage;
+
+  assert.equal(sniff(bytes("GIF89a", [1, 0, 1, 0])), "image/gif");
+  assert.equal(sniff(bytes("GIF87a", [1, 0, 1, 0])), "image/gif");
+
+  const ihdr = pngChunk("IHDR", 13);
+  const actl = pngChunk("acTL", 8);
+  const idat = pngChunk("IDAT", 4);
+  assert.equal(sniff(bytes(pngSignature, ihdr, actl, idat)), "image/png");
+  assert.equal(sniff(bytes(pngSignature, ihdr, idat, actl)), null);
+
+  assert.equal(sniff(webp(0x02)), "image/webp");
+  assert.equal(sniff(webp(0x10)), null);
+
+  assert.equal(sniff(bytes([0xff, 0xd8, 0xff, 0xe0])), null);
+});
+
+QUnit.test("Test animated image is detected by its content", async (assert) => {
+  const { download, sniff } = purify.animatedImage;
+
+  // GIF served without the extension and with a wrong content type
+  const gif = await download("data:image/jpeg;base64,R0lGODlhAQABAAAAACw=");
+  assert.equal(sniff(gif.bytes), "image/gif");
+  assert.equal(gif.contentType, "image/jpeg");
+
+  const jpeg = await download("data:image/gif;base64,/9j/4AAQSkZJRg==");
+  assert.equal(sniff(jpeg.bytes), null);
+});
+
+QUnit.test("Test animated image frame sampling", (assert) => {
+  const { sampleFrameIndices } = purify.animatedImage;
+
+  assert.deepEqual(sampleFrameIndices(3, 8), [0, 1, 2]);
+  assert.deepEqual(sampleFrameIndices(15, 8), [0, 2, 4, 6, 8, 10, 12, 14]);
+  assert.deepEqual(sampleFrameIndices(100, 3), [0, 50, 99]);
+  assert.equal(
+    sampleFrameIndices(1000).length,
+    purify.animatedImage.MAX_FRAMES
+  );
+});
+
+QUnit.test("Test image content hash", (assert) => {
+  // 9x8 RGBA pixels filled by the brightness function
+  const pixels = (brightness) => {
+    const data = new Uint8ClampedArray(9 * 8 * 4);
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 9; x++) {
+        const offset = (y * 9 + x) * 4;
+        data.fill(brightness(x, y), offset, offset + 3);
+        data[offset + 3] = 255;
+      }
+    }
+    return data;
+  };
+
+  const { dHashPixels } = purify.imageHash;
+
+  // Brightness decreases from left to right, every bit is set
+  const darkening = dHashPixels(pixels((x) => 255 - x * 20));
+  assert.equal(darkening, "ffffffffffffffff");
+
+  assert.equal(dHashPixels(pixels((x) => x * 20)), "0000000000000000");
+
+  // Small changes of brightness don't change the hash
+  assert.equal(dHashPixels(pixels((x) => 250 - x * 20)), darkening);
+
+  assert.equal(
+    dHashPixels(pixels((x, y) => (y % 2 === 0 ? 255 - x * 20 : x * 20))),
+    "ff00ff00ff00ff00"
+  );
+});
+
+QUnit.test("Test image hash distance", (assert) => {
+  const { parse, distance } = purify.imageHash;
+
+  assert.equal(parse("not a hash"), null);
+  assert.equal(parse("ffff"), null);
+
+  const hash = parse("3c3e1e0f07038181");
+  assert.equal(distance(hash, hash), 0);
+  assert.equal(distance(hash, parse("3c3e1e0f07038180")), 1);
+  assert.equal(distance(hash, parse("3C3E1E0F07038181")), 0);
+  assert.equal(
+    distance(parse("0000000000000000"), parse("ffffffffffffffff")),
+    64
+  );
+});
+
+QUnit.test("Test page risk scorer weights images", (assert) => {
+  const { getWeight } = PageRiskScorer;
+
+  assert.equal(getWeight({}), 1);
+  assert.equal(getWeight({ width: 300, height: 300, visible: true }), 1);
+  assert.equal(getWeight({ width: 600, height: 400, visible: true }), 1);
+  assert.equal(getWeight({ width: 150, height: 150, visible: true }), 0.5);
+  assert.equal(getWeight({ width: 300, height: 300, visible: false }), 0.5);
+  // Images which are not rendered yet
+  assert.equal(getWeight({ width: 0, height: 0, visible: false }), 0.05);
+});
+
+QUnit.test("Test page risk scorer decision", (assert) => {
+  const policy = { pageRiskThreshold: 25, minFlaggedImages: 5 };
+  const visible = { width: 300, height: 300, visible: true };
+  const hidden = { width: 300, height: 300, visible: false };
+
+  const scorer = PageRiskScorer.create();
+  for (let i = 0; i < 18; i++) {
+    scorer.add(`clean-${i}`, Object.assign({ flagged: false }, visible));
+  }
+  for (let i = 0; i < 4; i++) {
+    scorer.add(
+      `porn-${i}`,
+      Object.assign(
+        { flagged: true, confidence: 0.9, className: "Porn" },
+        visible
+      )
+    );
+  }
+
+  // Not enough flagged images
+  let decision = scorer.decide(policy);
+  assert.notOk(decision.block);
+  assert.equal(decision.flagged, 4);
+
+  for (let i = 0; i < 8; i++) {
+    scorer.add(
+      `gory-${i}`,
+      Object.assign(
+        { flagged: true, confidence: 0.9, className: "Gory_aug" },
+        hidden
+      )
+    );
+  }
+  scorer.add(
+    "porn-4",
+    Object.assign({ flagged: true, confidence: 1, className: "Porn" }, visible)
+  );
+
+  decision = scorer.decide(policy);
+  assert.ok(decision.block);
+  assert.equal(decision.total, 31);
+  assert.equal(decision.flagged, 13);
+  assert.equal(decision.className, "Porn");
+  assert.equal(decision.reason, "5 of 23 visible images flagged Porn");
+
+  // The same verdicts, but the page risk threshold is higher
+  assert.notOk(
+    scorer.decide({ pageRiskThreshold: 50, minFlaggedImages: 5 }).block
+  );
+});
+
+QUnit.test("Test page risk scorer ignores small flagged images", (assert) => {
+  const policy = { pageRiskThreshold: 25, minFlaggedImages: 5 };
+
+  const scorer = PageRiskScorer.create();
+  for (let i = 0; i < 10; i++) {
+    scorer.add(`clean-${i}`, {
+      flagged: false,
+      width: 400,
+      height: 300,
+      visible: true,
+    });
+    scorer.add(`icon-${i}`, {
+      flagged: true,
+      confidence: 0.9,
+      className: "Sexy",
+      width: 45,
+      height: 45,
+      visible: true,
+    });
+  }
+
+  const decision = scorer.decide(policy);
+  assert.notOk(decision.block);
+  assert.equal(decision.flagged, 10);
+  assert.ok(decision.risk < 0.25);
+});
+
+QUnit.test("Test page risk scorer flagged class", (assert) => {
+  const { getFlaggedClass, describe } = PageRiskScorer;
+  const predictions = [
+    { className: "Neutral", probability: 0.5 },
+    { className: "Sexy", probability: 0.3 },
+    { className: "Porn", probability: 0.2 },
+  ];
+
+  assert.equal(getFlaggedClass(predictions, ["Porn", "Sexy"]), "Sexy");
+  assert.equal(getFlaggedClass(predictions, ["Porn"]), "Porn");
+  assert.equal(getFlaggedClass(predictions, []), null);
+
+  assert.equal(
+    describe({
+      flagged: 3,
+      total: 12,
+      visibleFlagged: 0,
+      visible: 4,
+      className: "Horror_aug",
+    }),
+    "3 of 12 images flagged Horror"
+  );
+});
+
+QUnit.test("Test reveal overlay", (assert) => {
+  const image = document.createElement("img");
+  PurifyState.set(image, PurifyState.FLAGGED);
+  document.getElementById("qunit-fixture").appendChild(image);
+
+  const actions = {
+    checkPin: () => Promise.resolve(true),
+    allow: () => Promise.resolve(true),
+    report: () => {},
+  };
+
+  RevealOverlay.attach(image, actions);
+  // The same element gets only one overlay
+  RevealOverlay.attach(image, actions);
+  assert.equal(document.querySelectorAll("[data-purify-overlay]").length, 1);
+  assert.notOk(RevealOverlay.isRevealed(image));
+
+  RevealOverlay.reveal(image);
+  assert.ok(RevealOverlay.isRevealed(image));
+  assert.ok(image.hasAttribute("data-purify-revealed"));
+  assert.equal(document.querySelectorAll("[data-purify-overlay]").length, 0);
+});
+
+QUnit.test("Test purify state transitions", (assert) => {
+  const element = document.createElement("img");
+  assert.equal(PurifyState.get(element), null);
+
+  assert.ok(PurifyState.set(element, PurifyState.PENDING));
+  assert.ok(PurifyState.set(element, PurifyState.CLEAN));
+  assert.equal(element.getAttribute("data-purify"), "clean");
+
+  assert.ok(PurifyState.set(element, PurifyState.FLAGGED));
+  // Flagged element is never shown as clean, even if the next frame is clean
+  assert.notOk(PurifyState.set(element, PurifyState.CLEAN));
+  assert.equal(PurifyState.get(element), PurifyState.FLAGGED);
+
+  // Source of the image is changed
+  assert.ok(PurifyState.set(element, PurifyState.PENDING));
+  assert.ok(PurifyState.set(element, PurifyState.ERROR));
+  assert.ok(PurifyState.set(element, PurifyState.CLEAN));
+
+  // Unknown values are ignored
+  element.setAttribute("data-purify", "processing");
+  assert.equal(PurifyState.get(element), null);
+});
+
+QUnit.test("Test state flips change only the state attribute", (assert) => {
+  const fixture = document.getElementById("qunit-fixture");
+  for (let i = 0; i < 10; i++) {
+    fixture.appendChild(document.createElement("img"));
+  }
+  const images = fixture.getElementsByTagName("img");
+
+  const observer = new MutationObserver(() => {});
+  observer.observe(fixture, { attributes: true, subtree: true });
+
+  // Every image is pending once, then flagged or clean
+  Array.prototype.forEach.call(images, (image, i) => {
+    PurifyState.set(image, PurifyState.PENDING);
+    PurifyState.set(image, PurifyState.PENDING);
+    PurifyState.set(image, i % 2 ? PurifyState.CLEAN : PurifyState.FLAGGED);
+  });
+
+  const mutations = observer.takeRecords();
+  observer.disconnect();
+  // Blur is applied by the stylesheet, the same state is not written again
+  assert.equal(mutations.length, images.length * 2);
+  assert.ok(
+    mutations.every((mutation) => mutation.attributeName === PurifyState.ATTRIBUTE)
+  );
+  assert.ok(Array.prototype.every.call(images, (image) => !image.hasAttribute("style")));
+});
+
+QUnit.test("Test shadow scanner finds images in shadow roots", (assert) => {
+  const fixture = document.getElementById("qunit-fixture");
+  const host = document.createElement("div");
+  const nestedHost = document.createElement("span");
+  const image = document.createElement("img");
+  const nestedImage = document.createElement("img");
+
+  host.attachShadow({ mode: "open" }).appendChild(nestedHost);
+  host.shadowRoot.appendChild(image);
+  nestedHost.attachShadow({ mode: "open" }).appendChild(nestedImage);
+  fixture.appendChild(host);
+
+  assert.equal(ShadowScanner.querySelectorAll("img").indexOf(image), -1);
+
+  ShadowScanner.scan(fixture);
+  const images = ShadowScanner.querySelectorAll("img");
+  assert.ok(images.indexOf(image) !== -1);
+  assert.ok(images.indexOf(nestedImage) !== -1);
+
+  // Images are blurred inside of the shadow roots too
+  assert.ok(host.shadowRoot.querySelector("style[data-purify-prehide]"));
+  assert.ok(nestedHost.shadowRoot.querySelector("style[data-purify-prehide]"));
+
+  // Closed shadow roots are not reachable
+  const closedHost = document.createElement("div");
+  closedHost
+    .attachShadow({ mode: "closed" })
+    .appendChild(document.createElement("img"));
+  fixture.appendChild(closedHost);
+  ShadowScanner.scan(fixture);
+  assert.equal(ShadowScanner.querySelectorAll("img").length, images.length);
+
+  // Roots of the removed hosts are forgotten
+  fixture.removeChild(host);
+  assert.equal(ShadowScanner.getRoots().indexOf(host.shadowRoot), -1);
+  assert.equal(ShadowScanner.querySelectorAll("img").indexOf(image), -1);
+});
+
+QUnit.test("Test shadow scanner observes new shadow roots", (assert) => {
+  const done = assert.async();
+  const fixture = document.getElementById("qunit-fixture");
+  const host = document.createElement("div");
+  fixture.appendChild(host);
+
+  ShadowScanner.init();
+  const image = document.createElement("img");
+  const observer = ShadowScanner.observe(
+    (mutations) => {
+      const added = mutations.some(
+        (mutation) =>
+          Array.prototype.indexOf.call(mutation.addedNodes, image) !== -1
+      );
+      if (added) {
+        observer.disconnect();
+        assert.equal(ShadowScanner.querySelector("img[data-test]"), image);
+        done();
+      }
+    },
+    { childList: true, subtree: true }
+  );
+
+  // The same event is dispatched by the attachShadow wrapper, see wrappers.js
+  const root = host.attachShadow({ mode: "open" });
+  host.dispatchEvent(
+    new CustomEvent(ShadowScanner.SHADOW_ROOT_EVENT, {
+      bubbles: true,
+      composed: true,
+    })
+  );
+
+  image.setAttribute("data-test", "");
+  root.appendChild(image);
+});
+
+QUnit.test("Test image source of lazy-loaded images", (assert) => {
+  const placeholder =
+    "data:image/gif;base64,R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7";
+  assert.ok(ImageSource.isPlaceholder(placeholder));
+  assert.ok(ImageSource.isPlaceholder(""));
+  assert.ok(
+    ImageSource.isPlaceholder(
+      "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=="
+    )
+  );
+  assert.ok(
+    ImageSource.isPlaceholder(
+      "data:image/svg+xml,%3Csvg%20xmlns='http://www.w3.org/2000/svg'%20width='300'%20height='200'%3E%3C/svg%3E"
+    )
+  );
+  assert.notOk(ImageSource.isPlaceholder("https://example.org/a.jpg"));
+
+  // Small inline icons are the pictures
+  const icon =
+    "data:image/gif;base64,R0lGODlhEAAQAIAAAP///wAAACH5BAEAAAAALAAAAAAQABAAAAIOhI+py+0Po5y02ouzPgUAOw==";
+  assert.notOk(ImageSource.isPlaceholder(icon));
+  assert.notOk(
+    ImageSource.isPlaceholder(
+      "data:image/svg+xml,%3Csvg%20xmlns='http://www.w3.org/2000/svg'%3E%3Ccircle%20r='8'/%3E%3C/svg%3E"
+    )
+  );
+  const inline = document.createElement("img");
+  inline.src = icon;
+  assert.deepEqual(ImageSource.resolve(inline), { url: icon, lazy: false });
+
+  const image = document.createElement("img");
+  image.src = placeholder;
+  assert.equal(ImageSource.resolve(image), null);
+
+  image.setAttribute("data-src", "/images/real.jpg");
+  assert.deepEqual(ImageSource.resolve(image), {
+    url: new URL("/images/real.jpg", document.baseURI).href,
+    lazy: true,
+  });
+
+  image.setAttribute("data-srcset", "small.jpg 480w, large.jpg 1080w");
+  assert.deepEqual(ImageSource.resolve(image), {
+    url: new URL("large.jpg", document.baseURI).href,
+    lazy: true,
+  });
+
+  // Lazy loader swaps the real url in
+  image.src = "https://example.org/real.jpg";
+  assert.deepEqual(ImageSource.resolve(image), {
+    url: "https://example.org/real.jpg",
+    lazy: false,
+  });
+});
+
+QUnit.test("Test image source of responsive images", (assert) => {
+  assert.equal(
+    ImageSource.pickFromSrcset("a.jpg 1x, b.jpg 2x, c.jpg 1.5x"),
+    "b.jpg"
+  );
+  assert.equal(ImageSource.pickFromSrcset("a.jpg"), "a.jpg");
+  assert.equal(ImageSource.pickFromSrcset(""), null);
+
+  const image = document.createElement("img");
+  image.src = "https://example.org/fallback.jpg";
+  image.setAttribute("srcset", "https://example.org/a.jpg 480w");
+  // The candidate is not picked yet, src may be not rendered at all
+  assert.equal(ImageSource.resolve(image), null);
+
+  const plain = document.createElement("img");
+  plain.src = "https://example.org/plain.jpg";
+  assert.equal(ImageSource.resolve(plain).url, "https://example.org/plain.jpg");
+});
+
+QUnit.test("Test media sampler collects posters and svg images", (assert) => {
+  const fixture = document.getElementById("qunit-fixture");
+  fixture.innerHTML = `
+    <video poster="/posters/movie.jpg"></video>
+    <video></video>
+    <svg>
+      <image href="https://example.org/a.png"></image>
+      <image></image>
+    </svg>`;
+  const legacy = document.createElementNS("http://www.w3.org/2000/svg", "image");
+  legacy.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", "b.png");
+  fixture.querySelector("svg").appendChild(legacy);
+
+  const media = MediaSampler.collectMedia(fixture);
+  assert.deepEqual(
+    media.map(({ srcUrl, srcType }) => [srcUrl, srcType]),
+    [
+      [new URL("/posters/movie.jpg", document.baseURI).href, "poster"],
+      ["https://example.org/a.png", "svg"],
+      [new URL("b.png", document.baseURI).href, "svg"],
+    ]
+  );
+  assert.equal(media[0].element, fixture.querySelector("video"));
+});
+
+QUnit.test("Test media sampler throttles frames of the same element", (assert) => {
+  const fixture = document.getElementById("qunit-fixture");
+  const rendered = (element, size) => {
+    element.getBoundingClientRect = () => ({ width: size, height: size });
+    fixture.appendChild(element);
+    return element;
+  };
+  const canvas = (size) => {
+    const element = document.createElement("canvas");
+    element.width = size;
+    element.height = size;
+    return rendered(element, size);
+  };
+  const video = (paused) => {
+    const element = document.createElement("video");
+    Object.defineProperty(element, "paused", { value: paused });
+    Object.defineProperty(element, "readyState", { value: 4 });
+    return rendered(element, 300);
+  };
+
+  const playing = video(false);
+  video(true);
+  const big = canvas(300);
+  canvas(100);
+
+  let frames = MediaSampler.collectDueFrames(fixture);
+  assert.equal(frames.length, 2);
+  assert.equal(frames[0], playing);
+  assert.equal(frames[1], big);
+
+  // The next frame is taken after the interval
+  assert.equal(MediaSampler.collectDueFrames(fixture).length, 0);
+
+  big.dataset.purifySampledAt = `${Date.now() - MediaSampler.SAMPLE_INTERVAL_MS}`;
+  frames = MediaSampler.collectDueFrames(fixture);
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0], big);
+});
+
+QUnit.test("Test media sampler skips tainted frames", (assert) => {
+  const source = document.createElement("canvas");
+  source.width = 300;
+  source.height = 300;
+  assert.equal(MediaSampler.captureFrame(source).indexOf("data:image/jpeg"), 0);
+
+  // Pixels of the cross-origin video can't be read
+  const { toDataURL } = HTMLCanvasElement.prototype;
+  HTMLCanvasElement.prototype.toDataURL = () => {
+    throw new DOMException("The canvas has been tainted", "SecurityError");
+  };
+  try {
+    assert.equal(MediaSampler.captureFrame(source), null);
+  } finally {
+    HTMLCanvasElement.prototype.toDataURL = toDataURL;
+  }
+});
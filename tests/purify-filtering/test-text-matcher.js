@@ -0,0 +1,89 @@
+/**
+ * ----------------------------------------------------------------------------------
+ * PurifyBrowserExtension test-text-matcher.js
+ * Licensed under MIT (https://github.com/cyberpurify/CyberPurify/blob/main/LICENSE)
+ * ----------------------------------------------------------------------------------
+ */
+
+/* global QUnit, TextMatcher, TextRuler */
+
+QUnit.test("Test words are masked as whole words", (assert) => {
+  const matcher = TextMatcher.create(["hate", "ass"]);
+
+  assert.equal(matcher.mask("I hate you"), "I **** you");
+  assert.equal(matcher.mask("Hate! HATE."), "****! ****.");
+  // Parts of the longer words are kept
+  assert.equal(
+    matcher.mask("class assassin whatever"),
+    "class assassin whatever"
+  );
+  assert.equal(matcher.mask("nothing here"), "nothing here");
+});
+
+QUnit.test("Test text is normalized before matching", (assert) => {
+  const matcher = TextMatcher.create(["hate", "shit"]);
+
+  // Leetspeak
+  assert.equal(matcher.mask("h4te and sh!t"), "**** and ****");
+  // Fullwidth letters and zero width space
+  assert.equal(matcher.mask("ｈａｔｅ"), "****");
+  assert.equal(matcher.mask("ha\u200bte"), "*****");
+  // Numbers and punctuation are not folded outside of the words
+  assert.equal(TextMatcher.normalize("In 2020!"), "in 2020!");
+  assert.equal(TextMatcher.normalize("H4TE"), "hate");
+});
+
+QUnit.test("Test Vietnamese words", (assert) => {
+  const matcher = TextMatcher.create(["đồ ngu"]);
+
+  assert.equal(matcher.mask("mày là Đồ Ngu"), "mày là ******");
+  assert.equal(matcher.mask("đồ   ngu"), "********");
+  // Decomposed diacritics are masked as one letter
+  assert.equal(matcher.mask("đồ ngu".normalize("NFD")), "******");
+  // Letters with diacritics are parts of the word
+  assert.equal(matcher.mask("đồ ngừ"), "đồ ngừ");
+  assert.equal(matcher.mask("do ngu"), "do ngu");
+});
+
+QUnit.test("Test words of the scripts without spaces", (assert) => {
+  const matcher = TextMatcher.create(["バカ", "傻逼"]);
+
+  assert.equal(matcher.mask("あなたはバカです"), "あなたは**です");
+  assert.equal(matcher.mask("你是傻逼吗"), "你是**吗");
+});
+
+QUnit.test("Test overlapping words", (assert) => {
+  const matcher = TextMatcher.create(["bad word", "word", "bad"]);
+
+  assert.deepEqual(matcher.find("a bad word"), [{ start: 2, end: 10 }]);
+  assert.equal(matcher.mask("word bad"), "**** ***");
+  assert.equal(TextMatcher.create([]).mask("bad"), "bad");
+});
+
+QUnit.test("Test toxic text decision", (assert) => {
+  const thresholds = { toxicity: 80, harassment: 70, sexual: 80 };
+
+  let verdict = TextRuler.decide({ toxicity: 0.5, harassment: 0.2 }, 0, {
+    thresholds,
+  });
+  assert.notOk(verdict.block);
+
+  // Category exceeding its threshold the most blurs the block
+  verdict = TextRuler.decide(
+    { toxicity: 0.85, harassment: 0.9, sexual: 0.1 },
+    0,
+    { thresholds }
+  );
+  assert.ok(verdict.block);
+  assert.equal(verdict.category, "harassment");
+
+  // Hate speech words raise the toxicity of the block
+  verdict = TextRuler.decide({ toxicity: 0.7 }, 2, { thresholds });
+  assert.ok(verdict.block);
+  assert.equal(verdict.category, "toxicity");
+
+  // Only the words are used without the text model
+  assert.notOk(TextRuler.decide(null, 1, { thresholds }).block);
+  assert.ok(TextRuler.decide(null, 6, { thresholds }).block);
+  assert.ok(TextRuler.decide(null, 1, { thresholds: { toxicity: 0 } }).block);
+});